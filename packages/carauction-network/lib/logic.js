@@ -12,81 +12,707 @@
  * limitations under the License.
  */
 
-/* global getAssetRegistry getParticipantRegistry */
+/* global getAssetRegistry getParticipantRegistry getFactory emit query getCurrentParticipant */
+
+// the number of days a condition report remains recent enough to list a vehicle
+const CONDITION_REPORT_MAX_AGE = 30;
 
 /**
- * Close the bidding for a vehicle listing and choose the
- * highest bid that is over the asking price
- * @param {org.acme.vehicle.auction.CloseBidding} closeBidding - the closeBidding transaction
- * @transaction
+ * Get the current price of a Dutch auction: the starting price, lowered by
+ * the price decrement for every decrement interval since the start time,
+ * down to the reserve price
+ * @param {org.acme.vehicle.auction.VehicleListing} listing - the vehicle listing
+ * @param {Date} timestamp - the time to get the price at
+ * @return {Double} the current price
  */
-async function closeBidding(closeBidding) {  // eslint-disable-line no-unused-vars
-    const listing = closeBidding.listing;
+function dutchPrice(listing, timestamp) {
+    if (!listing.startingPrice || !listing.priceDecrement || !listing.decrementInterval || !listing.startTime) {
+        throw new Error('Dutch auction listing requires a starting price, price decrement, decrement interval and start time');
+    }
+    const elapsed = timestamp.getTime() - listing.startTime.getTime();
+    const decrements = Math.max(0, Math.floor(elapsed / (listing.decrementInterval * 1000)));
+    return Math.max(listing.reservePrice, listing.startingPrice - decrements * listing.priceDecrement);
+}
+
+/**
+ * Get the balance of a member that is not reserved for their bids
+ * @param {org.acme.vehicle.auction.Member} member - the member
+ * @return {Double} the available balance
+ */
+function availableBalance(member) {
+    return member.balance - (member.reservedBalance || 0);
+}
+
+/**
+ * Get the buyer's premium of a listing for a price
+ * @param {org.acme.vehicle.auction.VehicleListing} listing - the vehicle listing
+ * @param {Double} price - the hammer price
+ * @return {Double} the buyer's premium
+ */
+function buyersPremium(listing, price) {
+    return price * (listing.buyersPremium || 0) / 100;
+}
+
+/**
+ * Get the total price a buyer pays for a price: the price and the buyer's premium
+ * @param {org.acme.vehicle.auction.VehicleListing} listing - the vehicle listing
+ * @param {Double} price - the hammer price
+ * @return {Double} the total price
+ */
+function totalPrice(listing, price) {
+    return price + buyersPremium(listing, price);
+}
+
+/**
+ * Reserve part of the balance of a member for a bid, or release it
+ * @param {org.acme.vehicle.auction.Member} member - the member
+ * @param {Double} amount - the amount to reserve, or a negative amount to release
+ */
+function reserveBalance(member, amount) {
+    member.reservedBalance = (member.reservedBalance || 0) + amount;
+}
+
+/**
+ * Get the highest offer for a listing, the earliest one if several offers
+ * have the same bid price. Under an English auction the highest offer holds
+ * the reservation against the balance of its member.
+ * @param {org.acme.vehicle.auction.Offer[]} offers - the offers
+ * @return {org.acme.vehicle.auction.Offer} the highest offer, or null if there are no offers
+ */
+function highestOf(offers) {
+    let highestOffer = null;
+    (offers || []).forEach(function(offer) {
+        if (!highestOffer || offer.bidPrice > highestOffer.bidPrice) {
+            highestOffer = offer;
+        }
+    });
+    return highestOffer;
+}
+
+/**
+ * Release the balances reserved for the offers of a listing: the highest
+ * offer holds the reservation in an English auction, and every offer in a
+ * Vickrey auction. The caller saves the members.
+ * @param {org.acme.vehicle.auction.VehicleListing} listing - the vehicle listing
+ * @return {org.acme.vehicle.auction.Member[]} the members whose reservations were released
+ */
+function releaseReservations(listing) {
+    let reservedOffers = [];
+    if (listing.auctionType === 'VICKREY') {
+        reservedOffers = listing.offers || [];
+    } else if (highestOf(listing.offers)) {
+        reservedOffers = [highestOf(listing.offers)];
+    }
+    return reservedOffers.map(function(reservedOffer) {
+        reserveBalance(reservedOffer.member, -totalPrice(listing, reservedOffer.bidPrice));
+        return reservedOffer.member;
+    });
+}
+
+/**
+ * Get the sealed bids for a Vickrey auction that the caller can read
+ * @param {org.acme.vehicle.auction.VehicleListing} listing - the vehicle listing
+ * @return {org.acme.vehicle.auction.SealedBid[]} the sealed bids
+ */
+async function sealedBidsFor(listing) {
+    const listingRef = 'resource:org.acme.vehicle.auction.VehicleListing#' + listing.getIdentifier();
+    return query('selectSealedBidsByListing', { listing: listingRef });
+}
+
+/**
+ * Add the sealed bids of a Vickrey auction to the offers of its listing,
+ * and the retracted ones to its retracted offers, once the bidding has
+ * closed or the listing has been withdrawn. The sealed bids are removed.
+ * @param {org.acme.vehicle.auction.VehicleListing} listing - the vehicle listing
+ * @param {Function} getMember - resolves the relationship to the member of a bid
+ */
+async function revealSealedBids(listing, getMember) {
+    if (listing.auctionType !== 'VICKREY') {
+        return;
+    }
+    const sealedBids = await sealedBidsFor(listing);
+    if (sealedBids.length === 0) {
+        return;
+    }
+    listing.offers = listing.offers || [];
+    listing.retractedOffers = listing.retractedOffers || [];
+    for (const sealedBid of sealedBids) {
+        const offer = sealedBid.offer;
+        offer.member = await getMember(offer.member);
+        if (sealedBid.retracted) {
+            listing.retractedOffers.push(offer);
+        } else {
+            listing.offers.push(offer);
+        }
+    }
+    const sealedBidRegistry = await getAssetRegistry('org.acme.vehicle.auction.SealedBid');
+    await sealedBidRegistry.removeAll(sealedBids);
+}
+
+/**
+ * Get a function that resolves the relationship to a member from the registry
+ * @return {Function} the function
+ */
+async function memberResolver() {
+    const userRegistry = await getParticipantRegistry('org.acme.vehicle.auction.Member');
+    return function(relationship) {
+        return userRegistry.get(relationship.getIdentifier());
+    };
+}
+
+/**
+ * Add the offers and the outcome of a listing to the history of its vehicle
+ * @param {org.acme.vehicle.auction.VehicleListing} listing - the vehicle listing
+ * @param {org.acme.vehicle.auction.Member} seller - the seller
+ * @param {Date} timestamp - the time of the outcome
+ * @param {org.acme.vehicle.auction.Member} [buyer] - the buyer, if the vehicle was sold
+ * @param {Double} [price] - the price paid by the buyer, if the vehicle was sold
+ */
+async function archiveListing(listing, seller, timestamp, buyer, price) {
+    const factory = getFactory();
+    const record = factory.newConcept('org.acme.vehicle.auction', 'ListingRecord');
+    record.listingId = listing.getIdentifier();
+    record.state = listing.state;
+    record.reservePrice = listing.reservePrice;
+    record.offers = listing.offers || [];
+    record.retractedOffers = listing.retractedOffers || [];
+    record.timestamp = timestamp;
+    record.seller = seller;
+    if (buyer) {
+        record.buyer = buyer;
+        record.price = price;
+    }
+
+    const vin = listing.vehicle.getIdentifier();
+    const historyRegistry = await getAssetRegistry('org.acme.vehicle.auction.VehicleHistory');
+    if (await historyRegistry.exists(vin)) {
+        const history = await historyRegistry.get(vin);
+        history.records.push(record);
+        await historyRegistry.update(history);
+    } else {
+        const history = factory.newResource('org.acme.vehicle.auction', 'VehicleHistory', vin);
+        history.vehicle = factory.newRelationship('org.acme.vehicle.auction', 'Vehicle', vin);
+        history.records = [record];
+        await historyRegistry.add(history);
+    }
+}
+
+/**
+ * Sell the vehicle of a listing: the buyer pays the hammer price and the
+ * buyer's premium, the seller receives the hammer price less the seller's
+ * commission, and the auctioneer of the listing receives the premium and
+ * the commission. The buyer becomes the owner of the vehicle. The caller
+ * saves the vehicle listing and the auctioneer.
+ * @param {org.acme.vehicle.auction.VehicleListing} listing - the vehicle listing
+ * @param {org.acme.vehicle.auction.Member} buyer - the buyer
+ * @param {Double} price - the hammer price
+ * @param {Date} timestamp - the time of the sale
+ */
+async function sellVehicle(listing, buyer, price, timestamp) {
+    const premium = buyersPremium(listing, price);
+    const commission = price * (listing.sellerCommission || 0) / 100;
+    const auctioneer = listing.auctioneer;
+    if ((premium > 0 || commission > 0) && !auctioneer) {
+        throw new Error('Listing ' + listing.getIdentifier() + ' charges fees but has no auctioneer');
+    }
+
+    // mark the listing as SOLD
+    listing.state = 'SOLD';
+    const seller = listing.vehicle.owner;
+    // update the balance of the seller
+    console.log('#### seller balance before: ' + seller.balance);
+    seller.balance += price - commission;
+    console.log('#### seller balance after: ' + seller.balance);
+    // update the balance of the buyer
+    console.log('#### buyer balance before: ' + buyer.balance);
+    buyer.balance -= price + premium;
+    console.log('#### buyer balance after: ' + buyer.balance);
+    // transfer the vehicle to the buyer
+    listing.vehicle.owner = buyer;
+    await archiveListing(listing, seller, timestamp, buyer, price);
+
+    const settlement = getFactory().newEvent('org.acme.vehicle.auction', 'AuctionSettlement');
+    settlement.hammerPrice = price;
+    settlement.buyersPremium = premium;
+    settlement.sellerCommission = commission;
+    settlement.buyerTotal = price + premium;
+    settlement.sellerProceeds = price - commission;
+    settlement.listing = listing;
+    settlement.buyer = buyer;
+    settlement.seller = seller;
+    if (auctioneer) {
+        settlement.auctioneer = auctioneer;
+        auctioneer.balance = (auctioneer.balance || 0) + premium + commission;
+    }
+    emit(settlement);
+
+    // save the vehicle
+    const vehicleRegistry = await getAssetRegistry('org.acme.vehicle.auction.Vehicle');
+    await vehicleRegistry.update(listing.vehicle);
+
+    // save the buyer and seller
+    const userRegistry = await getParticipantRegistry('org.acme.vehicle.auction.Member');
+    await userRegistry.updateAll([buyer, seller]);
+}
+
+/**
+ * Save the fees credited to the auctioneer of a vehicle listing that has
+ * been sold.
+ * @param {org.acme.vehicle.auction.VehicleListing} listing - the vehicle listing
+ */
+async function saveAuctioneer(listing) {
+    if (listing.state === 'SOLD' && listing.auctioneer) {
+        const auctioneerRegistry = await getParticipantRegistry('org.acme.vehicle.auction.Auctioneer');
+        await auctioneerRegistry.update(listing.auctioneer);
+    }
+}
+
+/**
+ * Settle a vehicle listing and choose the highest bid that is over
+ * the asking price. Under a Vickrey auction the sealed bids are revealed
+ * first, and the highest bidder pays the second highest price. The caller
+ * saves the auctioneer.
+ * @param {org.acme.vehicle.auction.VehicleListing} listing - the vehicle listing
+ * @param {Date} timestamp - the time the bidding closed
+ * @param {Function} getMember - resolves the relationship to the member of a sealed bid
+ */
+async function settleListing(listing, timestamp, getMember) {
     if (listing.state !== 'FOR_SALE') {
         throw new Error('Listing is not FOR SALE');
     }
+    await revealSealedBids(listing, getMember);
     // by default we mark the listing as RESERVE_NOT_MET
     listing.state = 'RESERVE_NOT_MET';
-    let highestOffer = null;
-    let buyer = null;
-    let seller = null;
     if (listing.offers && listing.offers.length > 0) {
         // sort the bids by bidPrice
         listing.offers.sort(function(a, b) {
             return (b.bidPrice - a.bidPrice);
         });
-        highestOffer = listing.offers[0];
+        // release the balances reserved for the bids, the highest bid first
+        const bidders = releaseReservations(listing);
+        const highestOffer = listing.offers[0];
         if (highestOffer.bidPrice >= listing.reservePrice) {
-            // mark the listing as SOLD
-            listing.state = 'SOLD';
-            buyer = highestOffer.member;
-            seller = listing.vehicle.owner;
-            // update the balance of the seller
-            console.log('#### seller balance before: ' + seller.balance);
-            seller.balance += highestOffer.bidPrice;
-            console.log('#### seller balance after: ' + seller.balance);
-            // update the balance of the buyer
-            console.log('#### buyer balance before: ' + buyer.balance);
-            buyer.balance -= highestOffer.bidPrice;
-            console.log('#### buyer balance after: ' + buyer.balance);
-            // transfer the vehicle to the buyer
-            listing.vehicle.owner = buyer;
-            // clear the offers
-            listing.offers = null;
-        }
-    }
-
-    if (highestOffer) {
-        // save the vehicle
-        const vehicleRegistry = await getAssetRegistry('org.acme.vehicle.auction.Vehicle');
-        await vehicleRegistry.update(listing.vehicle);
+            let price = highestOffer.bidPrice;
+            if (listing.auctionType === 'VICKREY') {
+                // the winner pays the second highest price, and at least the reserve price
+                price = listing.reservePrice;
+                if (listing.offers.length > 1 && listing.offers[1].bidPrice > price) {
+                    price = listing.offers[1].bidPrice;
+                }
+            }
+            await sellVehicle(listing, highestOffer.member, price, timestamp);
+            // the buyer has been saved with the sale
+            bidders.shift();
+        }
+        if (bidders.length > 0) {
+            const userRegistry = await getParticipantRegistry('org.acme.vehicle.auction.Member');
+            await userRegistry.updateAll(bidders);
+        }
+    }
+    if (listing.state === 'RESERVE_NOT_MET') {
+        await archiveListing(listing, listing.vehicle.owner, timestamp);
     }
 
     // save the vehicle listing
     const vehicleListingRegistry = await getAssetRegistry('org.acme.vehicle.auction.VehicleListing');
     await vehicleListingRegistry.update(listing);
+}
 
-    if (listing.state === 'SOLD') {
-        // save the buyer
-        const userRegistry = await getParticipantRegistry('org.acme.vehicle.auction.Member');
-        await userRegistry.updateAll([buyer, seller]);
+/**
+ * Close the bidding for a vehicle listing and choose the
+ * highest bid that is over the asking price. Under a Vickrey
+ * auction the highest bidder pays the second highest price.
+ * @param {org.acme.vehicle.auction.CloseBidding} closeBidding - the closeBidding transaction
+ * @transaction
+ */
+async function closeBidding(closeBidding) {  // eslint-disable-line no-unused-vars
+    await settleListing(closeBidding.listing, closeBidding.timestamp, await memberResolver());
+    await saveAuctioneer(closeBidding.listing);
+}
+
+/**
+ * Close the bidding for every vehicle listing that is for sale and whose
+ * end time has passed. Listings from the registry are not resolved, so the
+ * vehicle, its owner, the auctioneer and the bidding members are resolved
+ * here, sharing one copy of each member and auctioneer across all of the
+ * listings. Each auctioneer is saved once, after every listing is settled.
+ * @param {org.acme.vehicle.auction.CloseExpiredListings} closeExpiredListings - the closeExpiredListings transaction
+ * @transaction
+ */
+async function closeExpiredListings(closeExpiredListings) {  // eslint-disable-line no-unused-vars
+    const vehicleListingRegistry = await getAssetRegistry('org.acme.vehicle.auction.VehicleListing');
+    const vehicleRegistry = await getAssetRegistry('org.acme.vehicle.auction.Vehicle');
+    const userRegistry = await getParticipantRegistry('org.acme.vehicle.auction.Member');
+    const auctioneerRegistry = await getParticipantRegistry('org.acme.vehicle.auction.Auctioneer');
+    const members = {};
+    const auctioneers = {};
+
+    /**
+     * Get a member, using the copy already resolved for an earlier listing
+     * @param {Relationship} relationship - the relationship to the member
+     * @return {org.acme.vehicle.auction.Member} the member
+     */
+    async function getMember(relationship) {
+        const email = relationship.getIdentifier();
+        if (!members[email]) {
+            members[email] = await userRegistry.get(email);
+        }
+        return members[email];
+    }
+
+    /**
+     * Get an auctioneer, using the copy already resolved for an earlier listing
+     * @param {Relationship} relationship - the relationship to the auctioneer
+     * @return {org.acme.vehicle.auction.Auctioneer} the auctioneer
+     */
+    async function getAuctioneer(relationship) {
+        const email = relationship.getIdentifier();
+        if (!auctioneers[email]) {
+            auctioneers[email] = await auctioneerRegistry.get(email);
+        }
+        return auctioneers[email];
+    }
+
+    const listings = await vehicleListingRegistry.getAll();
+    for (const listing of listings) {
+        if (listing.state !== 'FOR_SALE' || !listing.endTime || listing.endTime > closeExpiredListings.timestamp) {
+            continue;
+        }
+        listing.vehicle = await vehicleRegistry.get(listing.vehicle.getIdentifier());
+        listing.vehicle.owner = await getMember(listing.vehicle.owner);
+        if (listing.auctioneer) {
+            listing.auctioneer = await getAuctioneer(listing.auctioneer);
+        }
+        for (const offer of listing.offers || []) {
+            offer.member = await getMember(offer.member);
+        }
+        await settleListing(listing, closeExpiredListings.timestamp, getMember);
+    }
+
+    // save the fees of the auctioneers
+    const resolved = Object.keys(auctioneers).map(function(email) {
+        return auctioneers[email];
+    });
+    if (resolved.length > 0) {
+        await auctioneerRegistry.updateAll(resolved);
     }
 }
 
 /**
- * Make an Offer for a VehicleListing
+ * Make an Offer for a VehicleListing. Under a Vickrey auction every
+ * member makes a single sealed bid, which is kept as a SealedBid rather
+ * than with the offers of the listing, and under a Dutch auction the
+ * first bid at the current price buys the vehicle immediately.
+ * The bid is reserved against the balance of the member: under an
+ * English auction only the highest offer holds a reservation, and the
+ * member that has been outbid gets their reservation back.
  * @param {org.acme.vehicle.auction.Offer} offer - the offer
  * @transaction
  */
 async function makeOffer(offer) {  // eslint-disable-line no-unused-vars
     let listing = offer.listing;
+    const bidder = offer.member;
     if (listing.state !== 'FOR_SALE') {
         throw new Error('Listing is not FOR SALE');
     }
+    if (bidder.getIdentifier() === listing.vehicle.owner.getIdentifier()) {
+        throw new Error('Member ' + bidder.getIdentifier() + ' cannot bid on their own vehicle');
+    }
+    if (listing.startTime && offer.timestamp < listing.startTime) {
+        throw new Error('Listing ' + listing.getIdentifier() + ' is not open for bidding until ' + listing.startTime.toISOString());
+    }
+    if (listing.endTime && offer.timestamp >= listing.endTime) {
+        throw new Error('Bidding for listing ' + listing.getIdentifier() + ' closed at ' + listing.endTime.toISOString());
+    }
     if (!listing.offers) {
         listing.offers = [];
     }
-    listing.offers.push(offer);
+    let price = offer.bidPrice;
+    if (listing.auctionType === 'DUTCH') {
+        price = dutchPrice(listing, offer.timestamp);
+        if (offer.bidPrice < price) {
+            throw new Error('Bid is below the current price of ' + price);
+        }
+    }
+    if (listing.auctionType === 'VICKREY') {
+        const previousBid = (await sealedBidsFor(listing)).find(function(sealedBid) {
+            return !sealedBid.retracted && sealedBid.member.getIdentifier() === offer.member.getIdentifier();
+        });
+        if (previousBid) {
+            throw new Error('Member ' + offer.member.getIdentifier() + ' has already made a sealed bid');
+        }
+    }
+
+    // the highest offer so far holds the reservation in an English auction
+    const english = !listing.auctionType || listing.auctionType === 'ENGLISH';
+    const highestOffer = highestOf(listing.offers);
+    const raisingOwnBid = english && highestOffer && highestOffer.member.getIdentifier() === bidder.getIdentifier();
+    let available = availableBalance(bidder);
+    if (raisingOwnBid) {
+        available += totalPrice(listing, highestOffer.bidPrice);
+    }
+    if (totalPrice(listing, price) > available) {
+        throw new Error('Member ' + bidder.getIdentifier() + ' has insufficient balance to bid ' + price);
+    }
+    if (listing.auctionType !== 'VICKREY') {
+        listing.offers.push(offer);
+    }
+
+    // a bid in the final extension interval extends the end time, so that
+    // other members have the chance to respond to it
+    if (listing.endTime && listing.extensionInterval) {
+        const extendedTime = new Date(offer.timestamp.getTime() + listing.extensionInterval * 1000);
+        if (extendedTime > listing.endTime) {
+            listing.endTime = extendedTime;
+        }
+    }
+
+    if (listing.auctionType === 'DUTCH') {
+        await sellVehicle(listing, bidder, price, offer.timestamp);
+        await saveAuctioneer(listing);
+    } else {
+        const members = [bidder];
+        if (listing.auctionType === 'VICKREY') {
+            reserveBalance(bidder, totalPrice(listing, offer.bidPrice));
+
+            const factory = getFactory();
+            const sealedBid = factory.newResource('org.acme.vehicle.auction', 'SealedBid', offer.getIdentifier());
+            sealedBid.offer = offer;
+            sealedBid.listing = factory.newRelationship('org.acme.vehicle.auction', 'VehicleListing', listing.getIdentifier());
+            sealedBid.member = factory.newRelationship('org.acme.vehicle.auction', 'Member', bidder.getIdentifier());
+            const sealedBidRegistry = await getAssetRegistry('org.acme.vehicle.auction.SealedBid');
+            await sealedBidRegistry.add(sealedBid);
+        } else if (!highestOffer || offer.bidPrice > highestOffer.bidPrice) {
+            // the new highest offer takes over the reservation
+            if (raisingOwnBid) {
+                reserveBalance(bidder, -totalPrice(listing, highestOffer.bidPrice));
+            } else if (highestOffer) {
+                reserveBalance(highestOffer.member, -totalPrice(listing, highestOffer.bidPrice));
+                members.push(highestOffer.member);
+
+                const outbid = getFactory().newEvent('org.acme.vehicle.auction', 'OutbidNotification');
+                outbid.bidPrice = highestOffer.bidPrice;
+                outbid.highestBidPrice = offer.bidPrice;
+                outbid.member = highestOffer.member;
+                outbid.listing = listing;
+                emit(outbid);
+            }
+            reserveBalance(bidder, totalPrice(listing, offer.bidPrice));
+        }
+
+        // save the reservations
+        const userRegistry = await getParticipantRegistry('org.acme.vehicle.auction.Member');
+        await userRegistry.updateAll(members);
+    }
+
+    // save the vehicle listing
+    const vehicleListingRegistry = await getAssetRegistry('org.acme.vehicle.auction.VehicleListing');
+    await vehicleListingRegistry.update(listing);
+}
+
+/**
+ * Check that a vehicle can be put up for sale: the caller must own the
+ * vehicle, the vehicle must not have another listing for sale, and the
+ * vehicle must have a condition report from the last
+ * CONDITION_REPORT_MAX_AGE days.
+ * @param {org.acme.vehicle.auction.Vehicle} vehicle - the vehicle
+ * @param {DateTime} timestamp - the time of the listing
+ * @return {org.acme.vehicle.auction.ConditionReport} the most recent condition report
+ */
+async function checkListable(vehicle, timestamp) {
+    const vin = vehicle.getIdentifier();
+    const caller = getCurrentParticipant();
+    if (!caller || caller.getFullyQualifiedType() !== 'org.acme.vehicle.auction.Member' || caller.getIdentifier() !== vehicle.owner.getIdentifier()) {
+        throw new Error('Only the owner of vehicle ' + vin + ' can list it');
+    }
+
+    const vehicleRef = 'resource:org.acme.vehicle.auction.Vehicle#' + vin;
+    const activeListings = await query('selectListingsByVehicleInState', { vehicle: vehicleRef, state: 'FOR_SALE' });
+    if (activeListings.length > 0) {
+        throw new Error('Vehicle ' + vin + ' is already listed for sale in listing ' + activeListings[0].getIdentifier());
+    }
+
+    const oldest = new Date(timestamp.getTime() - CONDITION_REPORT_MAX_AGE * 24 * 60 * 60 * 1000);
+    let conditionReport = null;
+    const conditionReports = await query('selectConditionReportsByVehicle', { vehicle: vehicleRef });
+    conditionReports.forEach(function(report) {
+        if (report.inspectionDate >= oldest && report.inspectionDate <= timestamp &&
+            (!conditionReport || report.inspectionDate > conditionReport.inspectionDate)) {
+            conditionReport = report;
+        }
+    });
+    if (!conditionReport) {
+        throw new Error('Vehicle ' + vin + ' has no condition report from the last ' + CONDITION_REPORT_MAX_AGE + ' days');
+    }
+    return conditionReport;
+}
+
+/**
+ * List a vehicle for sale. The vehicle must pass checkListable, and its
+ * most recent condition report is attached to the listing.
+ * @param {org.acme.vehicle.auction.CreateListing} createListing - the createListing transaction
+ * @transaction
+ */
+async function createListing(createListing) {  // eslint-disable-line no-unused-vars
+    const vin = createListing.vehicle.getIdentifier();
+    const conditionReport = await checkListable(createListing.vehicle, createListing.timestamp);
+
+    const factory = getFactory();
+    const listing = factory.newResource('org.acme.vehicle.auction', 'VehicleListing', createListing.listingId);
+    listing.state = 'FOR_SALE';
+    const fields = ['reservePrice', 'description', 'auctionType', 'startingPrice', 'priceDecrement', 'decrementInterval',
+        'startTime', 'endTime', 'extensionInterval', 'buyersPremium', 'sellerCommission', 'auctioneer'];
+    fields.forEach(function(field) {
+        if (createListing[field] !== undefined && createListing[field] !== null) {
+            listing[field] = createListing[field];
+        }
+    });
+    listing.conditionReport = factory.newRelationship('org.acme.vehicle.auction', 'ConditionReport', conditionReport.getIdentifier());
+    listing.vehicle = factory.newRelationship('org.acme.vehicle.auction', 'Vehicle', vin);
+
+    // save the vehicle listing
+    const vehicleListingRegistry = await getAssetRegistry('org.acme.vehicle.auction.VehicleListing');
+    await vehicleListingRegistry.add(listing);
+}
+
+/**
+ * Check that a transaction is submitted by a member on their own behalf,
+ * or by the network admin
+ * @param {org.acme.vehicle.auction.Member} member - the member
+ * @param {String} message - the error if the caller is someone else
+ */
+function checkCaller(member, message) {
+    const caller = getCurrentParticipant();
+    if (caller && caller.getFullyQualifiedType() === 'org.hyperledger.composer.system.NetworkAdmin') {
+        return;
+    }
+    if (!caller || caller.getFullyQualifiedType() !== 'org.acme.vehicle.auction.Member' || caller.getIdentifier() !== member.getIdentifier()) {
+        throw new Error(message);
+    }
+}
+
+/**
+ * Withdraw a vehicle listing that is for sale, and release the
+ * balances reserved for its offers. Only the owner of the vehicle
+ * can withdraw its listing.
+ * @param {org.acme.vehicle.auction.WithdrawListing} withdrawListing - the withdrawListing transaction
+ * @transaction
+ */
+async function withdrawListing(withdrawListing) {  // eslint-disable-line no-unused-vars
+    const listing = withdrawListing.listing;
+    checkCaller(listing.vehicle.owner, 'Only the owner of vehicle ' + listing.vehicle.getIdentifier() + ' can withdraw listing ' + listing.getIdentifier());
+    if (listing.state !== 'FOR_SALE') {
+        throw new Error('Listing is not FOR SALE');
+    }
+    await revealSealedBids(listing, await memberResolver());
+    const bidders = releaseReservations(listing);
+    if (bidders.length > 0) {
+        const userRegistry = await getParticipantRegistry('org.acme.vehicle.auction.Member');
+        await userRegistry.updateAll(bidders);
+    }
+    listing.state = 'WITHDRAWN';
+    await archiveListing(listing, listing.vehicle.owner, withdrawListing.timestamp);
+
+    // save the vehicle listing
+    const vehicleListingRegistry = await getAssetRegistry('org.acme.vehicle.auction.VehicleListing');
+    await vehicleListingRegistry.update(listing);
+}
+
+/**
+ * Retract the offers of a member for a vehicle listing that is for sale.
+ * If the member held the highest offer of an English auction, the next
+ * highest offer takes over the reservation; offers whose members can no
+ * longer cover them lapse, and are kept with the retracted offers.
+ * A sealed bid of a Vickrey auction is marked as retracted, and stays
+ * sealed until the bidding closes. Only the member can retract their offers.
+ * @param {org.acme.vehicle.auction.RetractOffer} retractOffer - the retractOffer transaction
+ * @transaction
+ */
+async function retractOffer(retractOffer) {  // eslint-disable-line no-unused-vars
+    const listing = retractOffer.listing;
+    const member = retractOffer.member;
+    checkCaller(member, 'Only member ' + member.getIdentifier() + ' can retract their offers');
+    if (listing.state !== 'FOR_SALE') {
+        throw new Error('Listing is not FOR SALE');
+    }
+    if (listing.auctionType === 'VICKREY') {
+        const sealedBid = (await sealedBidsFor(listing)).find(function(bid) {
+            return !bid.retracted && bid.member.getIdentifier() === member.getIdentifier();
+        });
+        if (!sealedBid) {
+            throw new Error('Member ' + member.getIdentifier() + ' has no offer for listing ' + listing.getIdentifier());
+        }
+        sealedBid.retracted = true;
+        reserveBalance(member, -totalPrice(listing, sealedBid.offer.bidPrice));
+        const sealedBidRegistry = await getAssetRegistry('org.acme.vehicle.auction.SealedBid');
+        await sealedBidRegistry.update(sealedBid);
+        const userRegistry = await getParticipantRegistry('org.acme.vehicle.auction.Member');
+        await userRegistry.update(member);
+        return;
+    }
+    const isRetracted = function(offer) {
+        return offer.member.getIdentifier() === member.getIdentifier();
+    };
+    const retracted = (listing.offers || []).filter(isRetracted);
+    if (retracted.length === 0) {
+        throw new Error('Member ' + member.getIdentifier() + ' has no offer for listing ' + listing.getIdentifier());
+    }
+    if (!listing.retractedOffers) {
+        listing.retractedOffers = [];
+    }
+
+    const members = [member];
+    const previousHighestOffer = highestOf(listing.offers);
+    listing.offers = listing.offers.filter(function(offer) {
+        return !isRetracted(offer);
+    });
+    listing.retractedOffers = listing.retractedOffers.concat(retracted);
+    if (isRetracted(previousHighestOffer)) {
+        reserveBalance(member, -totalPrice(listing, previousHighestOffer.bidPrice));
+        let highestOffer = highestOf(listing.offers);
+        while (highestOffer && availableBalance(highestOffer.member) < totalPrice(listing, highestOffer.bidPrice)) {
+            listing.offers.splice(listing.offers.indexOf(highestOffer), 1);
+            listing.retractedOffers.push(highestOffer);
+            highestOffer = highestOf(listing.offers);
+        }
+        if (highestOffer) {
+            reserveBalance(highestOffer.member, totalPrice(listing, highestOffer.bidPrice));
+            members.push(highestOffer.member);
+        }
+    }
+
+    // save the reservations
+    const userRegistry = await getParticipantRegistry('org.acme.vehicle.auction.Member');
+    await userRegistry.updateAll(members);
+
+    // save the vehicle listing
+    const vehicleListingRegistry = await getAssetRegistry('org.acme.vehicle.auction.VehicleListing');
+    await vehicleListingRegistry.update(listing);
+}
+
+/**
+ * Put a vehicle listing whose reserve was not met up for sale again, with
+ * a new reserve price and auction window. The vehicle must pass the same
+ * checkListable checks as a new listing, and its most recent condition
+ * report replaces the one on the listing. The offers of the previous
+ * auction are kept in the history of the vehicle.
+ * @param {org.acme.vehicle.auction.RelistVehicle} relistVehicle - the relistVehicle transaction
+ * @transaction
+ */
+async function relistVehicle(relistVehicle) {  // eslint-disable-line no-unused-vars
+    const listing = relistVehicle.listing;
+    if (listing.state !== 'RESERVE_NOT_MET') {
+        throw new Error('Listing ' + listing.getIdentifier() + ' can only be relisted when the reserve was not met');
+    }
+    const conditionReport = await checkListable(listing.vehicle, relistVehicle.timestamp);
+
+    listing.state = 'FOR_SALE';
+    listing.conditionReport = getFactory().newRelationship('org.acme.vehicle.auction', 'ConditionReport', conditionReport.getIdentifier());
+    listing.reservePrice = relistVehicle.reservePrice;
+    listing.startTime = relistVehicle.startTime;
+    listing.endTime = relistVehicle.endTime;
+    listing.offers = null;
+    listing.retractedOffers = null;
 
     // save the vehicle listing
     const vehicleListingRegistry = await getAssetRegistry('org.acme.vehicle.auction.VehicleListing');
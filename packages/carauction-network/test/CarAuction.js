@@ -19,7 +19,9 @@ const BusinessNetworkConnection = require('composer-client').BusinessNetworkConn
 const { BusinessNetworkDefinition, CertificateUtil, IdCard } = require('composer-common');
 const path = require('path');
 
-require('chai').should();
+const chai = require('chai');
+chai.should();
+chai.use(require('chai-as-promised'));
 
 const NS = 'org.acme.vehicle.auction';
 
@@ -27,6 +29,7 @@ describe('CarAuction', () => {
     // In-memory card store for testing so cards are not persisted to the file system
     const cardStore = require('composer-common').NetworkCardStoreManager.getCardStore( { type: 'composer-wallet-inmemory' } );
     let adminConnection;
+    let adminCardName;
     let businessNetworkConnection;
 
     before(async () => {
@@ -58,7 +61,6 @@ describe('CarAuction', () => {
         businessNetworkConnection = new BusinessNetworkConnection({ cardStore: cardStore });
 
         const adminUserName = 'admin';
-        let adminCardName;
         let businessNetworkDefinition = await BusinessNetworkDefinition.fromDirectory(path.resolve(__dirname, '..'));
 
         // Install the Composer runtime for the new business network
@@ -83,6 +85,145 @@ describe('CarAuction', () => {
         await businessNetworkConnection.connect(adminCardName);
     });
 
+    /**
+     * Add a seller, two buyers and a vehicle listing for CAR_001 with a reserve price of 100.
+     * @param {Object} [fields] Additional fields of the vehicle listing
+     * @return {Factory} The factory of the business network
+     */
+    async function setupListing(fields) {
+        const factory = businessNetworkConnection.getBusinessNetwork().getFactory();
+
+        const seller = factory.newResource(NS, 'Member', 'daniel.selman@example.com');
+        seller.firstName = 'Dan';
+        seller.lastName = 'Selman';
+        seller.balance = 0;
+
+        const buyer = factory.newResource(NS, 'Member', 'sstone1@example.com');
+        buyer.firstName = 'Simon';
+        buyer.lastName = 'Stone';
+        buyer.balance = 1000;
+
+        const buyer2 = factory.newResource(NS, 'Member', 'whitemat@example.com');
+        buyer2.firstName = 'Matthew';
+        buyer2.lastName = 'White';
+        buyer2.balance = 1000;
+
+        const vehicle = factory.newResource(NS, 'Vehicle', 'CAR_001');
+        vehicle.owner = factory.newRelationship(NS, 'Member', seller.$identifier);
+
+        const listing = factory.newResource(NS, 'VehicleListing', 'LISTING_001');
+        listing.reservePrice = 100;
+        listing.description = 'My nice car';
+        listing.state = 'FOR_SALE';
+        listing.vehicle = factory.newRelationship(NS, 'Vehicle', vehicle.$identifier);
+        Object.assign(listing, fields);
+
+        const userRegistry = await businessNetworkConnection.getParticipantRegistry(NS + '.Member');
+        await userRegistry.addAll([seller, buyer, buyer2]);
+        const vehicleRegistry = await businessNetworkConnection.getAssetRegistry(NS + '.Vehicle');
+        await vehicleRegistry.add(vehicle);
+        const vehicleListingRegistry = await businessNetworkConnection.getAssetRegistry(NS + '.VehicleListing');
+        await vehicleListingRegistry.add(listing);
+        return factory;
+    }
+
+    /**
+     * Submit an offer for LISTING_001.
+     * @param {String} memberId The identifier of the bidding member
+     * @param {Number} bidPrice The bid price
+     */
+    async function bid(memberId, bidPrice) {
+        const factory = businessNetworkConnection.getBusinessNetwork().getFactory();
+        const offer = factory.newTransaction(NS, 'Offer');
+        offer.member = factory.newRelationship(NS, 'Member', memberId);
+        offer.listing = factory.newRelationship(NS, 'VehicleListing', 'LISTING_001');
+        offer.bidPrice = bidPrice;
+        await businessNetworkConnection.submitTransaction(offer);
+    }
+
+    /**
+     * Submit a transaction for LISTING_001.
+     * @param {String} type The type of the transaction
+     * @param {Object} [fields] Additional fields of the transaction
+     */
+    async function submitForListing(type, fields) {
+        const factory = businessNetworkConnection.getBusinessNetwork().getFactory();
+        const transaction = factory.newTransaction(NS, type);
+        transaction.listing = factory.newRelationship(NS, 'VehicleListing', 'LISTING_001');
+        Object.assign(transaction, fields);
+        await businessNetworkConnection.submitTransaction(transaction);
+    }
+
+    /**
+     * Reconnect as a member, using a newly issued identity.
+     * @param {String} memberId The identifier of the member
+     * @param {String} [type] The type of the participant, Member by default
+     */
+    async function useIdentity(memberId, type) {
+        const userName = memberId.split('@')[0];
+        const identity = await businessNetworkConnection.issueIdentity(NS + '.' + (type || 'Member') + '#' + memberId, userName);
+        const metadata = {
+            userName: identity.userID,
+            version: 1,
+            enrollmentSecret: identity.userSecret,
+            businessNetwork: businessNetworkConnection.getBusinessNetwork().getName()
+        };
+        const cardName = `${userName}@${metadata.businessNetwork}`;
+        await adminConnection.importCard(cardName, new IdCard(metadata, { name: 'embedded', 'x-type': 'embedded' }));
+
+        await businessNetworkConnection.disconnect();
+        businessNetworkConnection = new BusinessNetworkConnection({ cardStore: cardStore });
+        await businessNetworkConnection.connect(cardName);
+    }
+
+    /**
+     * Reconnect as the network admin.
+     */
+    async function useAdmin() {
+        await businessNetworkConnection.disconnect();
+        businessNetworkConnection = new BusinessNetworkConnection({ cardStore: cardStore });
+        await businessNetworkConnection.connect(adminCardName);
+    }
+
+    /**
+     * Add a condition report for CAR_001.
+     * @param {Number} age The age of the condition report in days
+     */
+    async function addConditionReport(age) {
+        const factory = businessNetworkConnection.getBusinessNetwork().getFactory();
+        const report = factory.newResource(NS, 'ConditionReport', 'REPORT_001');
+        report.odometer = 42000;
+        report.damageNotes = ['Scratch on the rear bumper'];
+        report.inspectionDate = new Date(Date.now() - age * 24 * 60 * 60 * 1000);
+        report.vehicle = factory.newRelationship(NS, 'Vehicle', 'CAR_001');
+        const reportRegistry = await businessNetworkConnection.getAssetRegistry(NS + '.ConditionReport');
+        await reportRegistry.add(report);
+    }
+
+    /**
+     * End the auction window of vehicle listings, by moving their end time into the past.
+     * @param {String[]} listingIds The identifiers of the listings
+     */
+    async function endAuctionWindow(listingIds) {
+        const vehicleListingRegistry = await businessNetworkConnection.getAssetRegistry(NS + '.VehicleListing');
+        for (const listingId of listingIds) {
+            const listing = await vehicleListingRegistry.get(listingId);
+            listing.endTime = new Date(Date.now() - 1000);
+            await vehicleListingRegistry.update(listing);
+        }
+    }
+
+    /**
+     * Get the balance of a member.
+     * @param {String} memberId The identifier of the member
+     * @return {Number} The balance of the member
+     */
+    async function balanceOf(memberId) {
+        const userRegistry = await businessNetworkConnection.getParticipantRegistry(NS + '.Member');
+        const member = await userRegistry.get(memberId);
+        return member.balance;
+    }
+
     describe('#makeOffer', () => {
 
         it('should add the offer to the offers of a vehicle listing', async () => {
@@ -235,4 +376,507 @@ describe('CarAuction', () => {
             });
         });
     });
+
+    describe('#reservation', () => {
+        it('should reject a bid above the available balance of the member', async () => {
+            await setupListing();
+            await bid('sstone1@example.com', 1500).should.be.rejectedWith(/insufficient balance to bid 1500/);
+        });
+
+        it('should reject a bid by the owner of the vehicle', async () => {
+            await setupListing();
+            await bid('daniel.selman@example.com', 200).should.be.rejectedWith(/cannot bid on their own vehicle/);
+        });
+
+        it('should release the reservation of a member that has been outbid', async () => {
+            const events = [];
+            businessNetworkConnection.on('event', (event) => {
+                events.push(event);
+            });
+            const factory = await setupListing();
+            const userRegistry = await businessNetworkConnection.getParticipantRegistry(NS + '.Member');
+            await bid('sstone1@example.com', 300);
+            (await userRegistry.get('sstone1@example.com')).reservedBalance.should.equal(300);
+
+            await bid('whitemat@example.com', 400);
+            (await userRegistry.get('sstone1@example.com')).reservedBalance.should.equal(0);
+            (await userRegistry.get('whitemat@example.com')).reservedBalance.should.equal(400);
+            events.length.should.equal(1);
+            events[0].getType().should.equal('OutbidNotification');
+            events[0].member.getIdentifier().should.equal('sstone1@example.com');
+            events[0].bidPrice.should.equal(300);
+            events[0].highestBidPrice.should.equal(400);
+
+            // the reservation held for the bid is released when the bidding closes
+            const closeBidding = factory.newTransaction(NS, 'CloseBidding');
+            closeBidding.listing = factory.newRelationship(NS, 'VehicleListing', 'LISTING_001');
+            await businessNetworkConnection.submitTransaction(closeBidding);
+            const buyer = await userRegistry.get('whitemat@example.com');
+            buyer.balance.should.equal(600);
+            buyer.reservedBalance.should.equal(0);
+        });
+
+        it('should count the reservation of the highest offer when a member raises their own bid', async () => {
+            await setupListing();
+            const userRegistry = await businessNetworkConnection.getParticipantRegistry(NS + '.Member');
+            await bid('sstone1@example.com', 600);
+            await bid('sstone1@example.com', 900);
+            (await userRegistry.get('sstone1@example.com')).reservedBalance.should.equal(900);
+        });
+    });
+
+    describe('#auctionWindow', () => {
+        it('should reject bids outside the auction window', async () => {
+            await setupListing({ startTime: new Date(Date.now() + 60 * 60 * 1000) });
+            await bid('sstone1@example.com', 200).should.be.rejectedWith(/is not open for bidding until/);
+
+            const vehicleListingRegistry = await businessNetworkConnection.getAssetRegistry(NS + '.VehicleListing');
+            const listing = await vehicleListingRegistry.get('LISTING_001');
+            listing.startTime = new Date(Date.now() - 2 * 60 * 60 * 1000);
+            listing.endTime = new Date(Date.now() - 60 * 60 * 1000);
+            await vehicleListingRegistry.update(listing);
+            await bid('sstone1@example.com', 200).should.be.rejectedWith(/Bidding for listing LISTING_001 closed at/);
+        });
+
+        it('should extend the end time for a bid in the final extension interval', async () => {
+            const endTime = new Date(Date.now() + 60 * 1000);
+            await setupListing({ endTime: endTime, extensionInterval: 5 * 60 });
+            await bid('sstone1@example.com', 200);
+
+            const vehicleListingRegistry = await businessNetworkConnection.getAssetRegistry(NS + '.VehicleListing');
+            const listing = await vehicleListingRegistry.get('LISTING_001');
+            listing.endTime.getTime().should.be.above(endTime.getTime() + 3 * 60 * 1000);
+        });
+
+        it('should close the bidding for expired listings', async () => {
+            const factory = await setupListing({ endTime: new Date(Date.now() + 60 * 60 * 1000) });
+            await bid('sstone1@example.com', 300);
+
+            const closeExpiredListings = factory.newTransaction(NS, 'CloseExpiredListings');
+            await businessNetworkConnection.submitTransaction(closeExpiredListings);
+            const vehicleListingRegistry = await businessNetworkConnection.getAssetRegistry(NS + '.VehicleListing');
+            let listing = await vehicleListingRegistry.get('LISTING_001');
+            listing.state.should.equal('FOR_SALE');
+
+            await endAuctionWindow(['LISTING_001']);
+            await businessNetworkConnection.submitTransaction(factory.newTransaction(NS, 'CloseExpiredListings'));
+            listing = await vehicleListingRegistry.get('LISTING_001');
+            listing.state.should.equal('SOLD');
+            (await balanceOf('sstone1@example.com')).should.equal(700);
+            (await balanceOf('daniel.selman@example.com')).should.equal(300);
+        });
+    });
+
+    describe('#listingHistory', () => {
+        it('should release the reservations and record the history when a listing is withdrawn', async () => {
+            await setupListing();
+            await bid('sstone1@example.com', 300);
+            await submitForListing('WithdrawListing');
+
+            const vehicleListingRegistry = await businessNetworkConnection.getAssetRegistry(NS + '.VehicleListing');
+            (await vehicleListingRegistry.get('LISTING_001')).state.should.equal('WITHDRAWN');
+            const userRegistry = await businessNetworkConnection.getParticipantRegistry(NS + '.Member');
+            (await userRegistry.get('sstone1@example.com')).reservedBalance.should.equal(0);
+
+            const historyRegistry = await businessNetworkConnection.getAssetRegistry(NS + '.VehicleHistory');
+            const history = await historyRegistry.get('CAR_001');
+            history.records.length.should.equal(1);
+            history.records[0].state.should.equal('WITHDRAWN');
+            history.records[0].offers.length.should.equal(1);
+            await bid('whitemat@example.com', 400).should.be.rejectedWith(/Listing is not FOR SALE/);
+        });
+
+        it('should pass the reservation to the next highest offer when the highest offer is retracted', async () => {
+            const factory = await setupListing();
+            await bid('sstone1@example.com', 300);
+            await bid('whitemat@example.com', 400);
+            const member = factory.newRelationship(NS, 'Member', 'whitemat@example.com');
+            await submitForListing('RetractOffer', { member: member });
+
+            const userRegistry = await businessNetworkConnection.getParticipantRegistry(NS + '.Member');
+            (await userRegistry.get('whitemat@example.com')).reservedBalance.should.equal(0);
+            (await userRegistry.get('sstone1@example.com')).reservedBalance.should.equal(300);
+            const vehicleListingRegistry = await businessNetworkConnection.getAssetRegistry(NS + '.VehicleListing');
+            const listing = await vehicleListingRegistry.get('LISTING_001');
+            listing.offers.length.should.equal(1);
+            listing.retractedOffers.length.should.equal(1);
+            await submitForListing('RetractOffer', { member: member }).should.be.rejectedWith(/has no offer for listing LISTING_001/);
+        });
+
+        it('should only let the owner of the vehicle withdraw its listing', async () => {
+            const factory = await setupListing();
+            const auctioneer = factory.newResource(NS, 'Auctioneer', 'boss@auction.com');
+            auctioneer.firstName = 'Mr';
+            auctioneer.lastName = 'Smith';
+            const auctioneerRegistry = await businessNetworkConnection.getParticipantRegistry(NS + '.Auctioneer');
+            await auctioneerRegistry.add(auctioneer);
+            await bid('sstone1@example.com', 300);
+
+            await useIdentity('sstone1@example.com');
+            await submitForListing('WithdrawListing').should.be.rejectedWith(/does not have 'CREATE' access/);
+            await useAdmin();
+            await useIdentity('boss@auction.com', 'Auctioneer');
+            await submitForListing('WithdrawListing').should.be.rejectedWith(/Only the owner of vehicle CAR_001 can withdraw listing LISTING_001/);
+            await useAdmin();
+            await useIdentity('daniel.selman@example.com');
+            await submitForListing('WithdrawListing');
+
+            await useAdmin();
+            const vehicleListingRegistry = await businessNetworkConnection.getAssetRegistry(NS + '.VehicleListing');
+            (await vehicleListingRegistry.get('LISTING_001')).state.should.equal('WITHDRAWN');
+            const userRegistry = await businessNetworkConnection.getParticipantRegistry(NS + '.Member');
+            (await userRegistry.get('sstone1@example.com')).reservedBalance.should.equal(0);
+        });
+
+        it('should only let a member retract their own offers', async () => {
+            const factory = await setupListing();
+            const auctioneer = factory.newResource(NS, 'Auctioneer', 'boss@auction.com');
+            auctioneer.firstName = 'Mr';
+            auctioneer.lastName = 'Smith';
+            const auctioneerRegistry = await businessNetworkConnection.getParticipantRegistry(NS + '.Auctioneer');
+            await auctioneerRegistry.add(auctioneer);
+            await bid('sstone1@example.com', 300);
+            await bid('whitemat@example.com', 400);
+            const member = factory.newRelationship(NS, 'Member', 'whitemat@example.com');
+
+            await useIdentity('sstone1@example.com');
+            await submitForListing('RetractOffer', { member: member }).should.be.rejectedWith(/does not have 'CREATE' access/);
+            await useAdmin();
+            await useIdentity('daniel.selman@example.com');
+            await submitForListing('RetractOffer', { member: member }).should.be.rejectedWith(/does not have 'CREATE' access/);
+            await useAdmin();
+            await useIdentity('boss@auction.com', 'Auctioneer');
+            await submitForListing('RetractOffer', { member: member }).should.be.rejectedWith(/Only member whitemat@example.com can retract their offers/);
+            await useAdmin();
+            await useIdentity('whitemat@example.com');
+            await submitForListing('RetractOffer', { member: member });
+
+            await useAdmin();
+            const userRegistry = await businessNetworkConnection.getParticipantRegistry(NS + '.Member');
+            (await userRegistry.get('whitemat@example.com')).reservedBalance.should.equal(0);
+            (await userRegistry.get('sstone1@example.com')).reservedBalance.should.equal(300);
+        });
+
+        it('should relist a vehicle whose reserve was not met and keep the offers of every listing', async () => {
+            await setupListing({ reservePrice: 500 });
+            await bid('sstone1@example.com', 300);
+            await submitForListing('CloseBidding');
+            await addConditionReport(5);
+            await useIdentity('daniel.selman@example.com');
+            await submitForListing('RelistVehicle', { reservePrice: 250 });
+            await submitForListing('RelistVehicle', { reservePrice: 200 }).should.be.rejectedWith(/can only be relisted when the reserve was not met/);
+
+            await useAdmin();
+            const vehicleListingRegistry = await businessNetworkConnection.getAssetRegistry(NS + '.VehicleListing');
+            const listing = await vehicleListingRegistry.get('LISTING_001');
+            listing.state.should.equal('FOR_SALE');
+            listing.conditionReport.getIdentifier().should.equal('REPORT_001');
+            await bid('whitemat@example.com', 300);
+            await submitForListing('CloseBidding');
+            (await balanceOf('whitemat@example.com')).should.equal(700);
+
+            const historyRegistry = await businessNetworkConnection.getAssetRegistry(NS + '.VehicleHistory');
+            const history = await historyRegistry.get('CAR_001');
+            history.records.map((record) => record.state).should.deep.equal(['RESERVE_NOT_MET', 'SOLD']);
+            history.records[0].offers[0].member.getIdentifier().should.equal('sstone1@example.com');
+            history.records[1].buyer.getIdentifier().should.equal('whitemat@example.com');
+            history.records[1].price.should.equal(300);
+        });
+
+        it('should only let the owner of the vehicle relist it', async () => {
+            await setupListing({ reservePrice: 500 });
+            await submitForListing('CloseBidding');
+            await addConditionReport(5);
+            await useIdentity('sstone1@example.com');
+            await submitForListing('RelistVehicle', { reservePrice: 250 }).should.be.rejectedWith(/does not have 'CREATE' access/);
+        });
+
+        it('should not relist a vehicle that has another listing for sale', async () => {
+            const factory = await setupListing({ reservePrice: 500 });
+            await submitForListing('CloseBidding');
+            await addConditionReport(5);
+            const listing = factory.newResource(NS, 'VehicleListing', 'LISTING_002');
+            listing.reservePrice = 100;
+            listing.description = 'My nice car, again';
+            listing.state = 'FOR_SALE';
+            listing.vehicle = factory.newRelationship(NS, 'Vehicle', 'CAR_001');
+            const vehicleListingRegistry = await businessNetworkConnection.getAssetRegistry(NS + '.VehicleListing');
+            await vehicleListingRegistry.add(listing);
+
+            await useIdentity('daniel.selman@example.com');
+            await submitForListing('RelistVehicle', { reservePrice: 250 }).should.be.rejectedWith(/already listed for sale in listing LISTING_002/);
+        });
+
+        it('should not relist a vehicle without a recent condition report', async () => {
+            await setupListing({ reservePrice: 500 });
+            await submitForListing('CloseBidding');
+            await addConditionReport(45);
+            await useIdentity('daniel.selman@example.com');
+            await submitForListing('RelistVehicle', { reservePrice: 250 }).should.be.rejectedWith(/has no condition report from the last 30 days/);
+        });
+
+        it('should not allow the history to be changed outside the auction transactions', async () => {
+            await setupListing();
+            await submitForListing('WithdrawListing');
+
+            const historyRegistry = await businessNetworkConnection.getAssetRegistry(NS + '.VehicleHistory');
+            const history = await historyRegistry.get('CAR_001');
+            history.records = [];
+            await historyRegistry.update(history).should.be.rejectedWith(/does not have 'UPDATE' access/);
+        });
+    });
+
+    describe('#fees', () => {
+        it('should charge the buyer\'s premium and the seller\'s commission for the auctioneer', async () => {
+            const events = [];
+            businessNetworkConnection.on('event', (event) => {
+                events.push(event);
+            });
+            const factory = businessNetworkConnection.getBusinessNetwork().getFactory();
+            const auctioneer = factory.newResource(NS, 'Auctioneer', 'boss@auction.com');
+            auctioneer.firstName = 'Mr';
+            auctioneer.lastName = 'Smith';
+            const auctioneerRegistry = await businessNetworkConnection.getParticipantRegistry(NS + '.Auctioneer');
+            await auctioneerRegistry.add(auctioneer);
+            await setupListing({
+                buyersPremium: 10,
+                sellerCommission: 5,
+                auctioneer: factory.newRelationship(NS, 'Auctioneer', 'boss@auction.com')
+            });
+
+            // the premium is reserved with the bid
+            await bid('sstone1@example.com', 950).should.be.rejectedWith(/insufficient balance to bid 950/);
+            await bid('sstone1@example.com', 500);
+            const userRegistry = await businessNetworkConnection.getParticipantRegistry(NS + '.Member');
+            (await userRegistry.get('sstone1@example.com')).reservedBalance.should.equal(550);
+            await submitForListing('CloseBidding');
+
+            (await balanceOf('sstone1@example.com')).should.equal(450);
+            (await balanceOf('daniel.selman@example.com')).should.equal(475);
+            (await auctioneerRegistry.get('boss@auction.com')).balance.should.equal(75);
+            const settlement = events.find((event) => event.getType() === 'AuctionSettlement');
+            settlement.hammerPrice.should.equal(500);
+            settlement.buyersPremium.should.equal(50);
+            settlement.sellerCommission.should.equal(25);
+            settlement.buyerTotal.should.equal(550);
+            settlement.sellerProceeds.should.equal(475);
+            settlement.auctioneer.getIdentifier().should.equal('boss@auction.com');
+        });
+
+        it('should credit the fees of expired listings that share an auctioneer', async () => {
+            const factory = businessNetworkConnection.getBusinessNetwork().getFactory();
+            const auctioneer = factory.newResource(NS, 'Auctioneer', 'boss@auction.com');
+            auctioneer.firstName = 'Mr';
+            auctioneer.lastName = 'Smith';
+            const auctioneerRegistry = await businessNetworkConnection.getParticipantRegistry(NS + '.Auctioneer');
+            await auctioneerRegistry.add(auctioneer);
+            const fees = {
+                buyersPremium: 10,
+                sellerCommission: 5,
+                auctioneer: factory.newRelationship(NS, 'Auctioneer', 'boss@auction.com'),
+                endTime: new Date(Date.now() + 60 * 60 * 1000)
+            };
+            await setupListing(fees);
+
+            // a second vehicle of the seller, listed with the same auctioneer
+            const vehicle = factory.newResource(NS, 'Vehicle', 'CAR_002');
+            vehicle.owner = factory.newRelationship(NS, 'Member', 'daniel.selman@example.com');
+            const vehicleRegistry = await businessNetworkConnection.getAssetRegistry(NS + '.Vehicle');
+            await vehicleRegistry.add(vehicle);
+            const listing = factory.newResource(NS, 'VehicleListing', 'LISTING_002');
+            listing.reservePrice = 100;
+            listing.description = 'My other nice car';
+            listing.state = 'FOR_SALE';
+            listing.vehicle = factory.newRelationship(NS, 'Vehicle', 'CAR_002');
+            Object.assign(listing, fees);
+            const vehicleListingRegistry = await businessNetworkConnection.getAssetRegistry(NS + '.VehicleListing');
+            await vehicleListingRegistry.add(listing);
+
+            await bid('sstone1@example.com', 200);
+            const offer = factory.newTransaction(NS, 'Offer');
+            offer.member = factory.newRelationship(NS, 'Member', 'whitemat@example.com');
+            offer.listing = factory.newRelationship(NS, 'VehicleListing', 'LISTING_002');
+            offer.bidPrice = 300;
+            await businessNetworkConnection.submitTransaction(offer);
+
+            await endAuctionWindow(['LISTING_001', 'LISTING_002']);
+            await businessNetworkConnection.submitTransaction(factory.newTransaction(NS, 'CloseExpiredListings'));
+            (await vehicleListingRegistry.get('LISTING_001')).state.should.equal('SOLD');
+            (await vehicleListingRegistry.get('LISTING_002')).state.should.equal('SOLD');
+            (await balanceOf('daniel.selman@example.com')).should.equal(475);
+            (await auctioneerRegistry.get('boss@auction.com')).balance.should.equal(75);
+        });
+
+        it('should not sell a vehicle with fees but no auctioneer', async () => {
+            await setupListing({ sellerCommission: 5 });
+            await bid('sstone1@example.com', 500);
+            await submitForListing('CloseBidding').should.be.rejectedWith(/charges fees but has no auctioneer/);
+        });
+    });
+
+    describe('#createListing', () => {
+        /**
+         * Withdraw LISTING_001 and add a condition report for CAR_001.
+         * @param {Number} age The age of the condition report in days
+         * @return {Factory} The factory of the business network
+         */
+        async function setupConditionReport(age) {
+            const factory = await setupListing();
+            await submitForListing('WithdrawListing');
+            await addConditionReport(age);
+            return factory;
+        }
+
+        /**
+         * Submit a CreateListing transaction for CAR_001.
+         * @param {String} listingId The identifier of the new listing
+         */
+        async function createListing(listingId) {
+            const factory = businessNetworkConnection.getBusinessNetwork().getFactory();
+            const transaction = factory.newTransaction(NS, 'CreateListing');
+            transaction.listingId = listingId;
+            transaction.reservePrice = 200;
+            transaction.description = 'My nice car, inspected';
+            transaction.vehicle = factory.newRelationship(NS, 'Vehicle', 'CAR_001');
+            await businessNetworkConnection.submitTransaction(transaction);
+        }
+
+        it('should list a vehicle of the caller with a recent condition report', async () => {
+            await setupConditionReport(5);
+            await useIdentity('daniel.selman@example.com');
+            await createListing('LISTING_002');
+
+            const vehicleListingRegistry = await businessNetworkConnection.getAssetRegistry(NS + '.VehicleListing');
+            const listing = await vehicleListingRegistry.get('LISTING_002');
+            listing.state.should.equal('FOR_SALE');
+            listing.reservePrice.should.equal(200);
+            listing.conditionReport.getIdentifier().should.equal('REPORT_001');
+
+            // the vehicle now has an active listing
+            await createListing('LISTING_003').should.be.rejectedWith(/already listed for sale in listing LISTING_002/);
+        });
+
+        it('should not list a vehicle of another member', async () => {
+            await setupConditionReport(5);
+            await useIdentity('sstone1@example.com');
+            await createListing('LISTING_002').should.be.rejectedWith(/does not have 'CREATE' access/);
+        });
+
+        it('should not let the owner add a vehicle listing without a CreateListing transaction', async () => {
+            await setupConditionReport(5);
+            await useIdentity('daniel.selman@example.com');
+            const factory = businessNetworkConnection.getBusinessNetwork().getFactory();
+            const listing = factory.newResource(NS, 'VehicleListing', 'LISTING_002');
+            listing.reservePrice = 100;
+            listing.description = 'My nice car, unchecked';
+            listing.state = 'FOR_SALE';
+            listing.vehicle = factory.newRelationship(NS, 'Vehicle', 'CAR_001');
+            const vehicleListingRegistry = await businessNetworkConnection.getAssetRegistry(NS + '.VehicleListing');
+            await vehicleListingRegistry.add(listing).should.be.rejectedWith(/does not have 'CREATE' access/);
+
+            // nor change the state of an existing listing directly
+            const withdrawn = await vehicleListingRegistry.get('LISTING_001');
+            withdrawn.state = 'FOR_SALE';
+            await vehicleListingRegistry.update(withdrawn).should.be.rejectedWith(/does not have 'UPDATE' access/);
+        });
+
+        it('should not list a vehicle that has another listing for sale', async () => {
+            await setupListing();
+            await useIdentity('daniel.selman@example.com');
+            await createListing('LISTING_002').should.be.rejectedWith(/already listed for sale in listing LISTING_001/);
+        });
+
+        it('should not list a vehicle without a recent condition report', async () => {
+            await setupConditionReport(45);
+            await useIdentity('daniel.selman@example.com');
+            await createListing('LISTING_002').should.be.rejectedWith(/has no condition report from the last 30 days/);
+        });
+    });
+
+    describe('#auctionType', () => {
+        it('should charge the second highest price in a Vickrey auction', async () => {
+            const factory = await setupListing({ auctionType: 'VICKREY' });
+            await bid('sstone1@example.com', 300);
+            await bid('whitemat@example.com', 250);
+
+            const closeBidding = factory.newTransaction(NS, 'CloseBidding');
+            closeBidding.listing = factory.newRelationship(NS, 'VehicleListing', 'LISTING_001');
+            await businessNetworkConnection.submitTransaction(closeBidding);
+
+            (await balanceOf('sstone1@example.com')).should.equal(750);
+            (await balanceOf('daniel.selman@example.com')).should.equal(250);
+        });
+
+        it('should only accept one sealed bid per member in a Vickrey auction', async () => {
+            await setupListing({ auctionType: 'VICKREY' });
+            await bid('sstone1@example.com', 300);
+            await bid('sstone1@example.com', 400).should.be.rejectedWith(/has already made a sealed bid/);
+        });
+
+        it('should keep the sealed bids of a Vickrey auction from other members until the bidding closes', async () => {
+            await setupListing({ auctionType: 'VICKREY' });
+            await bid('sstone1@example.com', 300);
+            await bid('whitemat@example.com', 250);
+
+            await useIdentity('whitemat@example.com');
+            const vehicleListingRegistry = await businessNetworkConnection.getAssetRegistry(NS + '.VehicleListing');
+            (await vehicleListingRegistry.get('LISTING_001')).offers.should.deep.equal([]);
+            const sealedBids = await (await businessNetworkConnection.getAssetRegistry(NS + '.SealedBid')).getAll();
+            sealedBids.map((sealedBid) => sealedBid.offer.bidPrice).should.deep.equal([250]);
+            const offers = await (await businessNetworkConnection.getTransactionRegistry(NS + '.Offer')).getAll();
+            offers.map((offer) => offer.bidPrice).should.deep.equal([250]);
+
+            await useAdmin();
+            await submitForListing('CloseBidding');
+            const listing = await vehicleListingRegistry.get('LISTING_001');
+            listing.offers.map((offer) => offer.bidPrice).should.deep.equal([300, 250]);
+            (await (await businessNetworkConnection.getAssetRegistry(NS + '.SealedBid')).getAll()).should.deep.equal([]);
+        });
+
+        it('should keep a retracted sealed bid sealed and let the member bid again', async () => {
+            const factory = await setupListing({ auctionType: 'VICKREY' });
+            await bid('sstone1@example.com', 300);
+            await bid('whitemat@example.com', 250);
+            await useIdentity('sstone1@example.com');
+            await submitForListing('RetractOffer', { member: factory.newRelationship(NS, 'Member', 'sstone1@example.com') });
+
+            await useAdmin();
+            const userRegistry = await businessNetworkConnection.getParticipantRegistry(NS + '.Member');
+            (await userRegistry.get('sstone1@example.com')).reservedBalance.should.equal(0);
+            const vehicleListingRegistry = await businessNetworkConnection.getAssetRegistry(NS + '.VehicleListing');
+            (await vehicleListingRegistry.get('LISTING_001')).should.not.have.property('retractedOffers');
+            await bid('sstone1@example.com', 200);
+            await bid('sstone1@example.com', 400).should.be.rejectedWith(/has already made a sealed bid/);
+
+            // the owner reveals every sealed bid by withdrawing the listing
+            await useIdentity('daniel.selman@example.com');
+            await submitForListing('WithdrawListing');
+            await useAdmin();
+            (await userRegistry.get('sstone1@example.com')).reservedBalance.should.equal(0);
+            (await userRegistry.get('whitemat@example.com')).reservedBalance.should.equal(0);
+            const history = await (await businessNetworkConnection.getAssetRegistry(NS + '.VehicleHistory')).get('CAR_001');
+            history.records[0].offers.map((offer) => offer.bidPrice).sort().should.deep.equal([200, 250]);
+            history.records[0].retractedOffers.map((offer) => offer.bidPrice).should.deep.equal([300]);
+        });
+
+        it('should sell to the first bid at the current price in a Dutch auction', async () => {
+            // the price has dropped twice since the auction started
+            await setupListing({
+                auctionType: 'DUTCH',
+                startingPrice: 1000,
+                priceDecrement: 100,
+                decrementInterval: 60,
+                startTime: new Date(Date.now() - 150 * 1000)
+            });
+            await bid('whitemat@example.com', 700).should.be.rejectedWith(/below the current price of 800/);
+            await bid('sstone1@example.com', 850);
+
+            const vehicleListingRegistry = await businessNetworkConnection.getAssetRegistry(NS + '.VehicleListing');
+            const listing = await vehicleListingRegistry.get('LISTING_001');
+            listing.state.should.equal('SOLD');
+            (await balanceOf('sstone1@example.com')).should.equal(200);
+            (await balanceOf('daniel.selman@example.com')).should.equal(800);
+            await bid('whitemat@example.com', 900).should.be.rejectedWith(/Listing is not FOR SALE/);
+        });
+    });
 });
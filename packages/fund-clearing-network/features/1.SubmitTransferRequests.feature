@@ -32,7 +32,7 @@ Feature: SubmitTransferRequests
             "transferId":"xferid1",
             "toBank":"bank2",
             "state":"PENDING",
-            "details":{"$class":"org.clearing.Transfer","currency":"USD","amount":1000,"fromAccount":"111111","toAccount":"222222"}}
+            "details":{"$class":"org.clearing.Transfer","currency":"USD","amount":1000,"fromIban":"GB82WEST12345698765432","toIban":"DE89370400440532013000"}}
             ]
             """
         And I use the identity bank2
@@ -43,7 +43,7 @@ Feature: SubmitTransferRequests
             "transferId":"xferid2",
             "toBank":"bank1",
             "state":"PENDING",
-            "details":{"$class":"org.clearing.Transfer","currency":"EURO","amount":1000,"fromAccount":"333333","toAccount":"444444"}}
+            "details":{"$class":"org.clearing.Transfer","currency":"EURO","amount":1000,"fromIban":"FR1420041010050500013M02606","toIban":"NL91ABNA0417164300"}}
             ]
             """
         Then I should have the following assets
@@ -51,7 +51,7 @@ Feature: SubmitTransferRequests
             [
             {"$class":"org.clearing.TransferRequest",
             "requestId":"xferid1",
-            "details":{"$class":"org.clearing.Transfer","currency":"USD","amount":1000,"fromAccount":"111111","toAccount":"222222"},
+            "details":{"$class":"org.clearing.Transfer","currency":"USD","amount":1000,"fromIban":"GB82WEST12345698765432","toIban":"DE89370400440532013000"},
             "fromBankState":"PENDING",
             "toBankState":"PENDING",
             "state":"PENDING",
@@ -60,7 +60,7 @@ Feature: SubmitTransferRequests
 
             {"$class":"org.clearing.TransferRequest",
             "requestId":"xferid2",
-            "details":{"$class":"org.clearing.Transfer","currency":"EURO","amount":1000,"fromAccount":"333333","toAccount":"444444"},
+            "details":{"$class":"org.clearing.Transfer","currency":"EURO","amount":1000,"fromIban":"FR1420041010050500013M02606","toIban":"NL91ABNA0417164300"},
             "fromBankState":"PENDING",
             "toBankState":"PENDING",
             "state":"PENDING",
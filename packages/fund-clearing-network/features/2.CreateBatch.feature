@@ -20,14 +20,22 @@ Feature: CreateBatch
             | bankingId | bankingName | workingCurrency | fundBalance |
             | bank1     | Bank One    | USD             | 1000000     |
             | bank2     | Bank Two    | EURO            | 1000000     |
+        And I have added the following participants of type org.clearing.RateProvider
+            | providerId | providerName |
+            | oracle     | Rate Oracle  |
+        And I have added the following participants of type org.clearing.ClearingOperator
+            | operatorId | operatorName      |
+            | operator   | Clearing Operator |
         And I have issued the participant org.clearing.BankingParticipant#bank1 with the identity bank1
         And I have issued the participant org.clearing.BankingParticipant#bank2 with the identity bank2
+        And I have issued the participant org.clearing.RateProvider#oracle with the identity oracle
+        And I have issued the participant org.clearing.ClearingOperator#operator with the identity operator
         And I have added the following assets
             """
             [
             {"$class":"org.clearing.TransferRequest",
             "requestId":"xferid1",
-            "details":{"$class":"org.clearing.Transfer","currency":"USD","amount":1000,"fromAccount":"111111","toAccount":"222222"},
+            "details":{"$class":"org.clearing.Transfer","currency":"USD","amount":1000,"fromIban":"GB82WEST12345698765432","toIban":"DE89370400440532013000"},
             "fromBankState":"PENDING",
             "toBankState":"PENDING",
             "state":"PENDING",
@@ -36,7 +44,7 @@ Feature: CreateBatch
 
             {"$class":"org.clearing.TransferRequest",
             "requestId":"xferid2",
-            "details":{"$class":"org.clearing.Transfer","currency":"EURO","amount":1000,"fromAccount":"333333","toAccount":"444444"},
+            "details":{"$class":"org.clearing.Transfer","currency":"EURO","amount":1000,"fromIban":"FR1420041010050500013M02606","toIban":"NL91ABNA0417164300"},
             "fromBankState":"PENDING",
             "toBankState":"PENDING",
             "state":"PENDING",
@@ -44,6 +52,16 @@ Feature: CreateBatch
             "toBank":"bank1"}
             ]
             """
+        And I use the identity oracle
+        And I submit the following transaction
+            """
+            [
+            {"$class":"org.clearing.UpdateExchangeRates",
+            "usdRates":[
+            {"$class":"org.clearing.UsdExchangeRate","to":"EURO","rate":0.75},
+            {"$class":"org.clearing.UsdExchangeRate","to":"STERLING","rate":1.75}]}
+            ]
+            """
 
     Scenario: Bank 1 creats a BatchTransferRequest asset by submitting CreateBatch transaction and receives a BatchCreatedEvent
         When I use the identity bank1
@@ -51,21 +69,18 @@ Feature: CreateBatch
             """
             [
             {"$class":"org.clearing.CreateBatch",
-            "batchId":"batch1",
-            "usdRates":[
-            {"$class":"org.clearing.UsdExchangeRate","to":"EURO","rate":0.75},
-            {"$class":"org.clearing.UsdExchangeRate","to":"STERLING","rate":1.75}]}
+            "batchId":"batch1"}
             ]
             """
         Then I should have received the following events of type org.clearing.BatchCreatedEvent
             | batchId            |
             | batch1:bank1-bank2 |
-        And I should have the following assets
+        And I should have the following assets netted with the published exchange rates
             """
             [
             {"$class":"org.clearing.TransferRequest",
             "requestId":"xferid1",
-            "details":{"$class":"org.clearing.Transfer","currency":"USD","amount":1000,"fromAccount":"111111","toAccount":"222222"},
+            "details":{"$class":"org.clearing.Transfer","currency":"USD","amount":1000,"fromIban":"GB82WEST12345698765432","toIban":"DE89370400440532013000"},
             "fromBankState":"PENDING",
             "toBankState":"PENDING",
             "state":"PROCESSING",
@@ -74,7 +89,7 @@ Feature: CreateBatch
 
             {"$class":"org.clearing.TransferRequest",
             "requestId":"xferid2",
-            "details":{"$class":"org.clearing.Transfer","currency":"EURO","amount":1000,"fromAccount":"333333","toAccount":"444444"},
+            "details":{"$class":"org.clearing.Transfer","currency":"EURO","amount":1000,"fromIban":"FR1420041010050500013M02606","toIban":"NL91ABNA0417164300"},
             "fromBankState":"PENDING",
             "toBankState":"PENDING",
             "state":"PROCESSING",
@@ -88,6 +103,7 @@ Feature: CreateBatch
             "currency":"USD",
             "creditorBank":"org.clearing.BankingParticipant#bank1",
             "debtorBank":"org.clearing.BankingParticipant#bank2"},
+            "usdRates":[{"$class":"org.clearing.UsdExchangeRate","to":"EURO","rate":0.75}],
             "state":"PENDING_PRE_PROCESS",
             "parties":["org.clearing.BankingParticipant#bank1","org.clearing.BankingParticipant#bank2"],
             "transferRequests":["org.clearing.TransferRequest#xferid1","org.clearing.TransferRequest#xferid2"]}
@@ -100,21 +116,18 @@ Feature: CreateBatch
             """
             [
             {"$class":"org.clearing.CreateBatch",
-            "batchId":"batch1",
-            "usdRates":[
-            {"$class":"org.clearing.UsdExchangeRate","to":"EURO","rate":0.75},
-            {"$class":"org.clearing.UsdExchangeRate","to":"STERLING","rate":1.75}]}
+            "batchId":"batch1"}
             ]
             """
         Then I should have received the following events of type org.clearing.BatchCreatedEvent
             | batchId            |
             | batch1:bank2-bank1 |
-        And I should have the following assets
+        And I should have the following assets netted with the published exchange rates
             """
             [
             {"$class":"org.clearing.TransferRequest",
             "requestId":"xferid1",
-            "details":{"$class":"org.clearing.Transfer","currency":"USD","amount":1000,"fromAccount":"111111","toAccount":"222222"},
+            "details":{"$class":"org.clearing.Transfer","currency":"USD","amount":1000,"fromIban":"GB82WEST12345698765432","toIban":"DE89370400440532013000"},
             "fromBankState":"PENDING",
             "toBankState":"PENDING",
             "state":"PROCESSING",
@@ -123,7 +136,7 @@ Feature: CreateBatch
 
             {"$class":"org.clearing.TransferRequest",
             "requestId":"xferid2",
-            "details":{"$class":"org.clearing.Transfer","currency":"EURO","amount":1000,"fromAccount":"333333","toAccount":"444444"},
+            "details":{"$class":"org.clearing.Transfer","currency":"EURO","amount":1000,"fromIban":"FR1420041010050500013M02606","toIban":"NL91ABNA0417164300"},
             "fromBankState":"PENDING",
             "toBankState":"PENDING",
             "state":"PROCESSING",
@@ -137,9 +150,54 @@ Feature: CreateBatch
             "currency":"USD",
             "creditorBank":"org.clearing.BankingParticipant#bank1",
             "debtorBank":"org.clearing.BankingParticipant#bank2"},
+            "usdRates":[{"$class":"org.clearing.UsdExchangeRate","to":"EURO","rate":0.75}],
+            "state":"PENDING_PRE_PROCESS",
+            "parties":["org.clearing.BankingParticipant#bank2","org.clearing.BankingParticipant#bank1"],
+            "transferRequests":["org.clearing.TransferRequest#xferid1","org.clearing.TransferRequest#xferid2"]}
+            ]
+            """
+
+    Scenario: The clearing operator creates a single multilaterally netted BatchTransferRequest asset by submitting a CreateBatch transaction and receives a BatchCreatedEvent
+        When I use the identity operator
+        And I submit the following transaction
+            """
+            [
+            {"$class":"org.clearing.CreateBatch",
+            "batchId":"cycle1",
+            "netting":"MULTILATERAL"}
+            ]
+            """
+        Then I should have received the following events of type org.clearing.BatchCreatedEvent
+            | batchId |
+            | cycle1  |
+        And I should have the following assets netted with the published exchange rates
+            """
+            [
+            {"$class":"org.clearing.BatchTransferRequest",
+            "batchId":"cycle1",
+            "legs":[{"$class":"org.clearing.Settlement",
+            "amount":333.33333333333326,
+            "currency":"USD",
+            "creditorBank":"org.clearing.BankingParticipant#bank1",
+            "debtorBank":"org.clearing.BankingParticipant#bank2"}],
+            "positions":[
+            {"$class":"org.clearing.NetPosition","bank":"org.clearing.BankingParticipant#bank2","amount":-333.33333333333326},
+            {"$class":"org.clearing.NetPosition","bank":"org.clearing.BankingParticipant#bank1","amount":333.33333333333326}],
+            "usdRates":[{"$class":"org.clearing.UsdExchangeRate","to":"EURO","rate":0.75}],
             "state":"PENDING_PRE_PROCESS",
             "parties":["org.clearing.BankingParticipant#bank2","org.clearing.BankingParticipant#bank1"],
             "transferRequests":["org.clearing.TransferRequest#xferid1","org.clearing.TransferRequest#xferid2"]}
             ]
             """
 
+    Scenario: Bank 1 cannot create a multilaterally netted BatchTransferRequest asset
+        When I use the identity bank1
+        And I submit the following transaction
+            """
+            [
+            {"$class":"org.clearing.CreateBatch",
+            "batchId":"cycle1",
+            "netting":"MULTILATERAL"}
+            ]
+            """
+        Then I should get an error matching /Multilateral batches can only be created by a ClearingOperator/
@@ -27,7 +27,7 @@ Feature: MarkPreProcessComplete
             [
             {"$class":"org.clearing.TransferRequest",
             "requestId":"xferid1",
-            "details":{"$class":"org.clearing.Transfer","currency":"USD","amount":1000,"fromAccount":"111111","toAccount":"222222"},
+            "details":{"$class":"org.clearing.Transfer","currency":"USD","amount":1000,"fromIban":"GB82WEST12345698765432","toIban":"DE89370400440532013000"},
             "fromBankState":"PENDING",
             "toBankState":"PENDING",
             "state":"PROCESSING",
@@ -36,7 +36,7 @@ Feature: MarkPreProcessComplete
 
             {"$class":"org.clearing.TransferRequest",
             "requestId":"xferid2",
-            "details":{"$class":"org.clearing.Transfer","currency":"EURO","amount":1000,"fromAccount":"333333","toAccount":"444444"},
+            "details":{"$class":"org.clearing.Transfer","currency":"EURO","amount":1000,"fromIban":"FR1420041010050500013M02606","toIban":"NL91ABNA0417164300"},
             "fromBankState":"PENDING",
             "toBankState":"PENDING",
             "state":"PROCESSING",
@@ -66,7 +66,7 @@ Feature: MarkPreProcessComplete
             [
             {"$class":"org.clearing.TransferRequest",
             "requestId":"xferid1",
-            "details":{"$class":"org.clearing.Transfer","currency":"USD","amount":1000,"fromAccount":"111111","toAccount":"222222"},
+            "details":{"$class":"org.clearing.Transfer","currency":"USD","amount":1000,"fromIban":"GB82WEST12345698765432","toIban":"DE89370400440532013000"},
             "fromBankState":"PRE_PROCESS_COMPLETE",
             "toBankState":"PENDING",
             "state":"PROCESSING",
@@ -75,7 +75,7 @@ Feature: MarkPreProcessComplete
 
             {"$class":"org.clearing.TransferRequest",
             "requestId":"xferid2",
-            "details":{"$class":"org.clearing.Transfer","currency":"EURO","amount":1000,"fromAccount":"333333","toAccount":"444444"},
+            "details":{"$class":"org.clearing.Transfer","currency":"EURO","amount":1000,"fromIban":"FR1420041010050500013M02606","toIban":"NL91ABNA0417164300"},
             "fromBankState":"PENDING",
             "toBankState":"PRE_PROCESS_COMPLETE",
             "state":"PROCESSING",
@@ -105,7 +105,7 @@ Feature: MarkPreProcessComplete
             [
             {"$class":"org.clearing.TransferRequest",
             "requestId":"xferid1",
-            "details":{"$class":"org.clearing.Transfer","currency":"USD","amount":1000,"fromAccount":"111111","toAccount":"222222"},
+            "details":{"$class":"org.clearing.Transfer","currency":"USD","amount":1000,"fromIban":"GB82WEST12345698765432","toIban":"DE89370400440532013000"},
             "fromBankState":"PENDING",
             "toBankState":"PRE_PROCESS_COMPLETE",
             "state":"PROCESSING",
@@ -114,7 +114,7 @@ Feature: MarkPreProcessComplete
 
             {"$class":"org.clearing.TransferRequest",
             "requestId":"xferid2",
-            "details":{"$class":"org.clearing.Transfer","currency":"EURO","amount":1000,"fromAccount":"333333","toAccount":"444444"},
+            "details":{"$class":"org.clearing.Transfer","currency":"EURO","amount":1000,"fromIban":"FR1420041010050500013M02606","toIban":"NL91ABNA0417164300"},
             "fromBankState":"PRE_PROCESS_COMPLETE",
             "toBankState":"PENDING",
             "state":"PROCESSING",
@@ -148,7 +148,7 @@ Feature: MarkPreProcessComplete
             [
             {"$class":"org.clearing.TransferRequest",
             "requestId":"xferid1",
-            "details":{"$class":"org.clearing.Transfer","currency":"USD","amount":1000,"fromAccount":"111111","toAccount":"222222"},
+            "details":{"$class":"org.clearing.Transfer","currency":"USD","amount":1000,"fromIban":"GB82WEST12345698765432","toIban":"DE89370400440532013000"},
             "fromBankState":"PRE_PROCESS_COMPLETE",
             "toBankState":"PRE_PROCESS_COMPLETE",
             "state":"PRE_PROCESS_COMPLETE",
@@ -157,7 +157,7 @@ Feature: MarkPreProcessComplete
 
             {"$class":"org.clearing.TransferRequest",
             "requestId":"xferid2",
-            "details":{"$class":"org.clearing.Transfer","currency":"EURO","amount":1000,"fromAccount":"333333","toAccount":"444444"},
+            "details":{"$class":"org.clearing.Transfer","currency":"EURO","amount":1000,"fromIban":"FR1420041010050500013M02606","toIban":"NL91ABNA0417164300"},
             "fromBankState":"PRE_PROCESS_COMPLETE",
             "toBankState":"PRE_PROCESS_COMPLETE",
             "state":"PRE_PROCESS_COMPLETE",
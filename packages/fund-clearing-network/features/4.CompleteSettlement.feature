@@ -20,14 +20,18 @@ Feature: CompleteSettlement
             | bankingId | bankingName | workingCurrency | fundBalance |
             | bank1     | Bank One    | USD             | 1000000     |
             | bank2     | Bank Two    | EURO            | 1000000     |
+        And I have added the following participants of type org.clearing.RateProvider
+            | providerId | providerName |
+            | oracle     | Rate Oracle  |
         And I have issued the participant org.clearing.BankingParticipant#bank1 with the identity bank1
         And I have issued the participant org.clearing.BankingParticipant#bank2 with the identity bank2
+        And I have issued the participant org.clearing.RateProvider#oracle with the identity oracle
         And I have added the following assets
             """
             [
             {"$class":"org.clearing.TransferRequest",
             "requestId":"xferid1",
-            "details":{"$class":"org.clearing.Transfer","currency":"USD","amount":1000,"fromAccount":"111111","toAccount":"222222"},
+            "details":{"$class":"org.clearing.Transfer","currency":"USD","amount":1000,"fromIban":"GB82WEST12345698765432","toIban":"DE89370400440532013000"},
             "fromBankState":"PRE_PROCESS_COMPLETE",
             "toBankState":"PRE_PROCESS_COMPLETE",
             "state":"PRE_PROCESS_COMPLETE",
@@ -36,7 +40,7 @@ Feature: CompleteSettlement
 
             {"$class":"org.clearing.TransferRequest",
             "requestId":"xferid2",
-            "details":{"$class":"org.clearing.Transfer","currency":"EURO","amount":1000,"fromAccount":"333333","toAccount":"444444"},
+            "details":{"$class":"org.clearing.Transfer","currency":"EURO","amount":1000,"fromIban":"FR1420041010050500013M02606","toIban":"NL91ABNA0417164300"},
             "fromBankState":"PRE_PROCESS_COMPLETE",
             "toBankState":"PRE_PROCESS_COMPLETE",
             "state":"PRE_PROCESS_COMPLETE",
@@ -55,6 +59,16 @@ Feature: CompleteSettlement
             "transferRequests":["org.clearing.TransferRequest#xferid1","org.clearing.TransferRequest#xferid2"]}
             ]
             """
+        And I use the identity oracle
+        And I submit the following transaction
+            """
+            [
+            {"$class":"org.clearing.UpdateExchangeRates",
+            "usdRates":[
+            {"$class":"org.clearing.UsdExchangeRate","to":"EURO","rate":0.75},
+            {"$class":"org.clearing.UsdExchangeRate","to":"STERLING","rate":1.75}]}
+            ]
+            """
 
     Scenario: Bank 1 completes the settlement
         When I use the identity bank1
@@ -62,10 +76,7 @@ Feature: CompleteSettlement
             """
             [
             {"$class":"org.clearing.CompleteSettlement",
-            "batchId":"batch1:bank1-bank2",
-            "usdRates": [
-            {"$class":"org.clearing.UsdExchangeRate","to":"EURO","rate":0.75},
-            {"$class":"org.clearing.UsdExchangeRate","to":"STERLING","rate":1.75}]}
+            "batchId":"batch1:bank1-bank2"}
             ]
             """
         Then I should have the following assets
@@ -73,7 +84,7 @@ Feature: CompleteSettlement
             [
             {"$class":"org.clearing.TransferRequest",
             "requestId":"xferid1",
-            "details":{"$class":"org.clearing.Transfer","currency":"USD","amount":1000,"fromAccount":"111111","toAccount":"222222"},
+            "details":{"$class":"org.clearing.Transfer","currency":"USD","amount":1000,"fromIban":"GB82WEST12345698765432","toIban":"DE89370400440532013000"},
             "fromBankState":"PRE_PROCESS_COMPLETE",
             "toBankState":"PRE_PROCESS_COMPLETE",
             "state":"PRE_PROCESS_COMPLETE",
@@ -82,7 +93,7 @@ Feature: CompleteSettlement
 
             {"$class":"org.clearing.TransferRequest",
             "requestId":"xferid2",
-            "details":{"$class":"org.clearing.Transfer","currency":"EURO","amount":1000,"fromAccount":"333333","toAccount":"444444"},
+            "details":{"$class":"org.clearing.Transfer","currency":"EURO","amount":1000,"fromIban":"FR1420041010050500013M02606","toIban":"NL91ABNA0417164300"},
             "fromBankState":"PRE_PROCESS_COMPLETE",
             "toBankState":"PRE_PROCESS_COMPLETE",
             "state":"PRE_PROCESS_COMPLETE",
@@ -102,6 +113,6 @@ Feature: CompleteSettlement
             ]
             """
         And I should have the following participants of type org.clearing.BankingParticipant
-            | bankingId | bankingName | workingCurrency | fundBalance |
-            | bank1     | Bank One    | USD             | 1000333     |
-            | bank2     | Bank Two    | EURO            | 999750      |
\ No newline at end of file
+            | bankingId | bankingName | workingCurrency | fundBalance        |
+            | bank1     | Bank One    | USD             | 1000333.3333333334 |
+            | bank2     | Bank Two    | EURO            | 999750             |
\ No newline at end of file
@@ -0,0 +1,65 @@
+#
+# Licensed under the Apache License, Version 2.0 (the "License");
+# you may not use this file except in compliance with the License.
+# You may obtain a copy of the License at
+#
+# http://www.apache.org/licenses/LICENSE-2.0
+#
+# Unless required by applicable law or agreed to in writing, software
+# distributed under the License is distributed on an "AS IS" BASIS,
+# WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+# See the License for the specific language governing permissions and
+# limitations under the License.
+#
+Feature: UpdateExchangeRates
+
+    Background:
+        Given I have deployed the business network definition ..
+        And I have added the following participants of type org.clearing.BankingParticipant
+            | bankingId | bankingName | workingCurrency | fundBalance |
+            | bank1     | Bank One    | USD             | 1000000     |
+        And I have added the following participants of type org.clearing.RateProvider
+            | providerId | providerName |
+            | oracle     | Rate Oracle  |
+        And I have issued the participant org.clearing.BankingParticipant#bank1 with the identity bank1
+        And I have issued the participant org.clearing.RateProvider#oracle with the identity oracle
+
+    Scenario: The rate provider publishes exchange rates and an ExchangeRateUpdatedEvent is emitted for each
+        When I use the identity oracle
+        And I submit the following transaction
+            """
+            [
+            {"$class":"org.clearing.UpdateExchangeRates",
+            "usdRates":[
+            {"$class":"org.clearing.UsdExchangeRate","to":"EURO","rate":0.75},
+            {"$class":"org.clearing.UsdExchangeRate","to":"STERLING","rate":1.75}]}
+            ]
+            """
+        Then I should have received the following events of type org.clearing.ExchangeRateUpdatedEvent
+            | currency | rate |
+            | EURO     | 0.75 |
+            | STERLING | 1.75 |
+
+    Scenario: The rate provider cannot publish an exchange rate of zero
+        When I use the identity oracle
+        And I submit the following transaction
+            """
+            [
+            {"$class":"org.clearing.UpdateExchangeRates",
+            "usdRates":[
+            {"$class":"org.clearing.UsdExchangeRate","to":"EURO","rate":0}]}
+            ]
+            """
+        Then I should get an error matching /The exchange rate from USD to EURO must be greater than zero/
+
+    Scenario: Bank 1 cannot publish exchange rates
+        When I use the identity bank1
+        And I submit the following transaction
+            """
+            [
+            {"$class":"org.clearing.UpdateExchangeRates",
+            "usdRates":[
+            {"$class":"org.clearing.UsdExchangeRate","to":"EURO","rate":100}]}
+            ]
+            """
+        Then I should get an error matching /does not have .* access to resource/
@@ -0,0 +1,115 @@
+#
+# Licensed under the Apache License, Version 2.0 (the "License");
+# you may not use this file except in compliance with the License.
+# You may obtain a copy of the License at
+#
+# http://www.apache.org/licenses/LICENSE-2.0
+#
+# Unless required by applicable law or agreed to in writing, software
+# distributed under the License is distributed on an "AS IS" BASIS,
+# WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+# See the License for the specific language governing permissions and
+# limitations under the License.
+#
+Feature: FailBatch
+
+    Background:
+        Given I have deployed the business network definition ..
+        And I have added the following participants of type org.clearing.BankingParticipant
+            | bankingId | bankingName | workingCurrency | fundBalance |
+            | bank1     | Bank One    | USD             | 1000000     |
+            | bank2     | Bank Two    | EURO            | 1000000     |
+        And I have issued the participant org.clearing.BankingParticipant#bank1 with the identity bank1
+        And I have issued the participant org.clearing.BankingParticipant#bank2 with the identity bank2
+        And I have added the following assets
+            """
+            [
+            {"$class":"org.clearing.TransferRequest",
+            "requestId":"xferid1",
+            "details":{"$class":"org.clearing.Transfer","currency":"USD","amount":1000,"fromIban":"GB82WEST12345698765432","toIban":"DE89370400440532013000"},
+            "fromBankState":"PENDING",
+            "toBankState":"PENDING",
+            "state":"PROCESSING",
+            "fromBank":"bank1",
+            "toBank":"bank2"},
+
+            {"$class":"org.clearing.TransferRequest",
+            "requestId":"xferid2",
+            "details":{"$class":"org.clearing.Transfer","currency":"EURO","amount":1000,"fromIban":"FR1420041010050500013M02606","toIban":"NL91ABNA0417164300"},
+            "fromBankState":"PENDING",
+            "toBankState":"PENDING",
+            "state":"PROCESSING",
+            "fromBank":"bank2",
+            "toBank":"bank1"},
+
+            {"$class":"org.clearing.BatchTransferRequest",
+            "batchId":"batch1:bank1-bank2",
+            "settlement":{"$class":"org.clearing.Settlement",
+            "amount":333.33333333333326,
+            "currency":"USD",
+            "creditorBank":"org.clearing.BankingParticipant#bank1",
+            "debtorBank":"org.clearing.BankingParticipant#bank2"},
+            "state":"PENDING_PRE_PROCESS",
+            "parties":["org.clearing.BankingParticipant#bank1","org.clearing.BankingParticipant#bank2"],
+            "transferRequests":["org.clearing.TransferRequest#xferid1","org.clearing.TransferRequest#xferid2"]}
+            ]
+            """
+
+    Scenario: Bank 2 fails the batch, returning its transfer requests to pending
+        When I use the identity bank2
+        And I submit the following transaction of type org.clearing.FailBatch
+            | batchId            | reasonCode      |
+            | batch1:bank1-bank2 | TECHNICAL_ERROR |
+        Then I should have received the following events of type org.clearing.BatchFailedEvent
+            | batchId            | reasonCode      |
+            | batch1:bank1-bank2 | TECHNICAL_ERROR |
+        And I should have received the following events of type org.clearing.TransferRequestReturnedEvent
+            | requestId | batchId            | reasonCode      |
+            | xferid1   | batch1:bank1-bank2 | TECHNICAL_ERROR |
+            | xferid2   | batch1:bank1-bank2 | TECHNICAL_ERROR |
+        And I should have the following assets
+            """
+            [
+            {"$class":"org.clearing.TransferRequest",
+            "requestId":"xferid1",
+            "details":{"$class":"org.clearing.Transfer","currency":"USD","amount":1000,"fromIban":"GB82WEST12345698765432","toIban":"DE89370400440532013000"},
+            "fromBankState":"PENDING",
+            "toBankState":"PENDING",
+            "state":"PENDING",
+            "reasonCode":"TECHNICAL_ERROR",
+            "fromBank":"bank1",
+            "toBank":"bank2"},
+
+            {"$class":"org.clearing.TransferRequest",
+            "requestId":"xferid2",
+            "details":{"$class":"org.clearing.Transfer","currency":"EURO","amount":1000,"fromIban":"FR1420041010050500013M02606","toIban":"NL91ABNA0417164300"},
+            "fromBankState":"PENDING",
+            "toBankState":"PENDING",
+            "state":"PENDING",
+            "reasonCode":"TECHNICAL_ERROR",
+            "fromBank":"bank2",
+            "toBank":"bank1"},
+
+            {"$class":"org.clearing.BatchTransferRequest",
+            "batchId":"batch1:bank1-bank2",
+            "settlement":{"$class":"org.clearing.Settlement",
+            "amount":333.33333333333326,
+            "currency":"USD",
+            "creditorBank":"org.clearing.BankingParticipant#bank1",
+            "debtorBank":"org.clearing.BankingParticipant#bank2"},
+            "state":"FAILED",
+            "reasonCode":"TECHNICAL_ERROR",
+            "parties":["org.clearing.BankingParticipant#bank1","org.clearing.BankingParticipant#bank2"],
+            "transferRequests":["org.clearing.TransferRequest#xferid1","org.clearing.TransferRequest#xferid2"]}
+            ]
+            """
+
+    Scenario: Bank 1 cannot fail a batch that has already been failed
+        When I use the identity bank1
+        And I submit the following transaction of type org.clearing.FailBatch
+            | batchId            | reasonCode |
+            | batch1:bank1-bank2 | OTHER      |
+        And I submit the following transaction of type org.clearing.FailBatch
+            | batchId            | reasonCode |
+            | batch1:bank1-bank2 | OTHER      |
+        Then I should get an error matching /is in state FAILED but must be in state 'PENDING_PRE_PROCESS', 'READY_TO_SETTLE' or 'QUEUED'/
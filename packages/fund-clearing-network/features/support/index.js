@@ -19,6 +19,27 @@ const cucumber = require('cucumber');
 
 module.exports = function () {
     composerSteps.call(this);
+
+    // A batch records the time each of its exchange rates was published, which is only known once
+    // the rates have been published, so it is filled in from the ExchangeRate assets
+    this.Then(/^I should have the following assets? netted with the published exchange rates$/, function (docString) {
+        return this.composer.businessNetworkConnection.getAssetRegistry('org.clearing.ExchangeRate')
+            .then((rateRegistry) => {
+                return rateRegistry.getAll();
+            })
+            .then((exchangeRates) => {
+                let expected = JSON.parse(docString);
+                for (let asset of expected) {
+                    for (let usdRate of asset.usdRates || []) {
+                        const exchangeRate = exchangeRates.find((exchangeRate) => {
+                            return exchangeRate.currency === usdRate.to;
+                        });
+                        usdRate.timestamp = exchangeRate.timestamp.toISOString();
+                    }
+                }
+                return this.composer.testAssets(null, null, JSON.stringify(expected));
+            });
+    });
 };
 
 if (cucumber.defineSupportCode) {
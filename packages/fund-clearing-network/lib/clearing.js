@@ -13,36 +13,175 @@
  */
 const namespace = 'org.clearing';
 
+// Net positions smaller than this (in USD) are treated as settled
+const NETTING_TOLERANCE = 0.000001;
+
+// Exchange rates published longer ago than this (in milliseconds) are too stale to use
+const RATE_MAX_AGE = 60 * 60 * 1000;
+
 /**
  * Submit a TransferRequest
  * @param {org.clearing.SubmitTransferRequest} tx passed transaction body
  * @transaction
  */
 async function submitTransferRequest(tx) { // eslint-disable-line no-unused-vars
+    await createTransferRequest(tx.transferId, tx.toBank, tx.state, tx.details, tx.timestamp);
+}
+
+/**
+ * Create a TransferRequest from the invoking bank, recording its submission for statements
+ * @param {String} transferId identifier of the TransferRequest
+ * @param {String} toBankId identifier of the bank the funds are sent to
+ * @param {String} fromBankState TransferRequestState of the request at the invoking bank
+ * @param {Transfer} details the transfer
+ * @param {DateTime} timestamp when the request was submitted
+ */
+async function createTransferRequest(transferId, toBankId, fromBankState, details, timestamp) {
     // Required registries for this transaction
     const participantRegistry = await getParticipantRegistry(namespace + '.BankingParticipant'); // eslint-disable-line no-undef
     const transferAssetRegistry = await getAssetRegistry(namespace + '.TransferRequest'); // eslint-disable-line no-undef
+    const recordAssetRegistry = await getAssetRegistry(namespace + '.ClearingRecord'); // eslint-disable-line no-undef
 
     // Use a factory for creation of asset
     const factory = getFactory(); // eslint-disable-line no-undef
-    const transferRequest = factory.newResource(namespace, 'TransferRequest', tx.transferId);
+    const transferRequest = factory.newResource(namespace, 'TransferRequest', transferId);
 
     // tx aspects
-    transferRequest.details = tx.details;
+    transferRequest.details = details;
     transferRequest.state = 'PENDING';
 
     // Participant aspects
     const fromBankRef = factory.newRelationship(namespace, 'BankingParticipant', getCurrentParticipant().getIdentifier()); // eslint-disable-line no-undef
     transferRequest.fromBank = fromBankRef;
-    transferRequest.fromBankState = tx.state;
+    transferRequest.fromBankState = fromBankState;
 
-    const toBank = await participantRegistry.get(tx.toBank);
+    const toBank = await participantRegistry.get(toBankId);
     const toBankRef = factory.newRelationship(namespace, 'BankingParticipant', toBank.getIdentifier());
     transferRequest.toBank = toBankRef;
     transferRequest.toBankState = 'PENDING';
 
     // Add to asset registry
     await transferAssetRegistry.add(transferRequest);
+    await recordAssetRegistry.add(clearingRecord('SUBMITTED', transferRequest, [fromBankRef, toBankRef], timestamp));
+}
+
+/**
+ * Create a ClearingRecord, so that statements can find the activity by when it took place
+ * @param {String} type the ClearingRecordType
+ * @param {Resource} resource the TransferRequest submitted or the BatchTransferRequest settled
+ * @param {BankingParticipant[]} parties the banks involved
+ * @param {DateTime} timestamp when the activity took place
+ * @return {ClearingRecord} the record
+ */
+function clearingRecord(type, resource, parties, timestamp) {
+    const record = getFactory().newResource(namespace, 'ClearingRecord', type + ':' + resource.getIdentifier()); // eslint-disable-line no-undef
+    record.type = type;
+    record.reference = resource.getIdentifier();
+    record.timestamp = timestamp;
+    record.parties = parties;
+    return record;
+}
+
+/**
+ * Publish the latest exchange rates from USD
+ * @param {org.clearing.UpdateExchangeRates} tx passed transaction body
+ * @transaction
+ */
+async function updateExchangeRates(tx) { // eslint-disable-line no-unused-vars
+    // Required registries for this transaction
+    const rateAssetRegistry = await getAssetRegistry(namespace + '.ExchangeRate'); // eslint-disable-line no-undef
+
+    // Use a factory for creation of assets
+    const factory = getFactory(); // eslint-disable-line no-undef
+
+    // Only the designated rate provider may publish rates
+    const provider = getCurrentParticipant(); // eslint-disable-line no-undef
+    if (!provider || provider.getFullyQualifiedType() !== namespace + '.RateProvider') {
+        throw new Error('Exchange rates can only be published by a RateProvider');
+    }
+
+    let published = [];
+    for (let rate of tx.usdRates) {
+        if (published.indexOf(rate.to) !== -1) {
+            throw new Error('The exchange rate from USD to ' + rate.to + ' is given more than once');
+        }
+        if (!(rate.rate > 0)) {
+            throw new Error('The exchange rate from USD to ' + rate.to + ' must be greater than zero');
+        }
+        published.push(rate.to);
+
+        const exists = await rateAssetRegistry.exists(rate.to);
+        let exchangeRate = exists ? await rateAssetRegistry.get(rate.to) : factory.newResource(namespace, 'ExchangeRate', rate.to);
+        exchangeRate.rate = rate.rate;
+        exchangeRate.timestamp = tx.timestamp;
+        exchangeRate.provider = factory.newRelationship(namespace, 'RateProvider', provider.getIdentifier());
+        if (exists) {
+            await rateAssetRegistry.update(exchangeRate);
+        } else {
+            await rateAssetRegistry.add(exchangeRate);
+        }
+
+        // Emit ExchangeRateUpdatedEvent event
+        let event = factory.newEvent(namespace, 'ExchangeRateUpdatedEvent');
+        event.currency = rate.to;
+        event.rate = rate.rate;
+        emit(event); // eslint-disable-line no-undef
+    }
+}
+
+/**
+ * Get the latest published exchange rates from USD to a set of currencies,
+ * refusing rates that are missing, older than RATE_MAX_AGE or published after
+ * the time at which they will be used
+ * @param {String[]} currencies currencies that need an exchange rate, which may repeat
+ * @param {Date} timestamp time at which the rates will be used
+ * @return {UsdExchangeRate[]} array of UsdExchangeRate objects, each with the time it was published
+ */
+async function publishedRates(currencies, timestamp) {
+    const rateAssetRegistry = await getAssetRegistry(namespace + '.ExchangeRate'); // eslint-disable-line no-undef
+    const factory = getFactory(); // eslint-disable-line no-undef
+
+    let rates = [];
+    for (let currency of currencies) {
+        if (currency === 'USD' || rates.some((rate) => { return rate.to === currency; })) {
+            continue;
+        }
+        if (!(await rateAssetRegistry.exists(currency))) {
+            throw new Error('No exchange rate from USD to ' + currency + ' has been published');
+        }
+        const exchangeRate = await rateAssetRegistry.get(currency);
+        if (exchangeRate.timestamp > timestamp) {
+            throw new Error('The exchange rate from USD to ' + currency + ' is dated ' +
+                exchangeRate.timestamp.toISOString() + ', after the time at which it would be used');
+        }
+        if (timestamp.getTime() - exchangeRate.timestamp.getTime() > RATE_MAX_AGE) {
+            throw new Error('The exchange rate from USD to ' + currency + ' was published at ' +
+                exchangeRate.timestamp.toISOString() + ' and is too stale to use');
+        }
+        let rate = factory.newConcept(namespace, 'UsdExchangeRate');
+        rate.to = currency;
+        rate.rate = exchangeRate.rate;
+        rate.timestamp = exchangeRate.timestamp;
+        rates.push(rate);
+    }
+    return rates;
+}
+
+/**
+ * Find the exchange rate from USD to a currency
+ * @param {UsdExchangeRate[]} rates array of UsdExchangeRate objects
+ * @param {String} currency currency to exchange USD into
+ * @return {Double} units of currency per USD
+ */
+function usdRate(rates, currency) {
+    if (currency === 'USD') {
+        return 1;
+    }
+    let filteredRate = rates.filter((rate) => { return rate.to === currency; });
+    if (filteredRate.length === 0) {
+        throw new Error('No exchange rate from USD to ' + currency + ' is available');
+    }
+    return filteredRate[0].rate;
 }
 
 /**
@@ -57,28 +196,156 @@ function netTransfers(transferRequests, participantId, rates) {
     // Determine amount in USD
     for (let request of transferRequests) {
         if (request.toBank.getIdentifier() === participantId) {
-            if (request.details.currency === 'USD') {
-                amount += request.details.amount;
-            } else {
-                let filteredRate = rates.filter((rate) => { return rate.to === request.details.currency; });
-                amount += request.details.amount / filteredRate[0].rate;
-            }
+            amount += request.details.amount / usdRate(rates, request.details.currency);
         } else {
-            if (request.details.currency === 'USD') {
-                amount -= request.details.amount;
-            } else {
-                let filteredRate = rates.filter((rate) => { return rate.to === request.details.currency; });
-                amount -= request.details.amount / filteredRate[0].rate;
-            }
+            amount -= request.details.amount / usdRate(rates, request.details.currency);
         }
     }
     return amount;
 }
 
+/**
+ * Determine the net position of every bank across a set of transfer requests,
+ * accounting for exchange rates
+ * @param {TransferRequest[]} transferRequests array of TransferRequest objects
+ * @param {rates[]} rates array of UsdExchangeRate objects
+ * @return {Object} net amount in USD for each bank identifier, positive if the bank is owed funds
+ */
+function netPositions(transferRequests, rates) {
+    let positions = {};
+    for (let request of transferRequests) {
+        const amount = request.details.amount / usdRate(rates, request.details.currency);
+        const toBankId = request.toBank.getIdentifier();
+        const fromBankId = request.fromBank.getIdentifier();
+        positions[toBankId] = (positions[toBankId] || 0) + amount;
+        positions[fromBankId] = (positions[fromBankId] || 0) - amount;
+    }
+    return positions;
+}
+
+/**
+ * Determine the settlement legs that settle a set of net positions. Equal and
+ * opposite positions are paired first, then the largest debtor pays the largest
+ * creditor until every position is settled, so there is at most one leg fewer
+ * than there are banks with a position. This is a greedy heuristic: it does not
+ * look for larger groups of positions that sum to zero, so it may use more legs
+ * than the fewest possible.
+ * @param {Object} positions net amount in USD for each bank identifier
+ * @return {Object[]} legs, each with a debtor and creditor bank identifier and an amount in USD
+ */
+function settlementLegs(positions) {
+    let legs = [];
+    let remaining = Object.keys(positions)
+        .filter((bankId) => { return Math.abs(positions[bankId]) > NETTING_TOLERANCE; })
+        .map((bankId) => { return { bankId: bankId, amount: positions[bankId] }; });
+
+    // Pair equal and opposite positions
+    for (let debtor of remaining.filter((position) => { return position.amount < 0; })) {
+        let creditor = remaining.find((position) => { return Math.abs(position.amount + debtor.amount) <= NETTING_TOLERANCE; });
+        if (creditor) {
+            legs.push({ debtor: debtor.bankId, creditor: creditor.bankId, amount: creditor.amount });
+            creditor.amount = 0;
+            debtor.amount = 0;
+        }
+    }
+
+    // Settle the largest debtor against the largest creditor
+    remaining = remaining.filter((position) => { return Math.abs(position.amount) > NETTING_TOLERANCE; });
+    while (remaining.length > 0) {
+        remaining.sort((a, b) => { return a.amount - b.amount; });
+        let debtor = remaining[0];
+        let creditor = remaining[remaining.length - 1];
+        let amount = Math.min(-debtor.amount, creditor.amount);
+        legs.push({ debtor: debtor.bankId, creditor: creditor.bankId, amount: amount });
+        debtor.amount += amount;
+        creditor.amount -= amount;
+        remaining = remaining.filter((position) => { return Math.abs(position.amount) > NETTING_TOLERANCE; });
+    }
+    return legs;
+}
+
+/**
+ * Creates a single BatchTransferRequest that multilaterally nets all current
+ * TransferRequests in the 'PENDING' state across all BankingParticipants
+ * @param {org.clearing.CreateBatch} tx passed transaction body
+ * @param {BankingParticipant[]} participants all BankingParticipants
+ */
+async function createMultilateralBatch(tx, participants) {
+
+    // Required registries for this transaction
+    const batchAssetRegistry = await getAssetRegistry(namespace + '.BatchTransferRequest'); // eslint-disable-line no-undef
+    const transferAssetRegistry = await getAssetRegistry(namespace + '.TransferRequest'); // eslint-disable-line no-undef
+
+    // Use a factory for creation of assets
+    const factory = getFactory(); // eslint-disable-line no-undef
+
+    // Query for all pending transfer requests
+    const transferRequests = await query('TransferRequestsInState', { 'state': 'PENDING' }); // eslint-disable-line no-undef
+    if (transferRequests.length === 0) {
+        return;
+    }
+
+    // Get the rates for every transfer and for the currency of every bank with a transfer
+    const banks = participants.filter((participant) => {
+        return transferRequests.some((transferRequest) => {
+            return transferRequest.fromBank.getIdentifier() === participant.getIdentifier() ||
+                transferRequest.toBank.getIdentifier() === participant.getIdentifier();
+        });
+    });
+    const rates = await publishedRates(banks.map((bank) => { return bank.workingCurrency; })
+        .concat(transferRequests.map((transferRequest) => { return transferRequest.details.currency; })), tx.timestamp);
+
+    // Determine the net position of each bank in USD, and the legs that settle them
+    const positions = netPositions(transferRequests, rates);
+    const legs = settlementLegs(positions);
+
+    let batch = factory.newResource(namespace, 'BatchTransferRequest', tx.batchId);
+    batch.positions = Object.keys(positions).map((bankId) => {
+        let position = factory.newConcept(namespace, 'NetPosition');
+        position.bank = factory.newRelationship(namespace, 'BankingParticipant', bankId);
+        position.amount = positions[bankId];
+        return position;
+    });
+
+    // Each leg is settled in the currency of the creditor
+    batch.legs = legs.map((leg) => {
+        const creditor = participants.find((participant) => { return participant.getIdentifier() === leg.creditor; });
+        let settlement = factory.newConcept(namespace, 'Settlement');
+        settlement.creditorBank = factory.newRelationship(namespace, 'BankingParticipant', leg.creditor);
+        settlement.debtorBank = factory.newRelationship(namespace, 'BankingParticipant', leg.debtor);
+        settlement.currency = creditor.workingCurrency;
+        settlement.amount = leg.amount * usdRate(rates, settlement.currency);
+        return settlement;
+    });
+    batch.parties = Object.keys(positions).map((bankId) => {
+        return factory.newRelationship(namespace, 'BankingParticipant', bankId);
+    });
+    batch.usdRates = rates;
+    batch.state = 'PENDING_PRE_PROCESS';
+    batch.transferRequests = transferRequests.map((transferRequest) => {
+        return factory.newRelationship(namespace, 'TransferRequest', transferRequest.getIdentifier());
+    });
+
+    // Add the batch to registry
+    await batchAssetRegistry.add(batch);
+
+    // Update all TransferRequest states
+    for (let transferRequest of transferRequests) {
+        transferRequest.state = 'PROCESSING';
+    }
+    await transferAssetRegistry.updateAll(transferRequests);
+
+    // Emit BatchCreatedEvent event
+    let event = factory.newEvent(namespace, 'BatchCreatedEvent');
+    event.batchId = batch.getIdentifier();
+    emit(event); // eslint-disable-line no-undef
+}
+
 /**
  * Creates a BatchTransaferRequest for each bank pairing from all current
  * TransferRequests that are in the 'PENDING' state and involve the Transaction
- * invoking Participant
+ * invoking Participant, or with MULTILATERAL netting a single BatchTransferRequest
+ * for all TransferRequests that are in the 'PENDING' state
  * @param {org.clearing.CreateBatch} tx passed transaction body
  * @transaction
  */
@@ -102,23 +369,43 @@ async function createBatch(tx) {  // eslint-disable-line no-unused-vars
         throw new Error('Insufficient number of BankingParticipant(s) to proceed with batch creation');
     }
 
-    // Run queries for all TransferRequests in the 'PENDING' state for each possible bank pairing with invoking Participant
+    if (tx.netting === 'MULTILATERAL') {
+        if (!invokeParticipant || (invokeParticipant.getFullyQualifiedType() !== namespace + '.ClearingOperator' &&
+            invokeParticipant.getFullyQualifiedType() !== 'org.hyperledger.composer.system.NetworkAdmin')) {
+            throw new Error('Multilateral batches can only be created by a ClearingOperator');
+        }
+        await createMultilateralBatch(tx, participants);
+        return;
+    }
+
+    // Query for all TransferRequests in the 'PENDING' state involving the invoking Participant, and group them by the other bank
+    const pendingRequests = await query('TransferRequestsForBankInState', { 'bank': 'resource:org.clearing.BankingParticipant#' + invokeParticipant.getIdentifier(), 'state': 'PENDING' }); // eslint-disable-line no-undef
+    let counterpartyRequests = {};
+    for (let transferRequest of pendingRequests) {
+        const counterparty = transferRequest.fromBank.getIdentifier() === invokeParticipant.getIdentifier() ? transferRequest.toBank : transferRequest.fromBank;
+        counterpartyRequests[counterparty.getIdentifier()] = (counterpartyRequests[counterparty.getIdentifier()] || []).concat([transferRequest]);
+    }
+
+    // Create a batch for each bank pairing with invoking Participant
     for (let i = 0; i < participants.length; i++) {
         // Don't consider self
         if (participants[i].getIdentifier() === invokeParticipant.getIdentifier()) {
             continue;
         }
-        // Query for pending transfer requests
-        const transferRequests = await query('TransferRequestsByBanksInState', { 'bank1': 'resource:org.clearing.BankingParticipant#' + invokeParticipant.getIdentifier(), 'bank2': 'resource:org.clearing.BankingParticipant#' + participants[i].getIdentifier(), 'state': 'PENDING' }); // eslint-disable-line no-undef
+        const transferRequests = counterpartyRequests[participants[i].getIdentifier()];
 
-        // Conditionally process returned transfer requests
-        if (transferRequests.length > 0) {
+        // Conditionally process pending transfer requests
+        if (transferRequests) {
             // Create BatchTransferRequest(s) for each interaction pairing
             let batch = factory.newResource(namespace, 'BatchTransferRequest', tx.batchId + ':' +
                 invokeParticipant.getIdentifier() + '-' + participants[i].getIdentifier());
 
+            // Get the rates for every transfer and for the currency of either bank
+            const rates = await publishedRates([invokeParticipant.workingCurrency, participants[i].workingCurrency]
+                .concat(transferRequests.map((transferRequest) => { return transferRequest.details.currency; })), tx.timestamp);
+
             // Determine settlement amount in USD, adjust to creditor currency later
-            let amount = netTransfers(transferRequests, invokeParticipant.getIdentifier(), tx.usdRates);
+            let amount = netTransfers(transferRequests, invokeParticipant.getIdentifier(), rates);
 
             let settlement = factory.newConcept(namespace, 'Settlement');
             if (amount >= 0) {
@@ -132,13 +419,11 @@ async function createBatch(tx) {  // eslint-disable-line no-unused-vars
             }
 
             // Adjust settlement to be in creditor currency (amount is currently in USD)
-            if (settlement.currency !== 'USD') {
-                let filteredRate = tx.usdRates.filter((rate) => { return rate.to === settlement.currency; });
-                amount = amount * filteredRate[0].rate;
-            }
+            amount = amount * usdRate(rates, settlement.currency);
 
             settlement.amount = Math.abs(amount);
             batch.settlement = settlement;
+            batch.usdRates = rates;
             batch.parties = [
                 factory.newRelationship(namespace, 'BankingParticipant', invokeParticipant.getIdentifier()),
                 factory.newRelationship(namespace, 'BankingParticipant', participants[i].getIdentifier())
@@ -185,6 +470,11 @@ async function markPreProcessComplete(tx) {  // eslint-disable-line no-unused-va
     // Get the batch asset
     let batch = await batchAssetRegistry.get(tx.batchId);
 
+    // Should only operate on batches in PENDING_PRE_PROCESS state
+    if (batch.state !== 'PENDING_PRE_PROCESS') {
+        throw new Error('Unable to process transaction, BatchTransferRequest with id ' + tx.batchId + ' is in state ' + batch.state + ' but must be in state \'PENDING_PRE_PROCESS\'');
+    }
+
     // Update all TransferRequests where currentParticipant is 'to/fromBank' member
     let updateArray = new Array();
     let readyToSettle = true;
@@ -229,23 +519,100 @@ async function markPreProcessComplete(tx) {  // eslint-disable-line no-unused-va
 function adjustSettlement(amount, rates, creditorCurrency, debtorCurrency) {
     // If same currency, no need to adjust for exchange rate
     if (creditorCurrency !== debtorCurrency) {
-        let fromRate = 1;
-        let toRate = 1;
+        const fromRate = usdRate(rates, debtorCurrency);
+        const toRate = usdRate(rates, creditorCurrency);
+        amount = amount * (fromRate / toRate);
+    }
+    return amount;
+}
+
+/**
+ * Get the settlements of a BatchTransferRequest
+ * @param {BatchTransferRequest} batch the batch
+ * @return {Settlement[]} the settlement of a bilateral batch, or the legs of a multilateral batch
+ */
+function batchSettlements(batch) {
+    return batch.legs ? batch.legs : [batch.settlement];
+}
 
-        if (creditorCurrency !== 'USD') {
-            toRate = rates.filter((rate) => { return rate.to === creditorCurrency; })[0].rate;
+/**
+ * Get the BankingParticipants that settle a BatchTransferRequest
+ * @param {BatchTransferRequest} batch the batch
+ * @param {Object} participants BankingParticipants by identifier, which any missing ones are added to
+ * @return {String[]} working currencies of the BankingParticipants
+ */
+async function settlingParticipants(batch, participants) {
+    const participantRegistry = await getParticipantRegistry(namespace + '.BankingParticipant'); // eslint-disable-line no-undef
+
+    let currencies = [];
+    for (let settlement of batchSettlements(batch)) {
+        for (let bank of [settlement.creditorBank, settlement.debtorBank]) {
+            if (!participants[bank.getIdentifier()]) {
+                participants[bank.getIdentifier()] = await participantRegistry.get(bank.getIdentifier());
+            }
+            currencies.push(participants[bank.getIdentifier()].workingCurrency);
         }
+    }
+    return currencies;
+}
 
-        if (debtorCurrency !== 'USD') {
-            fromRate = rates.filter((rate) => { return rate.to === debtorCurrency; })[0].rate;
+/**
+ * Settle a BatchTransferRequest by adjusting the funds of its banks, accounting for
+ * currency exchange rate, unless that would take a bank beyond its net debit cap or
+ * one of its credit limits
+ * @param {BatchTransferRequest} batch the batch to settle
+ * @param {Object} participants BankingParticipants by identifier, including every bank in the batch
+ * @param {UsdExchangeRate[]} rates array of UsdExchangeRate objects
+ * @return {Boolean} true if the batch was settled, false if no funds were moved
+ */
+function settleBatch(batch, participants, rates) {
+    // Determine the change in funds of each bank, and in its net debit to each counterparty
+    let funds = {};
+    let netDebits = {};
+    for (let settlement of batchSettlements(batch)) {
+        const creditorId = settlement.creditorBank.getIdentifier();
+        const debtorId = settlement.debtorBank.getIdentifier();
+        const debtoramount = adjustSettlement(settlement.amount, rates, participants[creditorId].workingCurrency, participants[debtorId].workingCurrency);
+
+        funds[creditorId] = (funds[creditorId] || 0) + settlement.amount;
+        funds[debtorId] = (funds[debtorId] || 0) - debtoramount;
+        netDebits[creditorId] = netDebits[creditorId] || {};
+        netDebits[creditorId][debtorId] = (netDebits[creditorId][debtorId] || 0) - settlement.amount;
+        netDebits[debtorId] = netDebits[debtorId] || {};
+        netDebits[debtorId][creditorId] = (netDebits[debtorId][creditorId] || 0) + debtoramount;
+    }
+
+    // Check that no bank paying out funds goes beyond a limit
+    for (let bankId of Object.keys(funds)) {
+        const bank = participants[bankId];
+        if (funds[bankId] < 0 && bank.fundBalance + funds[bankId] < -bank.netDebitCap) {
+            return false;
+        }
+        for (let creditLimit of bank.creditLimits || []) {
+            const netDebit = netDebits[bankId][creditLimit.counterparty.getIdentifier()];
+            if (netDebit > 0 && creditLimit.netDebit + netDebit > creditLimit.limit) {
+                return false;
+            }
         }
-        amount = amount * (fromRate / toRate);
     }
-    return amount;
+
+    // Adjust funds, and the net debit to each counterparty with a credit limit
+    for (let bankId of Object.keys(funds)) {
+        const bank = participants[bankId];
+        bank.fundBalance += funds[bankId];
+        for (let creditLimit of bank.creditLimits || []) {
+            creditLimit.netDebit += netDebits[bankId][creditLimit.counterparty.getIdentifier()] || 0;
+        }
+    }
+    return true;
 }
 
 /**
- * Transaction to adjust Bank participant funds according to net settlement amount in creditor currency
+ * Transaction to adjust Bank participant funds according to net settlement amount in creditor currency.
+ * A batch that would take a bank beyond a limit is queued, and queued batches are released, oldest
+ * first, once settlements have freed up enough liquidity for them. A queued batch can also be retried
+ * directly, for example after its limits have changed, and keeps its place in the queue if it still
+ * cannot be settled.
  * @param {org.clearing.CompleteSettlement} tx passed transaction body
  * @transaction
  */
@@ -254,33 +621,69 @@ async function completeSettlement(tx) {  // eslint-disable-line no-unused-vars
     // Required registries for this transaction
     const participantRegistry = await getParticipantRegistry(namespace + '.BankingParticipant'); // eslint-disable-line no-undef
     const batchAssetRegistry = await getAssetRegistry(namespace + '.BatchTransferRequest'); // eslint-disable-line no-undef
+    const recordAssetRegistry = await getAssetRegistry(namespace + '.ClearingRecord'); // eslint-disable-line no-undef
+
+    // Use a factory for creation of events
+    const factory = getFactory(); // eslint-disable-line no-undef
 
     // Use the batch being completed
     let batch = await batchAssetRegistry.get(tx.batchId);
 
-    // Can only complete if batch is in 'READY_TO_SETTLE' state
-    if (batch.state !== 'READY_TO_SETTLE') {
-        throw new Error('Unable to process transaction, BatchTransferRequest with id ' + tx.batchId + ' is in state ' + batch.state + ' but must be in state \'READY_TO_SETTLE\'');
+    // Can only complete if batch is in 'READY_TO_SETTLE' or 'QUEUED' state
+    if (batch.state !== 'READY_TO_SETTLE' && batch.state !== 'QUEUED') {
+        throw new Error('Unable to process transaction, BatchTransferRequest with id ' + tx.batchId + ' is in state ' + batch.state + ' but must be in state \'READY_TO_SETTLE\' or \'QUEUED\'');
     }
 
-    // Get the settlement
-    const settlement = batch.settlement;
+    // Get the participants involved, and the latest rates for their currencies
+    let participants = {};
+    const rates = await publishedRates(await settlingParticipants(batch, participants), tx.timestamp);
 
-    // Get the participants involved
-    const creditor = await participantRegistry.get(settlement.creditorBank.getIdentifier());
-    const debtor = await participantRegistry.get(settlement.debtorBank.getIdentifier());
-
-    // Adjust funds, accounting for currency exchange rate
-    let debtoramount = adjustSettlement(settlement.amount, tx.usdRates, creditor.workingCurrency, debtor.workingCurrency);
-
-    creditor.fundBalance += settlement.amount;
-    debtor.fundBalance -= debtoramount;
-    await participantRegistry.update(creditor);
-    await participantRegistry.update(debtor);
+    // Queue the batch if it would take a bank beyond a limit
+    if (!settleBatch(batch, participants, rates)) {
+        batch.state = 'QUEUED';
+        batch.queuedAt = batch.queuedAt || tx.timestamp;
+        await batchAssetRegistry.update(batch);
 
-    // Mark Batch as ready for post process
+        let event = factory.newEvent(namespace, 'BatchQueuedEvent');
+        event.batchId = batch.getIdentifier();
+        emit(event); // eslint-disable-line no-undef
+        return;
+    }
     batch.state = 'PENDING_POST_PROCESS';
-    await batchAssetRegistry.update(batch);
+    let settled = [batch];
+
+    // Release queued batches until none can be settled, as each release may free up liquidity for another
+    let queued = await query('BatchTransferRequestsInState', { 'state': 'QUEUED' }); // eslint-disable-line no-undef
+    queued = queued.filter((queuedBatch) => { return queuedBatch.getIdentifier() !== batch.getIdentifier(); });
+    queued.sort((a, b) => { return a.queuedAt.getTime() - b.queuedAt.getTime(); });
+    let released = true;
+    while (released) {
+        released = false;
+        for (let queuedBatch of queued) {
+            // A batch stays queued until rates are available for its currencies
+            let queuedRates;
+            try {
+                queuedRates = await publishedRates(await settlingParticipants(queuedBatch, participants), tx.timestamp);
+            } catch (error) {
+                continue;
+            }
+            if (settleBatch(queuedBatch, participants, queuedRates)) {
+                queuedBatch.state = 'PENDING_POST_PROCESS';
+                settled.push(queuedBatch);
+                released = true;
+
+                let event = factory.newEvent(namespace, 'BatchReleasedEvent');
+                event.batchId = queuedBatch.getIdentifier();
+                emit(event); // eslint-disable-line no-undef
+            }
+        }
+        queued = queued.filter((queuedBatch) => { return queuedBatch.state === 'QUEUED'; });
+    }
+    await participantRegistry.updateAll(Object.keys(participants).map((bankId) => { return participants[bankId]; }));
+
+    // Mark Batches as ready for post process
+    await batchAssetRegistry.updateAll(settled);
+    await recordAssetRegistry.addAll(settled.map((settledBatch) => { return clearingRecord('SETTLED', settledBatch, settledBatch.parties, tx.timestamp); }));
 }
 
 /**
@@ -334,4 +737,119 @@ async function markPostProcessComplete(tx) {  // eslint-disable-line no-unused-v
         batch.state = 'COMPLETE';
         await batchAssetRegistry.update(batch);
     }
-}
\ No newline at end of file
+}
+
+/**
+ * End a TransferRequest in the 'PENDING' state on behalf of one of its banks, recording the reason
+ * @param {org.clearing.RejectTransferRequest} tx passed transaction body, or a CancelTransferRequest
+ * @param {String} bank the bank that may end the request, either 'fromBank' or 'toBank'
+ * @param {String} state state to move the request and the bank into
+ * @param {String} eventType type of event to emit
+ */
+async function endTransferRequest(tx, bank, state, eventType) {
+
+    // Required registries for this transaction
+    const transferAssetRegistry = await getAssetRegistry(namespace + '.TransferRequest'); // eslint-disable-line no-undef
+
+    // Use a factory for creation of events
+    const factory = getFactory(); // eslint-disable-line no-undef
+
+    // Use the referenced TransferRequest
+    let transferRequest = await transferAssetRegistry.get(tx.requestId);
+
+    // Only the named bank may end the request
+    if (transferRequest[bank].getIdentifier() !== getCurrentParticipant().getIdentifier()) { // eslint-disable-line no-undef
+        throw new Error('Unable to process transaction, only the ' + bank + ' of TransferRequest with id ' + tx.requestId + ' can move it to state \'' + state + '\'');
+    }
+
+    // Requests that have been batched are returned by failing the batch
+    if (transferRequest.state !== 'PENDING') {
+        throw new Error('Unable to process transaction, TransferRequest with id ' + tx.requestId + ' is in state ' + transferRequest.state + ' but must be in state \'PENDING\'');
+    }
+
+    transferRequest[bank + 'State'] = state;
+    transferRequest.state = state;
+    transferRequest.reasonCode = tx.reasonCode;
+    transferRequest.reasonDescription = tx.reasonDescription;
+    await transferAssetRegistry.update(transferRequest);
+
+    let event = factory.newEvent(namespace, eventType);
+    event.requestId = tx.requestId;
+    event.reasonCode = tx.reasonCode;
+    event.reasonDescription = tx.reasonDescription;
+    emit(event); // eslint-disable-line no-undef
+}
+
+/**
+ * Transaction for the toBank to reject a TransferRequest that has not been batched
+ * @param {org.clearing.RejectTransferRequest} tx passed transaction body
+ * @transaction
+ */
+async function rejectTransferRequest(tx) {  // eslint-disable-line no-unused-vars
+    await endTransferRequest(tx, 'toBank', 'ERROR', 'TransferRequestRejectedEvent');
+}
+
+/**
+ * Transaction for the fromBank to cancel a TransferRequest that has not been batched
+ * @param {org.clearing.CancelTransferRequest} tx passed transaction body
+ * @transaction
+ */
+async function cancelTransferRequest(tx) {  // eslint-disable-line no-unused-vars
+    await endTransferRequest(tx, 'fromBank', 'CANCELLED', 'TransferRequestCancelledEvent');
+}
+
+/**
+ * Transaction to fail a BatchTransferRequest that has not been settled, returning
+ * all of its TransferRequests to the 'PENDING' state so that they can be batched again
+ * @param {org.clearing.FailBatch} tx passed transaction body
+ * @transaction
+ */
+async function failBatch(tx) {  // eslint-disable-line no-unused-vars
+
+    // Required registries for this transaction
+    const batchAssetRegistry = await getAssetRegistry(namespace + '.BatchTransferRequest'); // eslint-disable-line no-undef
+    const transferAssetRegistry = await getAssetRegistry(namespace + '.TransferRequest'); // eslint-disable-line no-undef
+
+    // Use a factory for creation of events
+    const factory = getFactory(); // eslint-disable-line no-undef
+
+    // Use the referenced Batch
+    let batch = await batchAssetRegistry.get(tx.batchId);
+
+    // Funds have moved once a batch is settled, so it can no longer fail
+    if (['PENDING_PRE_PROCESS', 'READY_TO_SETTLE', 'QUEUED'].indexOf(batch.state) === -1) {
+        throw new Error('Unable to process transaction, BatchTransferRequest with id ' + tx.batchId + ' is in state ' + batch.state + ' but must be in state \'PENDING_PRE_PROCESS\', \'READY_TO_SETTLE\' or \'QUEUED\'');
+    }
+
+    // Return all TransferRequests, undoing any pre-processing
+    let updateArray = new Array();
+    for (let transferRequestRef of batch.transferRequests) {
+        let transferReq = await transferAssetRegistry.get(transferRequestRef.getIdentifier());
+        transferReq.fromBankState = 'PENDING';
+        transferReq.toBankState = 'PENDING';
+        transferReq.state = 'PENDING';
+        transferReq.reasonCode = tx.reasonCode;
+        transferReq.reasonDescription = tx.reasonDescription;
+        updateArray.push(transferReq);
+    }
+    await transferAssetRegistry.updateAll(updateArray);
+
+    batch.state = 'FAILED';
+    batch.reasonCode = tx.reasonCode;
+    batch.reasonDescription = tx.reasonDescription;
+    await batchAssetRegistry.update(batch);
+
+    // Emit BatchFailedEvent event, then a TransferRequestReturnedEvent for each TransferRequest
+    let event = factory.newEvent(namespace, 'BatchFailedEvent');
+    event.batchId = tx.batchId;
+    event.reasonCode = tx.reasonCode;
+    event.reasonDescription = tx.reasonDescription;
+    emit(event); // eslint-disable-line no-undef
+    for (let transferReq of updateArray) {
+        let returnedEvent = factory.newEvent(namespace, 'TransferRequestReturnedEvent');
+        returnedEvent.requestId = transferReq.getIdentifier();
+        returnedEvent.batchId = tx.batchId;
+        returnedEvent.reasonCode = tx.reasonCode;
+        emit(returnedEvent); // eslint-disable-line no-undef
+    }
+}
@@ -0,0 +1,627 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * ISO 20022 messages for TransferRequests: pacs.008 credit transfers are imported as
+ * TransferRequests as if by SubmitTransferRequest, and pacs.002 status reports and camt.054
+ * notifications are exported from the current state of a TransferRequest
+ */
+
+// Namespaces of the supported message definitions
+const PACS008_NAMESPACE = 'urn:iso:std:iso:20022:tech:xsd:pacs.008.001.08';
+const PACS002_NAMESPACE = 'urn:iso:std:iso:20022:tech:xsd:pacs.002.001.10';
+const CAMT054_NAMESPACE = 'urn:iso:std:iso:20022:tech:xsd:camt.054.001.08';
+
+// ISO 4217 code of each Currency, and the number of decimal places in its amounts
+const ISO_CURRENCIES = {
+    EURO: { code: 'EUR', minorUnits: 2 },
+    STERLING: { code: 'GBP', minorUnits: 2 },
+    USD: { code: 'USD', minorUnits: 2 },
+    YEN: { code: 'JPY', minorUnits: 0 },
+    CHF: { code: 'CHF', minorUnits: 2 },
+    CAD: { code: 'CAD', minorUnits: 2 }
+};
+
+// pacs.002 transaction status of each TransferRequestState
+const TRANSACTION_STATUSES = {
+    PENDING: 'PDNG',
+    PROCESSING: 'ACSP',
+    PRE_PROCESS_COMPLETE: 'ACSP',
+    COMPLETE: 'ACSC',
+    ERROR: 'RJCT',
+    CANCELLED: 'CANC'
+};
+
+// ISO 20022 status reason code of each ReasonCode
+const STATUS_REASONS = {
+    INVALID_ACCOUNT: 'AC01',
+    INSUFFICIENT_FUNDS: 'AM04',
+    DUPLICATE_REQUEST: 'AM05',
+    COMPLIANCE_HOLD: 'RR04',
+    REQUESTED_BY_CUSTOMER: 'CUST',
+    TECHNICAL_ERROR: 'MS03',
+    OTHER: 'NARR'
+};
+
+// The parts of the pacs.008.001.08, pacs.002.001.10 and camt.054.001.08 schemas that are
+// imported or exported, by type name. Complex types list the child elements that are allowed,
+// in sequence, as [name, minOccurs, maxOccurs, type]; any other child element is rejected.
+// Simple types give the pattern of their text and of any required attributes.
+const ISO20022_SCHEMA = {
+    Pacs008Document: { children: [['FIToFICstmrCdtTrf', 1, 1, 'FIToFICustomerCreditTransferV08']] },
+    FIToFICustomerCreditTransferV08: { children: [['GrpHdr', 1, 1, 'GroupHeader93'], ['CdtTrfTxInf', 1, Infinity, 'CreditTransferTransaction39']] },
+    GroupHeader93: { children: [['MsgId', 1, 1, 'Max35Text'], ['CreDtTm', 1, 1, 'ISODateTime'], ['NbOfTxs', 1, 1, 'Max15NumericText'], ['SttlmInf', 1, 1, 'SettlementInstruction7']] },
+    SettlementInstruction7: { children: [['SttlmMtd', 1, 1, 'SettlementMethod1Code']] },
+    CreditTransferTransaction39: { children: [
+        ['PmtId', 1, 1, 'PaymentIdentification7'],
+        ['IntrBkSttlmAmt', 1, 1, 'ActiveCurrencyAndAmount'],
+        ['ChrgBr', 1, 1, 'ChargeBearerType1Code'],
+        ['Dbtr', 1, 1, 'PartyIdentification135'],
+        ['DbtrAcct', 0, 1, 'CashAccount38'],
+        ['DbtrAgt', 1, 1, 'BranchAndFinancialInstitutionIdentification6'],
+        ['CdtrAgt', 1, 1, 'BranchAndFinancialInstitutionIdentification6'],
+        ['Cdtr', 1, 1, 'PartyIdentification135'],
+        ['CdtrAcct', 0, 1, 'CashAccount38']
+    ] },
+    PaymentIdentification7: { children: [['InstrId', 0, 1, 'Max35Text'], ['EndToEndId', 1, 1, 'Max35Text'], ['TxId', 0, 1, 'Max35Text'], ['UETR', 0, 1, 'UUIDv4Identifier']] },
+    PartyIdentification135: { children: [['Nm', 0, 1, 'Max140Text']] },
+
+    Pacs002Document: { children: [['FIToFIPmtStsRpt', 1, 1, 'FIToFIPaymentStatusReportV10']] },
+    FIToFIPaymentStatusReportV10: { children: [['GrpHdr', 1, 1, 'GroupHeader91'], ['TxInfAndSts', 0, Infinity, 'PaymentTransaction110']] },
+    GroupHeader91: { children: [['MsgId', 1, 1, 'Max35Text'], ['CreDtTm', 1, 1, 'ISODateTime']] },
+    PaymentTransaction110: { children: [
+        ['OrgnlGrpInf', 0, 1, 'OriginalGroupInformation29'],
+        ['OrgnlEndToEndId', 0, 1, 'Max35Text'],
+        ['OrgnlTxId', 0, 1, 'Max35Text'],
+        ['TxSts', 0, 1, 'ExternalPaymentTransactionStatus1Code'],
+        ['StsRsnInf', 0, Infinity, 'StatusReasonInformation12'],
+        ['InstgAgt', 0, 1, 'BranchAndFinancialInstitutionIdentification6'],
+        ['InstdAgt', 0, 1, 'BranchAndFinancialInstitutionIdentification6']
+    ] },
+    OriginalGroupInformation29: { children: [['OrgnlMsgId', 1, 1, 'Max35Text'], ['OrgnlMsgNmId', 1, 1, 'Max35Text']] },
+    StatusReasonInformation12: { children: [['Rsn', 0, 1, 'StatusReason6Choice'], ['AddtlInf', 0, Infinity, 'Max105Text']] },
+    StatusReason6Choice: { children: [['Cd', 1, 1, 'ExternalStatusReason1Code']] },
+
+    Camt054Document: { children: [['BkToCstmrDbtCdtNtfctn', 1, 1, 'BankToCustomerDebitCreditNotificationV08']] },
+    BankToCustomerDebitCreditNotificationV08: { children: [['GrpHdr', 1, 1, 'GroupHeader81'], ['Ntfctn', 1, Infinity, 'AccountNotification17']] },
+    GroupHeader81: { children: [['MsgId', 1, 1, 'Max35Text'], ['CreDtTm', 1, 1, 'ISODateTime']] },
+    AccountNotification17: { children: [['Id', 1, 1, 'Max35Text'], ['CreDtTm', 0, 1, 'ISODateTime'], ['Acct', 1, 1, 'CashAccount39'], ['Ntry', 0, Infinity, 'ReportEntry10']] },
+    ReportEntry10: { children: [
+        ['Amt', 1, 1, 'ActiveOrHistoricCurrencyAndAmount'],
+        ['CdtDbtInd', 1, 1, 'CreditDebitCode'],
+        ['Sts', 1, 1, 'EntryStatus1Choice'],
+        ['BkTxCd', 1, 1, 'BankTransactionCodeStructure4'],
+        ['NtryDtls', 0, Infinity, 'EntryDetails9']
+    ] },
+    EntryStatus1Choice: { children: [['Cd', 1, 1, 'ExternalEntryStatus1Code']] },
+    BankTransactionCodeStructure4: { children: [['Domn', 0, 1, 'BankTransactionCodeStructure5']] },
+    BankTransactionCodeStructure5: { children: [['Cd', 1, 1, 'ExternalBankTransactionDomain1Code'], ['Fmly', 1, 1, 'BankTransactionCodeStructure6']] },
+    BankTransactionCodeStructure6: { children: [['Cd', 1, 1, 'ExternalBankTransactionFamily1Code'], ['SubFmlyCd', 1, 1, 'ExternalBankTransactionSubFamily1Code']] },
+    EntryDetails9: { children: [['TxDtls', 0, Infinity, 'EntryTransaction10']] },
+    EntryTransaction10: { children: [
+        ['Refs', 0, 1, 'TransactionReferences6'],
+        ['Amt', 1, 1, 'ActiveOrHistoricCurrencyAndAmount'],
+        ['CdtDbtInd', 1, 1, 'CreditDebitCode'],
+        ['RltdPties', 0, 1, 'TransactionParties6'],
+        ['RltdAgts', 0, 1, 'TransactionAgents5']
+    ] },
+    TransactionReferences6: { children: [['MsgId', 0, 1, 'Max35Text'], ['EndToEndId', 0, 1, 'Max35Text'], ['TxId', 0, 1, 'Max35Text']] },
+    TransactionParties6: { children: [['DbtrAcct', 0, 1, 'CashAccount38'], ['CdtrAcct', 0, 1, 'CashAccount38']] },
+    TransactionAgents5: { children: [['DbtrAgt', 0, 1, 'BranchAndFinancialInstitutionIdentification6'], ['CdtrAgt', 0, 1, 'BranchAndFinancialInstitutionIdentification6']] },
+
+    CashAccount38: { children: [['Id', 1, 1, 'AccountIdentification4Choice']] },
+    CashAccount39: { children: [['Id', 1, 1, 'AccountIdentification4Choice'], ['Svcr', 0, 1, 'BranchAndFinancialInstitutionIdentification6']] },
+    AccountIdentification4Choice: { children: [['IBAN', 0, 1, 'IBAN2007Identifier']] },
+    BranchAndFinancialInstitutionIdentification6: { children: [['FinInstnId', 1, 1, 'FinancialInstitutionIdentification18']] },
+    FinancialInstitutionIdentification18: { children: [['BICFI', 0, 1, 'BICFIDec2014Identifier']] },
+    Max35Text: { pattern: /^[\s\S]{1,35}$/ },
+    Max105Text: { pattern: /^[\s\S]{1,105}$/ },
+    Max140Text: { pattern: /^[\s\S]{1,140}$/ },
+    Max15NumericText: { pattern: /^[0-9]{1,15}$/ },
+    ISODateTime: { pattern: /^[0-9]{4}-[0-9]{2}-[0-9]{2}T[0-9]{2}:[0-9]{2}:[0-9]{2}(\.[0-9]+)?(Z|[+-][0-9]{2}:[0-9]{2})?$/ },
+    SettlementMethod1Code: { pattern: /^(INDA|INGA|COVE|CLRG)$/ },
+    ChargeBearerType1Code: { pattern: /^(DEBT|CRED|SHAR|SLEV)$/ },
+    CreditDebitCode: { pattern: /^(CRDT|DBIT)$/ },
+    ExternalPaymentTransactionStatus1Code: { pattern: /^[\s\S]{1,4}$/ },
+    ExternalStatusReason1Code: { pattern: /^[\s\S]{1,4}$/ },
+    ExternalEntryStatus1Code: { pattern: /^[\s\S]{1,4}$/ },
+    ExternalBankTransactionDomain1Code: { pattern: /^[\s\S]{1,4}$/ },
+    ExternalBankTransactionFamily1Code: { pattern: /^[\s\S]{1,4}$/ },
+    ExternalBankTransactionSubFamily1Code: { pattern: /^[\s\S]{1,4}$/ },
+    ActiveCurrencyAndAmount: { pattern: /^(?!([^0-9]*[0-9]){19})[0-9]+(\.[0-9]{1,5})?$/, attributes: { Ccy: /^[A-Z]{3}$/ } },
+    ActiveOrHistoricCurrencyAndAmount: { pattern: /^(?!([^0-9]*[0-9]){19})[0-9]+(\.[0-9]{1,5})?$/, attributes: { Ccy: /^[A-Z]{3}$/ } },
+    UUIDv4Identifier: { pattern: /^[a-f0-9]{8}-[a-f0-9]{4}-4[a-f0-9]{3}-[89ab][a-f0-9]{3}-[a-f0-9]{12}$/ },
+    IBAN2007Identifier: { pattern: /^[A-Z]{2}[0-9]{2}[a-zA-Z0-9]{1,30}$/ },
+    BICFIDec2014Identifier: { pattern: /^[A-Z0-9]{4}[A-Z]{2}[A-Z0-9]{2}([A-Z0-9]{3})?$/ }
+};
+
+// Replacement text of the predefined XML entities
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: '\'' };
+
+/**
+ * Create an XML element
+ * @param {String} name name of the element
+ * @param {String|Object[]} content text of the element, or its child elements, where any undefined ones are left out
+ * @param {Object} attributes values of the attributes of the element by name
+ * @return {Object} the element
+ */
+function xmlNode(name, content, attributes) {
+    return { name: name, attributes: attributes || {}, content: Array.isArray(content) ? content.filter((child) => { return child !== undefined; }) : content };
+}
+
+/**
+ * Escape text for use in XML character data or an attribute value
+ * @param {String} text the text
+ * @return {String} the escaped text
+ */
+function xmlText(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Serialize an XML element and its descendants, with each child element on its own line
+ * @param {Object} node the element
+ * @param {String} indent indentation of the element
+ * @return {String} the XML
+ */
+function serializeXml(node, indent) {
+    const attributes = Object.keys(node.attributes).map((name) => { return ' ' + name + '="' + xmlText(node.attributes[name]) + '"'; }).join('');
+    if (!Array.isArray(node.content)) {
+        return indent + '<' + node.name + attributes + '>' + xmlText(node.content) + '</' + node.name + '>\n';
+    }
+    return indent + '<' + node.name + attributes + '>\n' +
+        node.content.map((child) => { return serializeXml(child, indent + '  '); }).join('') +
+        indent + '</' + node.name + '>\n';
+}
+
+/**
+ * Serialize an XML document
+ * @param {Object} root the document element
+ * @return {String} the XML, with an XML declaration
+ */
+function xmlDocument(root) {
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' + serializeXml(root, '');
+}
+
+/**
+ * Replace the character and entity references in XML text
+ * @param {String} text the text
+ * @return {String} the text with references replaced
+ */
+function decodeXmlText(text) {
+    return text.replace(/&(?:#x([0-9a-fA-F]+)|#([0-9]+)|([A-Za-z]+))?;?/g, (reference, hex, decimal, entity) => {
+        if (hex || decimal) {
+            return String.fromCodePoint(hex ? parseInt(hex, 16) : parseInt(decimal, 10));
+        }
+        if (!XML_ENTITIES[entity] || !reference.endsWith(';')) {
+            throw new Error('The message is not well-formed XML: ' + reference + ' is not a valid reference');
+        }
+        return XML_ENTITIES[entity];
+    });
+}
+
+/**
+ * Parse an XML document into elements made as by xmlNode, each also having the namespace
+ * prefix of its name. Document type declarations, CDATA sections and mixed content are not
+ * supported.
+ * @param {String} xml the XML
+ * @return {Object} the document element
+ */
+function parseXml(xml) {
+    const token = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<(\/?)(?:([\w.-]+):)?([\w.-]+)((?:\s+[\w.:-]+\s*=\s*(?:"[^"<]*"|'[^'<]*'))*)\s*(\/?)>|([^<]+)/y;
+    const attribute = /([\w.:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+    let root;
+    let open = [];
+    const close = (node) => {
+        if (node.content.length === 0) {
+            node.content = decodeXmlText(node.text);
+        } else if (node.text.trim() !== '') {
+            throw new Error('The message is not well-formed XML: element ' + node.name + ' has mixed content');
+        }
+        delete node.text;
+    };
+
+    while (token.lastIndex < xml.length) {
+        const position = token.lastIndex;
+        const match = token.exec(xml);
+        if (!match) {
+            throw new Error('The message is not well-formed XML at position ' + position);
+        }
+        const [, closing, prefix, name, attributes, selfClosing, text] = match;
+        if (text !== undefined) {
+            if (open.length > 0) {
+                open[open.length - 1].text += text;
+            } else if (text.trim() !== '') {
+                throw new Error('The message is not well-formed XML: there is text outside the document element');
+            }
+        } else if (closing) {
+            const node = open.pop();
+            if (!node || node.name !== name || node.prefix !== prefix) {
+                throw new Error('The message is not well-formed XML: the closing tag of ' + name + ' does not match');
+            }
+            close(node);
+        } else if (name) {
+            let node = { name: name, prefix: prefix, attributes: {}, content: [], text: '' };
+            for (let value of attributes.match(attribute) || []) {
+                const [, attributeName, doubleQuoted, singleQuoted] = new RegExp(attribute.source).exec(value);
+                node.attributes[attributeName] = decodeXmlText(doubleQuoted !== undefined ? doubleQuoted : singleQuoted);
+            }
+            if (open.length > 0) {
+                open[open.length - 1].content.push(node);
+            } else if (root) {
+                throw new Error('The message is not well-formed XML: there is more than one document element');
+            } else {
+                root = node;
+            }
+            if (selfClosing) {
+                close(node);
+            } else {
+                open.push(node);
+            }
+        }
+    }
+    if (!root || open.length > 0) {
+        throw new Error('The message is not well-formed XML: the document is incomplete');
+    }
+    return root;
+}
+
+/**
+ * Get the child elements of an XML element with a given name
+ * @param {Object} node the element
+ * @param {String} name name of the child elements
+ * @return {Object[]} the child elements
+ */
+function xmlChildren(node, name) {
+    return Array.isArray(node.content) ? node.content.filter((child) => { return child.name === name; }) : [];
+}
+
+/**
+ * Get the text of the first descendant of an XML element along a path of element names
+ * @param {Object} node the element
+ * @param {String} path names of the descendants, separated by '/'
+ * @return {String} the text, or undefined if there is no such descendant
+ */
+function xmlValue(node, path) {
+    let descendant = node;
+    for (let name of path.split('/')) {
+        descendant = descendant ? xmlChildren(descendant, name)[0] : undefined;
+    }
+    return descendant ? descendant.content : undefined;
+}
+
+/**
+ * Validate an element of an ISO 20022 message against ISO20022_SCHEMA
+ * @param {Object} node the element
+ * @param {String} typeName the schema type of the element
+ * @param {String} path path of the element within the message
+ * @param {String} messageName name of the message definition, such as pacs.008
+ */
+function validateIso20022(node, typeName, path, messageName) {
+    const invalid = 'The ' + messageName + ' message is not valid: ';
+    const type = ISO20022_SCHEMA[typeName];
+    if (!type.children) {
+        if (Array.isArray(node.content) || !type.pattern.test(node.content)) {
+            throw new Error(invalid + path + ' must be a ' + typeName);
+        }
+        for (let name of Object.keys(type.attributes || {})) {
+            if (!type.attributes[name].test(node.attributes[name] || '')) {
+                throw new Error(invalid + path + ' must have a valid ' + name + ' attribute');
+            }
+        }
+        return;
+    }
+
+    const children = Array.isArray(node.content) ? node.content : [];
+    const unexpected = children.find((child) => { return !type.children.some(([name]) => { return child.name === name; }); });
+    if (unexpected) {
+        throw new Error(invalid + path + '/' + unexpected.name + ' is not expected');
+    }
+    let previous = -1;
+    for (let [name, minOccurs, maxOccurs, childType] of type.children) {
+        const occurrences = children.filter((child) => { return child.name === name; });
+        if (occurrences.length < minOccurs) {
+            throw new Error(invalid + path + '/' + name + ' is missing');
+        }
+        if (occurrences.length > maxOccurs) {
+            throw new Error(invalid + path + '/' + name + ' occurs more than once');
+        }
+        occurrences.forEach((child, index) => {
+            const childPath = path + '/' + name + (maxOccurs > 1 ? '[' + (index + 1) + ']' : '');
+            if (children.indexOf(child) < previous) {
+                throw new Error(invalid + childPath + ' is out of sequence');
+            }
+            previous = children.indexOf(child);
+            validateIso20022(child, childType, childPath, messageName);
+        });
+    }
+}
+
+/**
+ * Check the format and check digits of an IBAN
+ * @param {String} iban the IBAN
+ * @return {Boolean} true if the IBAN is valid
+ */
+function validIban(iban) {
+    if (!/^[A-Z]{2}[0-9]{2}[A-Z0-9]{11,30}$/.test(iban)) {
+        return false;
+    }
+    const digits = (iban.substring(4) + iban.substring(0, 4)).replace(/[A-Z]/g, (letter) => { return String(letter.charCodeAt(0) - 55); });
+    let remainder = 0;
+    for (let digit of digits) {
+        remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+    return remainder === 1;
+}
+
+/**
+ * Get the 11 character form of a BIC, as held by a BankingParticipant
+ * @param {String} bic the 8 or 11 character BIC
+ * @return {String} the 11 character BIC
+ */
+function fullBic(bic) {
+    return bic && bic.length === 8 ? bic + 'XXX' : bic;
+}
+
+/**
+ * Read the credit transfers of a pacs.008 FIToFICustomerCreditTransfer message, after
+ * checking it against the schema
+ * @param {String} message the pacs.008 XML
+ * @return {Object[]} for each credit transfer the fields of its SubmitTransferRequest, with the
+ * BICs of its debtorAgent and creditorAgent
+ */
+function creditTransfers(message) {
+    const document = parseXml(message);
+    if (document.name !== 'Document' || document.attributes[document.prefix ? 'xmlns:' + document.prefix : 'xmlns'] !== PACS008_NAMESPACE) {
+        throw new Error('The message is not a pacs.008 document in the namespace ' + PACS008_NAMESPACE);
+    }
+    validateIso20022(document, 'Pacs008Document', 'Document', 'pacs.008');
+
+    const creditTransfer = xmlChildren(document, 'FIToFICstmrCdtTrf')[0];
+    const transactions = xmlChildren(creditTransfer, 'CdtTrfTxInf');
+    if (Number(xmlValue(creditTransfer, 'GrpHdr/NbOfTxs')) !== transactions.length) {
+        throw new Error('The pacs.008 message is not valid: GrpHdr/NbOfTxs does not match the ' + transactions.length + ' CdtTrfTxInf');
+    }
+
+    return transactions.map((transaction) => {
+        const endToEndId = xmlValue(transaction, 'PmtId/EndToEndId');
+        const amount = xmlChildren(transaction, 'IntrBkSttlmAmt')[0];
+        const currency = Object.keys(ISO_CURRENCIES).find((key) => { return ISO_CURRENCIES[key].code === amount.attributes.Ccy; });
+        if (!currency) {
+            throw new Error('Credit transfer ' + endToEndId + ' is in ' + amount.attributes.Ccy + ', which is not a supported Currency');
+        }
+        if (Number(amount.content) <= 0) {
+            throw new Error('Credit transfer ' + endToEndId + ' must be for an amount greater than zero');
+        }
+        if ((amount.content.split('.')[1] || '').length > ISO_CURRENCIES[currency].minorUnits) {
+            throw new Error('Credit transfer ' + endToEndId + ' is for ' + amount.content + ' ' + amount.attributes.Ccy + ', which has more than the ' +
+                ISO_CURRENCIES[currency].minorUnits + ' decimal places of the currency');
+        }
+
+        const transfer = {
+            transferId: xmlValue(transaction, 'PmtId/TxId') || endToEndId,
+            debtorAgent: fullBic(xmlValue(transaction, 'DbtrAgt/FinInstnId/BICFI')),
+            creditorAgent: fullBic(xmlValue(transaction, 'CdtrAgt/FinInstnId/BICFI')),
+            currency: currency,
+            amount: Number(amount.content),
+            fromIban: xmlValue(transaction, 'DbtrAcct/Id/IBAN'),
+            toIban: xmlValue(transaction, 'CdtrAcct/Id/IBAN'),
+            messageId: xmlValue(creditTransfer, 'GrpHdr/MsgId'),
+            endToEndId: endToEndId,
+            transactionId: xmlValue(transaction, 'PmtId/TxId')
+        };
+        if (!transfer.debtorAgent || !transfer.creditorAgent) {
+            throw new Error('Credit transfer ' + endToEndId + ' must identify the debtor and creditor agents by BIC');
+        }
+        if (!validIban(transfer.fromIban) || !validIban(transfer.toIban)) {
+            throw new Error('Credit transfer ' + endToEndId + ' must identify the debtor and creditor accounts by valid IBANs');
+        }
+        return transfer;
+    });
+}
+
+/**
+ * Import a pacs.008 message, creating a TransferRequest for each credit transfer
+ * from the invoking bank, which must be the debtor agent of every credit transfer
+ * @param {org.clearing.ImportPacs008} tx passed transaction body
+ * @transaction
+ */
+async function importPacs008(tx) {  // eslint-disable-line no-unused-vars
+    const factory = getFactory(); // eslint-disable-line no-undef
+    const invokeParticipant = getCurrentParticipant(); // eslint-disable-line no-undef
+
+    for (let transfer of creditTransfers(tx.message)) {
+        if (transfer.debtorAgent !== invokeParticipant.bic) {
+            throw new Error('Unable to process transaction, the debtor agent ' + transfer.debtorAgent + ' of credit transfer ' + transfer.endToEndId + ' is not the invoking bank');
+        }
+        const creditorAgents = await query('BankingParticipantByBic', { 'bic': transfer.creditorAgent }); // eslint-disable-line no-undef
+        if (creditorAgents.length === 0) {
+            throw new Error('Unable to process transaction, the creditor agent ' + transfer.creditorAgent + ' of credit transfer ' + transfer.endToEndId + ' is not a BankingParticipant');
+        }
+
+        let details = factory.newConcept('org.clearing', 'Transfer');
+        details.currency = transfer.currency;
+        details.amount = transfer.amount;
+        details.fromIban = transfer.fromIban;
+        details.toIban = transfer.toIban;
+        details.paymentId = factory.newConcept('org.clearing', 'PaymentIdentification');
+        details.paymentId.messageId = transfer.messageId;
+        details.paymentId.endToEndId = transfer.endToEndId;
+        if (transfer.transactionId) {
+            details.paymentId.transactionId = transfer.transactionId;
+        }
+
+        await createTransferRequest(transfer.transferId, creditorAgents[0].getIdentifier(), 'PENDING', details, tx.timestamp); // eslint-disable-line no-undef
+    }
+}
+
+/**
+ * Create the element identifying a bank as a financial institution by its BIC
+ * @param {String} name name of the element
+ * @param {BankingParticipant} bank the bank
+ * @return {Object} the element, or undefined if the bank has no BIC
+ */
+function agentNode(name, bank) {
+    return bank.bic ? xmlNode(name, [xmlNode('FinInstnId', [xmlNode('BICFI', bank.bic)])]) : undefined;
+}
+
+/**
+ * Create the element identifying an account by its IBAN
+ * @param {String} name name of the element
+ * @param {String} iban IBAN of the account
+ * @param {Object} servicer the element identifying the bank that holds the account, if any
+ * @return {Object} the element
+ */
+function accountNode(name, iban, servicer) {
+    return xmlNode(name, [xmlNode('Id', [xmlNode('IBAN', iban)]), servicer]);
+}
+
+/**
+ * Get the identifier a TransferRequest was given by the instructing bank
+ * @param {TransferRequest} transferRequest the request
+ * @return {String} the pacs.008 TxId of an imported request, or the requestId of any other request
+ */
+function originalTransactionId(transferRequest) {
+    const paymentId = transferRequest.details.paymentId;
+    return paymentId ? paymentId.transactionId : transferRequest.getIdentifier();
+}
+
+/**
+ * Build a pacs.002 FIToFIPaymentStatusReport of the status of a TransferRequest, from its toBank to its fromBank
+ * @param {TransferRequest} transferRequest the request
+ * @param {BankingParticipant} fromBank the fromBank of the request
+ * @param {BankingParticipant} toBank the toBank of the request
+ * @param {String} messageId identifier of the report
+ * @param {DateTime} timestamp when the report was created
+ * @return {Object} the document element
+ */
+function pacs002Document(transferRequest, fromBank, toBank, messageId, timestamp) {
+    const paymentId = transferRequest.details.paymentId;
+    const transactionId = originalTransactionId(transferRequest);
+    return xmlNode('Document', [
+        xmlNode('FIToFIPmtStsRpt', [
+            xmlNode('GrpHdr', [xmlNode('MsgId', messageId), xmlNode('CreDtTm', timestamp.toISOString())]),
+            xmlNode('TxInfAndSts', [
+                paymentId ? xmlNode('OrgnlGrpInf', [xmlNode('OrgnlMsgId', paymentId.messageId), xmlNode('OrgnlMsgNmId', 'pacs.008.001.08')]) : undefined,
+                paymentId ? xmlNode('OrgnlEndToEndId', paymentId.endToEndId) : undefined,
+                transactionId ? xmlNode('OrgnlTxId', transactionId) : undefined,
+                xmlNode('TxSts', TRANSACTION_STATUSES[transferRequest.state]),
+                transferRequest.reasonCode ? xmlNode('StsRsnInf', [
+                    xmlNode('Rsn', [xmlNode('Cd', STATUS_REASONS[transferRequest.reasonCode])]),
+                    transferRequest.reasonDescription ? xmlNode('AddtlInf', transferRequest.reasonDescription.substring(0, 105)) : undefined
+                ]) : undefined,
+                agentNode('InstgAgt', toBank),
+                agentNode('InstdAgt', fromBank)
+            ])
+        ])
+    ], { xmlns: PACS002_NAMESPACE });
+}
+
+/**
+ * Build a camt.054 BankToCustomerDebitCreditNotification of the entry a TransferRequest makes on
+ * the account held at one of its banks, which is booked once the request is COMPLETE
+ * @param {TransferRequest} transferRequest the request
+ * @param {BankingParticipant} bank the bank holding the account, a debit for the fromBank and a credit for the toBank
+ * @param {BankingParticipant} fromBank the fromBank of the request
+ * @param {BankingParticipant} toBank the toBank of the request
+ * @param {String} messageId identifier of the notification
+ * @param {DateTime} timestamp when the notification was created
+ * @return {Object} the document element
+ */
+function camt054Document(transferRequest, bank, fromBank, toBank, messageId, timestamp) {
+    const details = transferRequest.details;
+    const debit = transferRequest.fromBank.getIdentifier() === bank.getIdentifier();
+    const currency = ISO_CURRENCIES[details.currency];
+    const amount = details.amount.toFixed(currency.minorUnits);
+    const paymentId = details.paymentId;
+    const transactionId = originalTransactionId(transferRequest);
+
+    return xmlNode('Document', [
+        xmlNode('BkToCstmrDbtCdtNtfctn', [
+            xmlNode('GrpHdr', [xmlNode('MsgId', messageId), xmlNode('CreDtTm', timestamp.toISOString())]),
+            xmlNode('Ntfctn', [
+                xmlNode('Id', messageId),
+                xmlNode('CreDtTm', timestamp.toISOString()),
+                accountNode('Acct', debit ? details.fromIban : details.toIban, agentNode('Svcr', bank)),
+                xmlNode('Ntry', [
+                    xmlNode('Amt', amount, { Ccy: currency.code }),
+                    xmlNode('CdtDbtInd', debit ? 'DBIT' : 'CRDT'),
+                    xmlNode('Sts', [xmlNode('Cd', transferRequest.state === 'COMPLETE' ? 'BOOK' : 'PDNG')]),
+                    xmlNode('BkTxCd', [xmlNode('Domn', [xmlNode('Cd', 'PMNT'), xmlNode('Fmly', [xmlNode('Cd', debit ? 'ICDT' : 'RCDT'), xmlNode('SubFmlyCd', 'OTHR')])])]),
+                    xmlNode('NtryDtls', [
+                        xmlNode('TxDtls', [
+                            xmlNode('Refs', [
+                                paymentId ? xmlNode('MsgId', paymentId.messageId) : undefined,
+                                paymentId ? xmlNode('EndToEndId', paymentId.endToEndId) : undefined,
+                                transactionId ? xmlNode('TxId', transactionId) : undefined
+                            ]),
+                            xmlNode('Amt', amount, { Ccy: currency.code }),
+                            xmlNode('CdtDbtInd', debit ? 'DBIT' : 'CRDT'),
+                            xmlNode('RltdPties', [accountNode('DbtrAcct', details.fromIban), accountNode('CdtrAcct', details.toIban)]),
+                            xmlNode('RltdAgts', [agentNode('DbtrAgt', fromBank), agentNode('CdtrAgt', toBank)])
+                        ])
+                    ])
+                ])
+            ])
+        ])
+    ], { xmlns: CAMT054_NAMESPACE });
+}
+
+/**
+ * Get a TransferRequest and its banks
+ * @param {String} requestId identifier of the request
+ * @return {Object[]} the request, its fromBank and its toBank
+ */
+async function transferRequestAndBanks(requestId) {
+    const transferAssetRegistry = await getAssetRegistry('org.clearing.TransferRequest'); // eslint-disable-line no-undef
+    const participantRegistry = await getParticipantRegistry('org.clearing.BankingParticipant'); // eslint-disable-line no-undef
+
+    const transferRequest = await transferAssetRegistry.get(requestId);
+    const fromBank = await participantRegistry.get(transferRequest.fromBank.getIdentifier());
+    const toBank = await participantRegistry.get(transferRequest.toBank.getIdentifier());
+    return [transferRequest, fromBank, toBank];
+}
+
+/**
+ * Export a pacs.002 status report of a TransferRequest
+ * @param {org.clearing.ExportPacs002} tx passed transaction body
+ * @return {String} the pacs.002 XML
+ * @transaction
+ */
+async function exportPacs002(tx) {  // eslint-disable-line no-unused-vars
+    const [transferRequest, fromBank, toBank] = await transferRequestAndBanks(tx.requestId);
+    const document = pacs002Document(transferRequest, fromBank, toBank, tx.getIdentifier().substring(0, 35), tx.timestamp);
+    validateIso20022(document, 'Pacs002Document', 'Document', 'pacs.002');
+    return xmlDocument(document);
+}
+
+/**
+ * Export a camt.054 notification of the entry a TransferRequest makes on the account held at a bank
+ * @param {org.clearing.ExportCamt054} tx passed transaction body
+ * @return {String} the camt.054 XML
+ * @transaction
+ */
+async function exportCamt054(tx) {  // eslint-disable-line no-unused-vars
+    const [transferRequest, fromBank, toBank] = await transferRequestAndBanks(tx.requestId);
+    if (tx.bank.getIdentifier() !== fromBank.getIdentifier() && tx.bank.getIdentifier() !== toBank.getIdentifier()) {
+        throw new Error('Unable to process transaction, BankingParticipant ' + tx.bank.getIdentifier() + ' is not the fromBank or toBank of TransferRequest with id ' + tx.requestId);
+    }
+    if (transferRequest.state === 'ERROR' || transferRequest.state === 'CANCELLED') {
+        throw new Error('Unable to process transaction, TransferRequest with id ' + tx.requestId + ' is in state ' + transferRequest.state + ' so makes no entry');
+    }
+    const document = camt054Document(transferRequest, tx.bank, fromBank, toBank, tx.getIdentifier().substring(0, 35), tx.timestamp);
+    validateIso20022(document, 'Camt054Document', 'Document', 'camt.054');
+    return xmlDocument(document);
+}
@@ -41,3 +41,15 @@ function partyWithinBatchTransferRequest(batchRequest, participant){// eslint-di
     }
     return allParties.includes(participant.getFullyQualifiedIdentifier());
 }
+
+/**
+ * Check to see if participant is one of the parties to the clearing record
+ * @param {*} record the ClearingRecord
+ * @param {*} participant the issuing Participant
+ * @returns {boolean} boolean true/false
+ */
+function partyWithinClearingRecord(record, participant){// eslint-disable-line no-unused-vars
+    return record.parties.some((party) => {
+        return party.getFullyQualifiedIdentifier() === participant.getFullyQualifiedIdentifier();
+    });
+}
\ No newline at end of file
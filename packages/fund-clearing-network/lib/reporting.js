@@ -0,0 +1,180 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Clearing statements for banking participants
+ */
+
+// TransferRequests in these states have not been settled yet
+const OUTSTANDING_STATES = ['PENDING', 'PROCESSING', 'PRE_PROCESS_COMPLETE'];
+
+// TransferRequests in these states count towards the gross totals, leaving out those rejected or cancelled
+const GROSS_STATES = OUTSTANDING_STATES.concat(['COMPLETE']);
+
+// Columns of a statement exported as CSV, with one row per currency total, settled batch and outstanding request
+const STATEMENT_COLUMNS = ['bank', 'from', 'to', 'record', 'reference', 'counterparty', 'currency', 'sent', 'received', 'net', 'state', 'timestamp'];
+
+/**
+ * Total the gross amounts a bank sent and received in each currency
+ * @param {TransferRequest[]} transferRequests requests the bank is the fromBank or toBank of
+ * @param {String} bankId identifier of the bank
+ * @return {Object} sent and received amounts by currency
+ */
+function currencyTotals(transferRequests, bankId) {
+    let totals = {};
+    for (let transferRequest of transferRequests) {
+        const currency = transferRequest.details.currency;
+        totals[currency] = totals[currency] || { sent: 0, received: 0 };
+        if (transferRequest.fromBank.getIdentifier() === bankId) {
+            totals[currency].sent += transferRequest.details.amount;
+        } else {
+            totals[currency].received += transferRequest.details.amount;
+        }
+    }
+    return totals;
+}
+
+/**
+ * Build the statement of a bank for a window of time
+ * @param {String} bankId identifier of the bank
+ * @param {DateTime} from start of the window, inclusive
+ * @param {DateTime} to end of the window, exclusive
+ * @return {BankStatement} the statement
+ */
+async function bankStatement(bankId, from, to) {
+    const transferAssetRegistry = await getAssetRegistry('org.clearing.TransferRequest'); // eslint-disable-line no-undef
+    const batchAssetRegistry = await getAssetRegistry('org.clearing.BatchTransferRequest'); // eslint-disable-line no-undef
+    const factory = getFactory(); // eslint-disable-line no-undef
+
+    // The activity of the bank within the window
+    const party = 'resource:org.clearing.BankingParticipant#' + bankId;
+    const window = { 'party': party, 'from': from.toISOString(), 'to': to.toISOString() };
+    const submitted = await query('ClearingRecordsForBankInWindow', Object.assign({ 'type': 'SUBMITTED' }, window)); // eslint-disable-line no-undef
+    const settled = await query('ClearingRecordsForBankInWindow', Object.assign({ 'type': 'SETTLED' }, window)); // eslint-disable-line no-undef
+
+    const statement = factory.newConcept('org.clearing', 'BankStatement');
+    statement.bank = factory.newRelationship('org.clearing', 'BankingParticipant', bankId);
+    statement.from = from;
+    statement.to = to;
+
+    // Gross totals of the requests submitted within the window
+    let submittedRequests = [];
+    for (let record of submitted) {
+        const transferRequest = await transferAssetRegistry.get(record.reference);
+        if (GROSS_STATES.includes(transferRequest.state)) {
+            submittedRequests.push(transferRequest);
+        }
+    }
+    const totals = currencyTotals(submittedRequests, bankId);
+    statement.totals = Object.keys(totals).sort().map((currency) => {
+        let total = factory.newConcept('org.clearing', 'CurrencyTotal');
+        total.currency = currency;
+        total.sent = totals[currency].sent;
+        total.received = totals[currency].received;
+        total.net = totals[currency].received - totals[currency].sent;
+        return total;
+    });
+
+    // Batches settled within the window, in the order they settled
+    statement.settledBatches = [];
+    for (let record of settled.sort((a, b) => { return a.timestamp.getTime() - b.timestamp.getTime(); })) {
+        const batch = await batchAssetRegistry.get(record.reference);
+        let settledBatch = factory.newConcept('org.clearing', 'SettledBatch');
+        settledBatch.batchId = batch.getIdentifier();
+        settledBatch.state = batch.state;
+        settledBatch.settledAt = record.timestamp;
+        statement.settledBatches.push(settledBatch);
+    }
+
+    // Requests that have not been settled yet, whenever they were submitted
+    statement.outstandingRequests = [];
+    for (let state of OUTSTANDING_STATES) {
+        for (let transferRequest of await query('TransferRequestsForBankInState', { 'bank': party, 'state': state })) { // eslint-disable-line no-undef
+            let outstandingRequest = factory.newConcept('org.clearing', 'OutstandingRequest');
+            outstandingRequest.requestId = transferRequest.getIdentifier();
+            outstandingRequest.state = transferRequest.state;
+            outstandingRequest.details = transferRequest.details;
+            outstandingRequest.fromBank = transferRequest.fromBank;
+            outstandingRequest.toBank = transferRequest.toBank;
+            statement.outstandingRequests.push(outstandingRequest);
+        }
+    }
+
+    return statement;
+}
+
+/**
+ * Format a value as a CSV field, quoting it if it contains a separator, quote or line break
+ * @param {*} value the value
+ * @return {String} the field
+ */
+function csvField(value) {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    const field = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\r\n]/.test(field) ? '"' + field.replace(/"/g, '""') + '"' : field;
+}
+
+/**
+ * Format a BankStatement as CSV, with a header line naming the STATEMENT_COLUMNS
+ * @param {BankStatement} statement the statement
+ * @return {String} the CSV
+ */
+function statementCSV(statement) {
+    const bankId = statement.bank.getIdentifier();
+    let rows = [];
+    for (let total of statement.totals) {
+        rows.push({ record: 'TOTAL', currency: total.currency, sent: total.sent, received: total.received, net: total.net });
+    }
+    for (let settledBatch of statement.settledBatches) {
+        rows.push({ record: 'SETTLED_BATCH', reference: settledBatch.batchId, state: settledBatch.state, timestamp: settledBatch.settledAt });
+    }
+    for (let outstandingRequest of statement.outstandingRequests) {
+        let row = { record: 'OUTSTANDING_REQUEST', reference: outstandingRequest.requestId, currency: outstandingRequest.details.currency, state: outstandingRequest.state };
+        if (outstandingRequest.fromBank.getIdentifier() === bankId) {
+            row.counterparty = outstandingRequest.toBank.getIdentifier();
+            row.sent = outstandingRequest.details.amount;
+        } else {
+            row.counterparty = outstandingRequest.fromBank.getIdentifier();
+            row.received = outstandingRequest.details.amount;
+        }
+        rows.push(row);
+    }
+
+    let lines = [STATEMENT_COLUMNS.join(',')];
+    for (let row of rows) {
+        Object.assign(row, { bank: bankId, from: statement.from, to: statement.to });
+        lines.push(STATEMENT_COLUMNS.map((column) => { return csvField(row[column]); }).join(','));
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Export the statement of a bank for a window of time
+ * @param {org.clearing.ExportStatement} tx passed transaction body
+ * @return {String} the statement as JSON or CSV
+ * @transaction
+ */
+async function exportStatement(tx) {  // eslint-disable-line no-unused-vars
+    if (tx.to.getTime() <= tx.from.getTime()) {
+        throw new Error('Unable to process transaction, ExportStatement window from ' + tx.from.toISOString() + ' to ' + tx.to.toISOString() + ' is empty');
+    }
+
+    const statement = await bankStatement(tx.bank.getIdentifier(), tx.from, tx.to);
+    if (tx.format === 'CSV') {
+        return statementCSV(statement);
+    }
+    return JSON.stringify(getSerializer().toJSON(statement)); // eslint-disable-line no-undef
+}
@@ -222,5 +222,168 @@ describe('Transaction logic file "clearing"', function() {
             };
             testFunction(100, [usdEuroRate, usdSterlingRate], 'EURO', 'STERLING').should.be.equal(62.5);
         });
+
+        it('should throw an error if there is no rate for the debtor currency', function() {
+            (() => {
+                testFunction(100, [], 'USD', 'EURO');
+            }).should.throw(/No exchange rate from USD to EURO is available/);
+        });
+    });
+
+    describe('#usdRate', function() {
+
+        const testFunction = clearingRewire.__get__('usdRate');
+
+        const usdEuroRate = {
+            to: 'EURO',
+            rate: 0.80
+        };
+
+        it('should not need a rate for USD', function() {
+            testFunction([], 'USD').should.be.equal(1);
+        });
+
+        it('should find the rate for a currency', function() {
+            testFunction([usdEuroRate], 'EURO').should.be.equal(0.8);
+        });
+
+        it('should throw an error if there is no rate for a currency', function() {
+            (() => {
+                testFunction([usdEuroRate], 'STERLING');
+            }).should.throw(/No exchange rate from USD to STERLING is available/);
+        });
+    });
+
+    describe('#netPositions', function() {
+
+        const testFunction = clearingRewire.__get__('netPositions');
+
+        const party1 = {};
+        party1.getIdentifier = function getIdentifier(){ return 'id1';};
+
+        const party2 = {};
+        party2.getIdentifier = function getIdentifier(){ return 'id2';};
+
+        const party3 = {};
+        party3.getIdentifier = function getIdentifier(){ return 'id3';};
+
+        it('should net the transfers of every bank, accounting for exchange rate change', function() {
+            const transferRequest100USD = {
+                details: { amount: 100, currency: 'USD' },
+                fromBank: party1,
+                toBank: party2
+            };
+
+            const transferRequest40EURO = {
+                details: { amount: 40, currency: 'EURO' },
+                fromBank: party2,
+                toBank: party3
+            };
+
+            const transferRequest25USD = {
+                details: { amount: 25, currency: 'USD' },
+                fromBank: party3,
+                toBank: party1
+            };
+
+            const usdRate = {
+                to: 'EURO',
+                rate: 0.80
+            };
+
+            testFunction([transferRequest100USD, transferRequest40EURO, transferRequest25USD], [usdRate]).should.deep.equal({ id1: -75, id2: 50, id3: 25 });
+        });
+    });
+
+    describe('#settlementLegs', function() {
+
+        const testFunction = clearingRewire.__get__('settlementLegs');
+
+        it('should not create legs for banks without a position', function() {
+            testFunction({ id1: 0, id2: 0 }).should.deep.equal([]);
+        });
+
+        it('should settle equal and opposite positions with a single leg', function() {
+            testFunction({ id1: -10, id2: 5, id3: 10, id4: -5 }).should.deep.equal([
+                { debtor: 'id1', creditor: 'id3', amount: 10 },
+                { debtor: 'id4', creditor: 'id2', amount: 5 }
+            ]);
+        });
+
+        it('should settle the largest debtor against the largest creditor', function() {
+            testFunction({ id1: 173, id2: -477, id3: 304 }).should.deep.equal([
+                { debtor: 'id2', creditor: 'id3', amount: 304 },
+                { debtor: 'id2', creditor: 'id1', amount: 173 }
+            ]);
+        });
+
+        it('should need at most one leg fewer than there are banks with a position', function() {
+            const legs = testFunction({ id1: -30, id2: -20, id3: 15, id4: 25, id5: 10 });
+            legs.length.should.be.at.most(4);
+            legs.reduce((total, leg) => { return total + leg.amount; }, 0).should.equal(50);
+        });
+    });
+
+    describe('#settleBatch', function() {
+
+        const testFunction = clearingRewire.__get__('settleBatch');
+
+        const party1 = {};
+        party1.getIdentifier = function getIdentifier(){ return 'id1';};
+
+        const party2 = {};
+        party2.getIdentifier = function getIdentifier(){ return 'id2';};
+
+        const usdRate = {
+            to: 'EURO',
+            rate: 0.80
+        };
+
+        // id2 pays id1 100 USD, which is 80 EURO
+        const batch = {
+            settlement: { amount: 100, currency: 'USD', creditorBank: party1, debtorBank: party2 }
+        };
+
+        let participants;
+        beforeEach(function() {
+            participants = {
+                id1: { workingCurrency: 'USD', fundBalance: 0, netDebitCap: 0 },
+                id2: { workingCurrency: 'EURO', fundBalance: 100, netDebitCap: 0 }
+            };
+        });
+
+        it('should adjust funds if no limit is breached', function() {
+            testFunction(batch, participants, [usdRate]).should.equal(true);
+            participants.id1.fundBalance.should.equal(100);
+            participants.id2.fundBalance.should.equal(20);
+        });
+
+        it('should not adjust funds if the debtor would go beyond its net debit cap', function() {
+            participants.id2.fundBalance = 50;
+            testFunction(batch, participants, [usdRate]).should.equal(false);
+            participants.id1.fundBalance.should.equal(0);
+            participants.id2.fundBalance.should.equal(50);
+        });
+
+        it('should allow the debtor to go below zero within its net debit cap', function() {
+            participants.id2.fundBalance = 50;
+            participants.id2.netDebitCap = 30;
+            testFunction(batch, participants, [usdRate]).should.equal(true);
+            participants.id2.fundBalance.should.equal(-30);
+        });
+
+        it('should not adjust funds if the debtor would go beyond its credit limit for the creditor', function() {
+            participants.id2.creditLimits = [{ counterparty: party1, limit: 100, netDebit: 40 }];
+            testFunction(batch, participants, [usdRate]).should.equal(false);
+            participants.id2.creditLimits[0].netDebit.should.equal(40);
+        });
+
+        it('should track the net debit of both banks against their credit limits', function() {
+            participants.id1.creditLimits = [{ counterparty: party2, limit: 0, netDebit: 0 }];
+            participants.id2.creditLimits = [{ counterparty: party1, limit: 100, netDebit: 20 }];
+            testFunction(batch, participants, [usdRate]).should.equal(true);
+            participants.id1.creditLimits[0].netDebit.should.equal(-100);
+            participants.id2.creditLimits[0].netDebit.should.equal(100);
+        });
     });
-});
\ No newline at end of file
+});
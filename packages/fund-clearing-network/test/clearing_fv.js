@@ -33,21 +33,41 @@ const bank0 = 'Bank0';
 const bank1 = 'Bank1';
 const bank2 = 'Bank2';
 const bank3 = 'Bank3';
+const oracle0 = 'Oracle0';
+const operator0 = 'Operator0';
 
 /**
  * Utility function for creating Participants
  * @param {*} factory factory for generation of resources
  * @param {*} bankId id of banking participant
  * @param {*} currency currency for banking participant
+ * @param {*} bic BIC of banking participant
  * @return {*} bankPartipant
  */
-function createBankingParticipant(factory, bankId, currency) {
+function createBankingParticipant(factory, bankId, currency, bic) {
     let bankPartipant = factory.newResource(namespace, 'BankingParticipant', bankId);
     bankPartipant.bankingName = bankId;
     bankPartipant.workingCurrency = currency;
+    bankPartipant.bic = bic;
     return bankPartipant;
 }
 
+/**
+ * Utility function for creating exchange rate assets
+ * @param {*} factory factory for generation of resources
+ * @param {*} currency currency to exchange USD into
+ * @param {*} rate units of currency per USD
+ * @param {*} timestamp time the rate was published
+ * @return {*} exchangeRate
+ */
+function createExchangeRate(factory, currency, rate, timestamp) {
+    let exchangeRate = factory.newResource(namespace, 'ExchangeRate', currency);
+    exchangeRate.rate = rate;
+    exchangeRate.timestamp = timestamp;
+    exchangeRate.provider = factory.newRelationship(namespace, 'RateProvider', oracle0);
+    return exchangeRate;
+}
+
 /**
  * Utility function for creating transfer assets
  * @param {*} factory factory for generation of resources
@@ -65,8 +85,8 @@ function createTransferAsset(factory, transferId, amount, currency, globalState,
     let asset = factory.newResource(namespace, 'TransferRequest', transferId);
     let transfer = factory.newConcept(namespace, 'Transfer');
     transfer.amount = amount;
-    transfer.fromAccount = 1234567;
-    transfer.toAccount = 789123;
+    transfer.fromIban = 'GB82WEST12345698765432';
+    transfer.toIban = 'DE89370400440532013000';
     transfer.currency = currency;
     asset.details = transfer;
     asset.fromBankState = fromBankState ? fromBankState : 'PENDING';
@@ -170,12 +190,26 @@ describe('Fund Clearing Network', () => {
 
         // Create the participants in the registry.
         const participantRegistry = await businessNetworkConnection.getParticipantRegistry(namespace + '.BankingParticipant');
-        const bankPartipant0 = createBankingParticipant(factory, bank0, 'USD');
-        const bankPartipant1 = createBankingParticipant(factory, bank1, 'EURO');
-        const bankPartipant2 = createBankingParticipant(factory, bank2, 'STERLING');
-        const bankPartipant3 = createBankingParticipant(factory, bank3, 'STERLING');
+        const bankPartipant0 = createBankingParticipant(factory, bank0, 'USD', 'BANKUS33XXX');
+        const bankPartipant1 = createBankingParticipant(factory, bank1, 'EURO', 'BANKDEFFXXX');
+        const bankPartipant2 = createBankingParticipant(factory, bank2, 'STERLING', 'BANKGB2LXXX');
+        const bankPartipant3 = createBankingParticipant(factory, bank3, 'STERLING', 'BANKGB22XXX');
         participantRegistry.addAll([bankPartipant0, bankPartipant1, bankPartipant2, bankPartipant3]);
 
+        // Create the rate provider and the exchange rates it has published
+        const providerRegistry = await businessNetworkConnection.getParticipantRegistry(namespace + '.RateProvider');
+        const rateProvider = factory.newResource(namespace, 'RateProvider', oracle0);
+        rateProvider.providerName = oracle0;
+        await providerRegistry.add(rateProvider);
+
+        // Create the clearing operator that runs multilateral netting cycles
+        const operatorRegistry = await businessNetworkConnection.getParticipantRegistry(namespace + '.ClearingOperator');
+        const clearingOperator = factory.newResource(namespace, 'ClearingOperator', operator0);
+        clearingOperator.operatorName = operator0;
+        await operatorRegistry.add(clearingOperator);
+        const rateRegistry = await businessNetworkConnection.getAssetRegistry(namespace + '.ExchangeRate');
+        await rateRegistry.addAll([createExchangeRate(factory, 'EURO', 0.8, new Date()), createExchangeRate(factory, 'STERLING', 0.5, new Date())]);
+
         // Get Asset registries
         const transferRegistry = await businessNetworkConnection.getAssetRegistry(namespace + '.TransferRequest');
         const batchRegistry = await businessNetworkConnection.getAssetRegistry(namespace + '.BatchTransferRequest');
@@ -252,6 +286,10 @@ describe('Fund Clearing Network', () => {
         await importCardForIdentity(bank2, identity);
         identity = await businessNetworkConnection.issueIdentity(namespace + '.BankingParticipant#' + bank3, bank3);
         await importCardForIdentity(bank3, identity);
+        identity = await businessNetworkConnection.issueIdentity(namespace + '.RateProvider#' + oracle0, oracle0);
+        await importCardForIdentity(oracle0, identity);
+        identity = await businessNetworkConnection.issueIdentity(namespace + '.ClearingOperator#' + operator0, operator0);
+        await importCardForIdentity(operator0, identity);
     });
 
     /**
@@ -290,8 +328,8 @@ describe('Fund Clearing Network', () => {
             const txnState = 'PENDING';
             const currency = 'EURO';
             const amount = 1234567.89;
-            const fromAccount = 98789;
-            const toAccount   = 12321;
+            const fromIban = 'ES9121000418450200051332';
+            const toIban = 'CH9300762011623852957';
 
             const txn = factory.newTransaction(namespace, 'SubmitTransferRequest');
             txn.transferId = txnId;
@@ -301,8 +339,8 @@ describe('Fund Clearing Network', () => {
             const details = factory.newConcept(namespace, 'Transfer');
             details.currency = currency;
             details.amount = amount;
-            details.fromAccount = fromAccount;
-            details.toAccount = toAccount;
+            details.fromIban = fromIban;
+            details.toIban = toIban;
             txn.details = details;
 
             // Submit transaction
@@ -321,6 +359,64 @@ describe('Fund Clearing Network', () => {
         });
     });
 
+    describe('UpdateExchangeRates Transaction', () => {
+
+        it('should enable the RateProvider to publish exchange rates and emit an event for each', async () => {
+            await useIdentity(oracle0);
+            const txn = factory.newTransaction(namespace, 'UpdateExchangeRates');
+            let rate1 = factory.newConcept(namespace, 'UsdExchangeRate');
+            rate1.to = 'EURO';
+            rate1.rate = 0.9;
+            let rate2 = factory.newConcept(namespace, 'UsdExchangeRate');
+            rate2.to = 'YEN';
+            rate2.rate = 150;
+            txn.usdRates = [rate1, rate2];
+            await businessNetworkConnection.submitTransaction(txn);
+
+            events.should.have.lengthOf(2);
+            events[0].currency.should.equal('EURO');
+            events[0].rate.should.equal(0.9);
+
+            await useIdentity(bank0);
+            const rateRegistry = await businessNetworkConnection.getAssetRegistry(namespace + '.ExchangeRate');
+            const euroRate = await rateRegistry.get('EURO');
+            euroRate.rate.should.equal(0.9);
+            euroRate.timestamp.should.deep.equal(txn.timestamp);
+            euroRate.provider.getIdentifier().should.equal(oracle0);
+            (await rateRegistry.get('YEN')).rate.should.equal(150);
+        });
+
+        it('should only accept exchange rates greater than zero', async () => {
+            await useIdentity(oracle0);
+            const txn = factory.newTransaction(namespace, 'UpdateExchangeRates');
+            let rate = factory.newConcept(namespace, 'UsdExchangeRate');
+            rate.to = 'EURO';
+            rate.rate = 0;
+            txn.usdRates = [rate];
+            await businessNetworkConnection.submitTransaction(txn).should.be.rejectedWith(/The exchange rate from USD to EURO must be greater than zero/);
+        });
+
+        it('should prevent a BankingParticipant from publishing exchange rates', async () => {
+            await useIdentity(bank0);
+            const txn = factory.newTransaction(namespace, 'UpdateExchangeRates');
+            let rate = factory.newConcept(namespace, 'UsdExchangeRate');
+            rate.to = 'EURO';
+            rate.rate = 100;
+            txn.usdRates = [rate];
+            await businessNetworkConnection.submitTransaction(txn).should.be.rejectedWith(/does not have .CREATE. access to resource/);
+        });
+
+        it('should only accept exchange rates published by a RateProvider', async () => {
+            await useIdentity('admin');
+            const txn = factory.newTransaction(namespace, 'UpdateExchangeRates');
+            let rate = factory.newConcept(namespace, 'UsdExchangeRate');
+            rate.to = 'EURO';
+            rate.rate = 100;
+            txn.usdRates = [rate];
+            await businessNetworkConnection.submitTransaction(txn).should.be.rejectedWith(/Exchange rates can only be published by a RateProvider/);
+        });
+    });
+
     describe('CreateBatch Transaction Action', () => {
 
         it('should net all TransactionRequests for the invoking Participant and emit an notification event for each BatchTransaferRequest created', async () => {
@@ -329,13 +425,6 @@ describe('Fund Clearing Network', () => {
 
             // Create the transaction
             let txn = factory.newTransaction(namespace, 'CreateBatch');
-            let rate1 = factory.newConcept(namespace, 'UsdExchangeRate');
-            rate1.to = 'EURO';
-            rate1.rate = 0.8;
-            let rate2 = factory.newConcept(namespace, 'UsdExchangeRate');
-            rate2.to = 'STERLING';
-            rate2.rate = 0.5;
-            txn.usdRates = [rate1, rate2];
             txn.batchId = bank0 + '_batch1';
 
             const assetRegistry = await businessNetworkConnection.getAssetRegistry(namespace + '.BatchTransferRequest');
@@ -365,6 +454,84 @@ describe('Fund Clearing Network', () => {
             allAssets[1].settlement.currency.should.be.equal('USD');
             allAssets[1].settlement.creditorBank.getIdentifier().should.be.equal(bank0);
             allAssets[1].settlement.debtorBank.getIdentifier().should.be.equal(bank2);
+
+            // Each batch records the exchange rates it was netted with
+            allAssets[0].usdRates.should.have.lengthOf(1);
+            allAssets[0].usdRates[0].to.should.equal('EURO');
+            allAssets[0].usdRates[0].rate.should.equal(0.8);
+            allAssets[0].usdRates[0].timestamp.should.be.an.instanceOf(Date);
+            allAssets[1].usdRates.should.have.lengthOf(1);
+            allAssets[1].usdRates[0].to.should.equal('STERLING');
+            allAssets[1].usdRates[0].rate.should.equal(0.5);
+        });
+
+        it('should multilaterally net all pending TransactionRequests into a single BatchTransferRequest with at most one settlement leg fewer than there are banks', async () => {
+            await useIdentity(operator0);
+            factory = businessNetworkConnection.getBusinessNetwork().getFactory();
+
+            // Create the transaction
+            let txn = factory.newTransaction(namespace, 'CreateBatch');
+            txn.batchId = 'cycle1';
+            txn.netting = 'MULTILATERAL';
+
+            // Issue the transaction
+            await businessNetworkConnection.submitTransaction(txn);
+            events.should.have.lengthOf(1);
+
+            // Net positions in USD: Bank0 +173, Bank1 -477, Bank2 +304
+            const batchRegistry = await businessNetworkConnection.getAssetRegistry(namespace + '.BatchTransferRequest');
+            const batch = await batchRegistry.get('cycle1');
+            batch.state.should.equal('PENDING_PRE_PROCESS');
+            batch.transferRequests.should.have.lengthOf(5);
+            batch.positions.find((position) => position.bank.getIdentifier() === bank1).amount.should.equal(-477);
+
+            // Bank1 pays Bank2 in STERLING and Bank0 in USD
+            batch.legs.should.have.lengthOf(2);
+            batch.legs[0].debtorBank.getIdentifier().should.equal(bank1);
+            batch.legs[0].creditorBank.getIdentifier().should.equal(bank2);
+            batch.legs[0].amount.should.equal(152);
+            batch.legs[0].currency.should.equal('STERLING');
+            batch.legs[1].debtorBank.getIdentifier().should.equal(bank1);
+            batch.legs[1].creditorBank.getIdentifier().should.equal(bank0);
+            batch.legs[1].amount.should.equal(173);
+            batch.legs[1].currency.should.equal('USD');
+            batch.usdRates.map((rate) => rate.to).should.deep.equal(['EURO', 'STERLING']);
+
+            // All pending TransferRequests are now being processed
+            await useIdentity('admin');
+            const transferRegistry = await businessNetworkConnection.getAssetRegistry(namespace + '.TransferRequest');
+            (await transferRegistry.get('4')).state.should.equal('PROCESSING');
+        });
+
+        it('should refuse a multilateral netting cycle created by a bank', async () => {
+            await useIdentity(bank0);
+            let txn = factory.newTransaction(namespace, 'CreateBatch');
+            txn.batchId = 'cycle1';
+            txn.netting = 'MULTILATERAL';
+            await businessNetworkConnection.submitTransaction(txn).should.be.rejectedWith(/Multilateral batches can only be created by a ClearingOperator/);
+
+            // None of the pending TransferRequests were netted
+            await useIdentity('admin');
+            const transferRegistry = await businessNetworkConnection.getAssetRegistry(namespace + '.TransferRequest');
+            (await transferRegistry.get('4')).state.should.equal('PENDING');
+        });
+
+        it('should refuse a bilateral batch created by the clearing operator', async () => {
+            await useIdentity(operator0);
+            let txn = factory.newTransaction(namespace, 'CreateBatch');
+            txn.batchId = 'operator_batch';
+            await businessNetworkConnection.submitTransaction(txn).should.be.rejectedWith(/does not have .* access to resource/);
+        });
+
+        it('should refuse to net TransferRequests in a currency without a published exchange rate', async () => {
+            await useIdentity('admin');
+            const rateRegistry = await businessNetworkConnection.getAssetRegistry(namespace + '.ExchangeRate');
+            await rateRegistry.remove('STERLING');
+
+            await useIdentity(bank0);
+            let txn = factory.newTransaction(namespace, 'CreateBatch');
+            txn.batchId = bank0 + '_batch1';
+            await businessNetworkConnection.submitTransaction(txn).should.be.rejectedWith(/No exchange rate from USD to STERLING has been published/);
         });
     });
 
@@ -412,6 +579,13 @@ describe('Fund Clearing Network', () => {
             const batchAsset = await batchAssetRegistry.get(transaction.batchId);
             batchAsset.state.should.equal('READY_TO_SETTLE');
         });
+
+        it('should only operate on Batches that are PENDING_PRE_PROCESS', async () => {
+            await useIdentity(bank1);
+            const transaction = factory.newTransaction(namespace, 'MarkPreProcessComplete');
+            transaction.batchId = '2';
+            await businessNetworkConnection.submitTransaction(transaction).should.be.rejectedWith(/Unable to process transaction, BatchTransferRequest with id .* is in state READY_TO_SETTLE but must be in state 'PENDING_PRE_PROCESS'/);
+        });
     });
 
     describe('CompleteSettlement Transaction', () => {
@@ -422,14 +596,6 @@ describe('Fund Clearing Network', () => {
             const transaction = factory.newTransaction(namespace, 'CompleteSettlement');
             transaction.batchId = '2';
 
-            let rate1 = factory.newConcept(namespace, 'UsdExchangeRate');
-            rate1.to = 'EURO';
-            rate1.rate = 0.75;
-            let rate2 = factory.newConcept(namespace, 'UsdExchangeRate');
-            rate2.to = 'STERLING';
-            rate2.rate = 1.75;
-            transaction.usdRates = [rate1, rate2];
-
             // Use the identity for Bank0.
             await useIdentity(bank1);
             await businessNetworkConnection.submitTransaction(transaction);
@@ -440,24 +606,220 @@ describe('Fund Clearing Network', () => {
             batchAsset.state.should.equal('PENDING_POST_PROCESS');
         });
 
-        it('should only operate on Batches that are READY_TO_SETTLE', async () => {
+        it('should settle every leg of a multilateral Batch', async () => {
+            await useIdentity('admin');
+            const batchRegistry = await businessNetworkConnection.getAssetRegistry(namespace + '.BatchTransferRequest');
+            const batch = factory.newResource(namespace, 'BatchTransferRequest', 'cycle1');
+            const leg1 = factory.newConcept(namespace, 'Settlement');
+            leg1.amount = 152;
+            leg1.currency = 'STERLING';
+            leg1.creditorBank = factory.newRelationship(namespace, 'BankingParticipant', bank2);
+            leg1.debtorBank = factory.newRelationship(namespace, 'BankingParticipant', bank1);
+            const leg2 = factory.newConcept(namespace, 'Settlement');
+            leg2.amount = 173;
+            leg2.currency = 'USD';
+            leg2.creditorBank = factory.newRelationship(namespace, 'BankingParticipant', bank0);
+            leg2.debtorBank = factory.newRelationship(namespace, 'BankingParticipant', bank1);
+            batch.legs = [leg1, leg2];
+            batch.state = 'READY_TO_SETTLE';
+            batch.parties = [bank0, bank1, bank2].map((bank) => factory.newRelationship(namespace, 'BankingParticipant', bank));
+            batch.transferRequests = [];
+            await batchRegistry.add(batch);
+
+            const transaction = factory.newTransaction(namespace, 'CompleteSettlement');
+            transaction.batchId = 'cycle1';
+
+            await useIdentity(bank1);
+            await businessNetworkConnection.submitTransaction(transaction);
+
+            // Bank1 pays 304 + 173 USD, which is 381.6 EURO
+            const participantRegistry = await businessNetworkConnection.getParticipantRegistry(namespace + '.BankingParticipant');
+            (await participantRegistry.get(bank0)).fundBalance.should.equal(5000000 + 173);
+            (await participantRegistry.get(bank2)).fundBalance.should.equal(5000000 + 152);
+            (await participantRegistry.get(bank1)).fundBalance.should.be.closeTo(5000000 - 381.6, 0.001);
+        });
+
+        it('should only operate on Batches that are READY_TO_SETTLE or QUEUED', async () => {
             // Get the factory for the business network.
             await businessNetworkConnection.connect('admin');
             factory = businessNetworkConnection.getBusinessNetwork().getFactory();
             const transaction = factory.newTransaction(namespace, 'CompleteSettlement');
             transaction.batchId = '0';
 
-            let rate1 = factory.newConcept(namespace, 'UsdExchangeRate');
-            rate1.to = 'EURO';
-            rate1.rate = 0.75;
-            let rate2 = factory.newConcept(namespace, 'UsdExchangeRate');
-            rate2.to = 'STERLING';
-            rate2.rate = 1.75;
-            transaction.usdRates = [rate1, rate2];
-
             // Use the identity for Bank0.
             await useIdentity(bank1);
-            await businessNetworkConnection.submitTransaction(transaction).should.be.rejectedWith(/Unable to process transaction, BatchTransferRequest with id .* is in state PENDING_PRE_PROCESS but must be in state 'READY_TO_SETTLE'/);
+            await businessNetworkConnection.submitTransaction(transaction).should.be.rejectedWith(/Unable to process transaction, BatchTransferRequest with id .* is in state PENDING_PRE_PROCESS but must be in state 'READY_TO_SETTLE' or 'QUEUED'/);
+        });
+
+        it('should queue a Batch that would take the debtor beyond its net debit cap', async () => {
+            await useIdentity('admin');
+            let participantRegistry = await businessNetworkConnection.getParticipantRegistry(namespace + '.BankingParticipant');
+            let debtor = await participantRegistry.get(bank1);
+            debtor.fundBalance = 0;
+            await participantRegistry.update(debtor);
+
+            const transaction = factory.newTransaction(namespace, 'CompleteSettlement');
+            transaction.batchId = '2';
+            await useIdentity(bank1);
+            await businessNetworkConnection.submitTransaction(transaction);
+
+            const batchAssetRegistry = await businessNetworkConnection.getAssetRegistry(namespace + '.BatchTransferRequest');
+            const batchAsset = await batchAssetRegistry.get('2');
+            batchAsset.state.should.equal('QUEUED');
+            batchAsset.queuedAt.should.deep.equal(transaction.timestamp);
+            events.should.have.lengthOf(1);
+            events[0].getType().should.equal('BatchQueuedEvent');
+            participantRegistry = await businessNetworkConnection.getParticipantRegistry(namespace + '.BankingParticipant');
+            (await participantRegistry.get(bank1)).fundBalance.should.equal(0);
+            (await participantRegistry.get(bank2)).fundBalance.should.equal(5000000);
+        });
+
+        it('should queue a Batch that would take the debtor beyond its credit limit for the creditor', async () => {
+            await useIdentity('admin');
+            let participantRegistry = await businessNetworkConnection.getParticipantRegistry(namespace + '.BankingParticipant');
+            let debtor = await participantRegistry.get(bank1);
+            let creditLimit = factory.newConcept(namespace, 'CreditLimit');
+            creditLimit.counterparty = factory.newRelationship(namespace, 'BankingParticipant', bank2);
+            creditLimit.limit = 100;
+            debtor.creditLimits = [creditLimit];
+            await participantRegistry.update(debtor);
+
+            // 100 STERLING is 160 EURO
+            const transaction = factory.newTransaction(namespace, 'CompleteSettlement');
+            transaction.batchId = '2';
+            await useIdentity(bank1);
+            await businessNetworkConnection.submitTransaction(transaction);
+
+            const batchAssetRegistry = await businessNetworkConnection.getAssetRegistry(namespace + '.BatchTransferRequest');
+            (await batchAssetRegistry.get('2')).state.should.equal('QUEUED');
+            participantRegistry = await businessNetworkConnection.getParticipantRegistry(namespace + '.BankingParticipant');
+            (await participantRegistry.get(bank1)).creditLimits[0].netDebit.should.equal(0);
+        });
+
+        it('should release a queued Batch once an incoming settlement frees up liquidity', async () => {
+            await useIdentity('admin');
+            let participantRegistry = await businessNetworkConnection.getParticipantRegistry(namespace + '.BankingParticipant');
+            let debtor = await participantRegistry.get(bank1);
+            debtor.fundBalance = 0;
+            await participantRegistry.update(debtor);
+
+            // Bank0 will pay 500 EURO to Bank1
+            const batchRegistry = await businessNetworkConnection.getAssetRegistry(namespace + '.BatchTransferRequest');
+            const incoming = factory.newResource(namespace, 'BatchTransferRequest', 'incoming');
+            const settlement = factory.newConcept(namespace, 'Settlement');
+            settlement.amount = 500;
+            settlement.currency = 'EURO';
+            settlement.creditorBank = factory.newRelationship(namespace, 'BankingParticipant', bank1);
+            settlement.debtorBank = factory.newRelationship(namespace, 'BankingParticipant', bank0);
+            incoming.settlement = settlement;
+            incoming.state = 'READY_TO_SETTLE';
+            incoming.parties = [factory.newRelationship(namespace, 'BankingParticipant', bank0), factory.newRelationship(namespace, 'BankingParticipant', bank1)];
+            incoming.transferRequests = [];
+            await batchRegistry.add(incoming);
+
+            let transaction = factory.newTransaction(namespace, 'CompleteSettlement');
+            transaction.batchId = '2';
+            await useIdentity(bank1);
+            await businessNetworkConnection.submitTransaction(transaction);
+
+            // Bank0 is not a party to the queued Batch, but its settlement releases it
+            transaction = factory.newTransaction(namespace, 'CompleteSettlement');
+            transaction.batchId = 'incoming';
+            await useIdentity(bank0);
+            await businessNetworkConnection.submitTransaction(transaction);
+            events.should.have.lengthOf(1);
+            events[0].getType().should.equal('BatchReleasedEvent');
+            events[0].batchId.should.equal('2');
+
+            await useIdentity('admin');
+            const batchAssetRegistry = await businessNetworkConnection.getAssetRegistry(namespace + '.BatchTransferRequest');
+            (await batchAssetRegistry.get('2')).state.should.equal('PENDING_POST_PROCESS');
+            (await batchAssetRegistry.get('incoming')).state.should.equal('PENDING_POST_PROCESS');
+            participantRegistry = await businessNetworkConnection.getParticipantRegistry(namespace + '.BankingParticipant');
+            (await participantRegistry.get(bank0)).fundBalance.should.equal(5000000 - 625);
+            (await participantRegistry.get(bank1)).fundBalance.should.equal(500 - 160);
+            (await participantRegistry.get(bank2)).fundBalance.should.equal(5000000 + 100);
+
+            // Once released, the Batch is hidden again from Bank0, which is not a party to it
+            transaction = factory.newTransaction(namespace, 'CompleteSettlement');
+            transaction.batchId = '2';
+            await useIdentity(bank0);
+            await businessNetworkConnection.submitTransaction(transaction).should.be.rejectedWith(/Object with ID .* does not exist/);
+        });
+
+        it('should settle a queued Batch that is retried once its limits allow it', async () => {
+            await useIdentity('admin');
+            let participantRegistry = await businessNetworkConnection.getParticipantRegistry(namespace + '.BankingParticipant');
+            let debtor = await participantRegistry.get(bank1);
+            debtor.fundBalance = 0;
+            await participantRegistry.update(debtor);
+
+            let transaction = factory.newTransaction(namespace, 'CompleteSettlement');
+            transaction.batchId = '2';
+            await useIdentity(bank1);
+            await businessNetworkConnection.submitTransaction(transaction);
+            const queuedAt = transaction.timestamp;
+
+            // Retrying without a change of limits keeps the Batch in its place in the queue
+            transaction = factory.newTransaction(namespace, 'CompleteSettlement');
+            transaction.batchId = '2';
+            await businessNetworkConnection.submitTransaction(transaction);
+            let batchAssetRegistry = await businessNetworkConnection.getAssetRegistry(namespace + '.BatchTransferRequest');
+            let batchAsset = await batchAssetRegistry.get('2');
+            batchAsset.state.should.equal('QUEUED');
+            batchAsset.queuedAt.should.deep.equal(queuedAt);
+
+            // Raise the net debit cap of Bank1, and retry
+            await useIdentity('admin');
+            participantRegistry = await businessNetworkConnection.getParticipantRegistry(namespace + '.BankingParticipant');
+            debtor = await participantRegistry.get(bank1);
+            debtor.netDebitCap = 1000;
+            await participantRegistry.update(debtor);
+
+            transaction = factory.newTransaction(namespace, 'CompleteSettlement');
+            transaction.batchId = '2';
+            await useIdentity(bank1);
+            await businessNetworkConnection.submitTransaction(transaction);
+            batchAssetRegistry = await businessNetworkConnection.getAssetRegistry(namespace + '.BatchTransferRequest');
+            (await batchAssetRegistry.get('2')).state.should.equal('PENDING_POST_PROCESS');
+            participantRegistry = await businessNetworkConnection.getParticipantRegistry(namespace + '.BankingParticipant');
+            (await participantRegistry.get(bank1)).fundBalance.should.equal(-160);
+            (await participantRegistry.get(bank2)).fundBalance.should.equal(5000000 + 100);
+        });
+
+        it('should not let a bank update participants outside a CompleteSettlement', async () => {
+            await useIdentity(bank1);
+            const participantRegistry = await businessNetworkConnection.getParticipantRegistry(namespace + '.BankingParticipant');
+            const ownBank = await participantRegistry.get(bank1);
+            ownBank.netDebitCap = 1000000000;
+            await participantRegistry.update(ownBank).should.be.rejectedWith(/does not have 'UPDATE' access/);
+            const otherBank = await participantRegistry.get(bank2);
+            otherBank.fundBalance = 0;
+            await participantRegistry.update(otherBank).should.be.rejectedWith(/does not have 'UPDATE' access/);
+        });
+
+        it('should refuse to settle with a stale exchange rate', async () => {
+            await useIdentity('admin');
+            const rateRegistry = await businessNetworkConnection.getAssetRegistry(namespace + '.ExchangeRate');
+            await rateRegistry.update(createExchangeRate(factory, 'STERLING', 0.5, new Date(Date.now() - 2 * 60 * 60 * 1000)));
+
+            const transaction = factory.newTransaction(namespace, 'CompleteSettlement');
+            transaction.batchId = '2';
+
+            await useIdentity(bank1);
+            await businessNetworkConnection.submitTransaction(transaction).should.be.rejectedWith(/The exchange rate from USD to STERLING was published at .* and is too stale to use/);
+        });
+
+        it('should refuse to settle with an exchange rate dated in the future', async () => {
+            await useIdentity('admin');
+            const rateRegistry = await businessNetworkConnection.getAssetRegistry(namespace + '.ExchangeRate');
+            await rateRegistry.update(createExchangeRate(factory, 'STERLING', 0.5, new Date(Date.now() + 2 * 60 * 60 * 1000)));
+
+            const transaction = factory.newTransaction(namespace, 'CompleteSettlement');
+            transaction.batchId = '2';
+
+            await useIdentity(bank1);
+            await businessNetworkConnection.submitTransaction(transaction).should.be.rejectedWith(/The exchange rate from USD to STERLING is dated .*, after the time at which it would be used/);
         });
     });
 
@@ -563,6 +925,451 @@ describe('Fund Clearing Network', () => {
         });
     });
 
+    describe('RejectTransferRequest Transaction', () => {
+        it('should enable the toBank to reject a PENDING TransferRequest with a reason code', async () => {
+            await useIdentity(bank1);
+            const transaction = factory.newTransaction(namespace, 'RejectTransferRequest');
+            transaction.requestId = '0';
+            transaction.reasonCode = 'INVALID_ACCOUNT';
+            transaction.reasonDescription = 'Account 789123 is closed';
+            await businessNetworkConnection.submitTransaction(transaction);
+
+            const transferAssetRegistry = await businessNetworkConnection.getAssetRegistry(namespace + '.TransferRequest');
+            const transferRequest = await transferAssetRegistry.get('0');
+            transferRequest.state.should.equal('ERROR');
+            transferRequest.toBankState.should.equal('ERROR');
+            transferRequest.reasonCode.should.equal('INVALID_ACCOUNT');
+            transferRequest.reasonDescription.should.equal('Account 789123 is closed');
+
+            events.should.have.lengthOf(1);
+            events[0].getType().should.equal('TransferRequestRejectedEvent');
+            events[0].requestId.should.equal('0');
+            events[0].reasonCode.should.equal('INVALID_ACCOUNT');
+        });
+
+        it('should prevent the fromBank rejecting a TransferRequest', async () => {
+            await useIdentity(bank0);
+            const transaction = factory.newTransaction(namespace, 'RejectTransferRequest');
+            transaction.requestId = '0';
+            transaction.reasonCode = 'OTHER';
+            await businessNetworkConnection.submitTransaction(transaction).should.be.rejectedWith(/only the toBank of TransferRequest with id 0 can move it to state 'ERROR'/);
+        });
+
+        it('should only operate on TransferRequests that are PENDING', async () => {
+            await useIdentity(bank1);
+            const transaction = factory.newTransaction(namespace, 'RejectTransferRequest');
+            transaction.requestId = '1';
+            transaction.reasonCode = 'OTHER';
+            await businessNetworkConnection.submitTransaction(transaction).should.be.rejectedWith(/TransferRequest with id 1 is in state PROCESSING but must be in state 'PENDING'/);
+        });
+    });
+
+    describe('CancelTransferRequest Transaction', () => {
+        it('should enable the fromBank to cancel a PENDING TransferRequest with a reason code', async () => {
+            await useIdentity(bank0);
+            const transaction = factory.newTransaction(namespace, 'CancelTransferRequest');
+            transaction.requestId = '2';
+            transaction.reasonCode = 'REQUESTED_BY_CUSTOMER';
+            await businessNetworkConnection.submitTransaction(transaction);
+
+            const transferAssetRegistry = await businessNetworkConnection.getAssetRegistry(namespace + '.TransferRequest');
+            const transferRequest = await transferAssetRegistry.get('2');
+            transferRequest.state.should.equal('CANCELLED');
+            transferRequest.fromBankState.should.equal('CANCELLED');
+            transferRequest.reasonCode.should.equal('REQUESTED_BY_CUSTOMER');
+
+            events.should.have.lengthOf(1);
+            events[0].getType().should.equal('TransferRequestCancelledEvent');
+            events[0].requestId.should.equal('2');
+        });
+
+        it('should prevent the toBank cancelling a TransferRequest', async () => {
+            await useIdentity(bank2);
+            const transaction = factory.newTransaction(namespace, 'CancelTransferRequest');
+            transaction.requestId = '2';
+            transaction.reasonCode = 'OTHER';
+            await businessNetworkConnection.submitTransaction(transaction).should.be.rejectedWith(/only the fromBank of TransferRequest with id 2 can move it to state 'CANCELLED'/);
+        });
+    });
+
+    describe('FailBatch Transaction', () => {
+        it('should fail the Batch and return all referenced TransferRequests to PENDING with the reason code', async () => {
+            await useIdentity(bank2);
+            const transaction = factory.newTransaction(namespace, 'FailBatch');
+            transaction.batchId = '1';
+            transaction.reasonCode = 'TECHNICAL_ERROR';
+            await businessNetworkConnection.submitTransaction(transaction);
+
+            const batchAssetRegistry = await businessNetworkConnection.getAssetRegistry(namespace + '.BatchTransferRequest');
+            const batchAsset = await batchAssetRegistry.get('1');
+            batchAsset.state.should.equal('FAILED');
+            batchAsset.reasonCode.should.equal('TECHNICAL_ERROR');
+
+            const transferAssetRegistry = await businessNetworkConnection.getAssetRegistry(namespace + '.TransferRequest');
+            const transferRequest = await transferAssetRegistry.get('6');
+            transferRequest.state.should.equal('PENDING');
+            transferRequest.fromBankState.should.equal('PENDING');
+            transferRequest.toBankState.should.equal('PENDING');
+            transferRequest.reasonCode.should.equal('TECHNICAL_ERROR');
+
+            events.should.have.lengthOf(2);
+            events[0].getType().should.equal('BatchFailedEvent');
+            events[0].batchId.should.equal('1');
+            events[1].getType().should.equal('TransferRequestReturnedEvent');
+            events[1].requestId.should.equal('6');
+            events[1].batchId.should.equal('1');
+            events[1].reasonCode.should.equal('TECHNICAL_ERROR');
+        });
+
+        it('should only operate on Batches that have not been settled', async () => {
+            await useIdentity(bank1);
+            const transaction = factory.newTransaction(namespace, 'FailBatch');
+            transaction.batchId = '3';
+            transaction.reasonCode = 'OTHER';
+            await businessNetworkConnection.submitTransaction(transaction).should.be.rejectedWith(/Unable to process transaction, BatchTransferRequest with id .* is in state PENDING_POST_PROCESS but must be in state 'PENDING_PRE_PROCESS', 'READY_TO_SETTLE' or 'QUEUED'/);
+        });
+    });
+
+    describe('ExportStatement Transaction', () => {
+
+        /**
+         * Submit a TransferRequest from the current identity
+         * @param {String} transferId identifier of the TransferRequest
+         * @param {String} toBank the bank the funds are sent to
+         * @param {Number} amount amount of the transfer
+         * @param {String} currency currency of the transfer
+         */
+        async function submitTransfer(transferId, toBank, amount, currency) {
+            const transaction = factory.newTransaction(namespace, 'SubmitTransferRequest');
+            transaction.transferId = transferId;
+            transaction.toBank = toBank;
+            transaction.state = 'PENDING';
+            const details = factory.newConcept(namespace, 'Transfer');
+            details.currency = currency;
+            details.amount = amount;
+            details.fromIban = 'GB82WEST12345698765432';
+            details.toIban = 'DE89370400440532013000';
+            transaction.details = details;
+            await businessNetworkConnection.submitTransaction(transaction);
+        }
+
+        it('should export the gross totals, settled Batches and outstanding TransferRequests of the invoking bank as JSON', async () => {
+            const from = new Date(Date.now() - 1000);
+            await useIdentity(bank0);
+            await submitTransfer('S0', bank1, 500, 'EURO');
+            await useIdentity(bank1);
+            await submitTransfer('S1', bank0, 200, 'USD');
+            await submitTransfer('S2', bank2, 50, 'STERLING');
+            await submitTransfer('S3', bank2, 75, 'STERLING');
+
+            let transaction = factory.newTransaction(namespace, 'CancelTransferRequest');
+            transaction.requestId = 'S3';
+            transaction.reasonCode = 'REQUESTED_BY_CUSTOMER';
+            await businessNetworkConnection.submitTransaction(transaction);
+
+            transaction = factory.newTransaction(namespace, 'CompleteSettlement');
+            transaction.batchId = '2';
+            await businessNetworkConnection.submitTransaction(transaction);
+
+            transaction = factory.newTransaction(namespace, 'ExportStatement');
+            transaction.bank = factory.newRelationship(namespace, 'BankingParticipant', bank1);
+            transaction.from = from;
+            transaction.to = new Date(Date.now() + 1000);
+            const statement = JSON.parse(await businessNetworkConnection.submitTransaction(transaction));
+
+            statement.$class.should.equal(namespace + '.BankStatement');
+            statement.bank.should.equal('resource:' + namespace + '.BankingParticipant#' + bank1);
+            statement.totals.map((total) => { return [total.currency, total.sent, total.received, total.net]; }).should.deep.equal([
+                ['EURO', 0, 500, 500],
+                ['STERLING', 50, 0, -50],
+                ['USD', 200, 0, -200]
+            ]);
+            statement.settledBatches.should.have.lengthOf(1);
+            statement.settledBatches[0].batchId.should.equal('2');
+            statement.settledBatches[0].state.should.equal('PENDING_POST_PROCESS');
+            statement.outstandingRequests.map((outstandingRequest) => { return outstandingRequest.requestId; }).sort().should.deep.equal(['0', '1', '3', '4', '6', '7', '8', 'S0', 'S1', 'S2']);
+        });
+
+        it('should export the statement of the invoking bank as CSV', async () => {
+            const from = new Date(Date.now() - 1000);
+            await useIdentity(bank0);
+            await submitTransfer('S0', bank1, 500, 'EURO');
+
+            const transaction = factory.newTransaction(namespace, 'ExportStatement');
+            transaction.bank = factory.newRelationship(namespace, 'BankingParticipant', bank0);
+            transaction.from = from;
+            transaction.to = new Date(Date.now() + 1000);
+            transaction.format = 'CSV';
+            const lines = (await businessNetworkConnection.submitTransaction(transaction)).split('\n');
+
+            lines[0].should.equal('bank,from,to,record,reference,counterparty,currency,sent,received,net,state,timestamp');
+            lines[1].should.equal([bank0, from.toISOString(), transaction.to.toISOString(), 'TOTAL', '', '', 'EURO', 500, 0, -500, '', ''].join(','));
+            lines.filter((line) => { return line.includes(',OUTSTANDING_REQUEST,'); }).should.have.lengthOf(6);
+            lines[lines.length - 1].should.equal('');
+        });
+
+        it('should leave activity outside the window out of the totals', async () => {
+            await useIdentity(bank0);
+            await submitTransfer('S0', bank1, 500, 'EURO');
+
+            const transaction = factory.newTransaction(namespace, 'ExportStatement');
+            transaction.bank = factory.newRelationship(namespace, 'BankingParticipant', bank0);
+            transaction.from = new Date('2018-01-01T00:00:00.000Z');
+            transaction.to = new Date('2018-01-02T00:00:00.000Z');
+            const statement = JSON.parse(await businessNetworkConnection.submitTransaction(transaction));
+
+            statement.totals.should.have.lengthOf(0);
+            statement.settledBatches.should.have.lengthOf(0);
+            statement.outstandingRequests.should.have.lengthOf(6);
+        });
+
+        it('should refuse a window that ends before it starts', async () => {
+            await useIdentity(bank0);
+            const transaction = factory.newTransaction(namespace, 'ExportStatement');
+            transaction.bank = factory.newRelationship(namespace, 'BankingParticipant', bank0);
+            transaction.from = new Date('2018-01-02T00:00:00.000Z');
+            transaction.to = new Date('2018-01-01T00:00:00.000Z');
+            await businessNetworkConnection.submitTransaction(transaction).should.be.rejectedWith(/ExportStatement window from .* to .* is empty/);
+        });
+
+        it('should prevent a bank exporting the statement of another bank', async () => {
+            await useIdentity(bank1);
+            const transaction = factory.newTransaction(namespace, 'ExportStatement');
+            transaction.bank = factory.newRelationship(namespace, 'BankingParticipant', bank0);
+            transaction.from = new Date('2018-01-01T00:00:00.000Z');
+            transaction.to = new Date(Date.now() + 1000);
+            await businessNetworkConnection.submitTransaction(transaction).should.be.rejectedWith(/does not have .CREATE. access to resource/);
+        });
+    });
+
+    describe('Queries', () => {
+
+        /**
+         * Get the relationship string used to query for a BankingParticipant
+         * @param {String} bankId identifier of the bank
+         * @return {String} the relationship string
+         */
+        function bankResource(bankId) {
+            return 'resource:' + namespace + '.BankingParticipant#' + bankId;
+        }
+
+        /**
+         * Run a named query and get the identifiers of the resources it selects
+         * @param {String} name name of the query
+         * @param {Object} parameters query parameters
+         * @return {String[]} sorted identifiers of the selected resources
+         */
+        async function queryIdentifiers(name, parameters) {
+            const resources = await businessNetworkConnection.query(name, parameters);
+            return resources.map((resource) => { return resource.getIdentifier(); }).sort();
+        }
+
+        it('should select the BankingParticipant with a given BIC', async () => {
+            await useIdentity('admin');
+            (await queryIdentifiers('BankingParticipantByBic', { bic: 'BANKGB2LXXX' })).should.deep.equal([bank2]);
+            (await queryIdentifiers('BankingParticipantByBic', { bic: 'BANKFRPPXXX' })).should.deep.equal([]);
+        });
+
+        it('should select the TransferRequests sent by, sent to or involving a bank in a given state', async () => {
+            await useIdentity('admin');
+            (await queryIdentifiers('TransferRequestsByBankInState', { bank: bankResource(bank0), state: 'PENDING' })).should.deep.equal(['0', '2']);
+            (await queryIdentifiers('TransferRequestsReceivedByBankInState', { bank: bankResource(bank0), state: 'PENDING' })).should.deep.equal(['3', '5']);
+            (await queryIdentifiers('TransferRequestsForBankInState', { bank: bankResource(bank0), state: 'PENDING' })).should.deep.equal(['0', '2', '3', '5']);
+            (await queryIdentifiers('TransferRequestsByBanksInState', { bank1: bankResource(bank0), bank2: bankResource(bank1), state: 'PENDING' })).should.deep.equal(['0', '3']);
+        });
+
+        it('should select the TransferRequests sent by or sent to a bank', async () => {
+            await useIdentity('admin');
+            (await queryIdentifiers('TransferRequestsSentByBank', { bank: bankResource(bank1) })).should.deep.equal(['3', '4', '7', '8']);
+            (await queryIdentifiers('TransferRequestsReceivedByBank', { bank: bankResource(bank1) })).should.deep.equal(['0', '1', '6']);
+        });
+
+        it('should select the TransferRequests in a given state, currency or amount range', async () => {
+            await useIdentity('admin');
+            (await queryIdentifiers('TransferRequestsInState', { state: 'PRE_PROCESS_COMPLETE' })).should.deep.equal(['6', '7', '8']);
+            (await queryIdentifiers('TransferRequestsInCurrency', { currency: 'EURO' })).should.deep.equal(['0', '1', '6']);
+            (await queryIdentifiers('TransferRequestsInCurrencyInState', { currency: 'STERLING', state: 'PENDING' })).should.deep.equal(['2', '4']);
+            (await queryIdentifiers('TransferRequestsInAmountRange', { currency: 'STERLING', minimum: 100, maximum: 101 })).should.deep.equal(['2', '7', '8']);
+        });
+
+        it('should only select the TransferRequests a bank is permitted to read', async () => {
+            await useIdentity(bank2);
+            (await queryIdentifiers('TransferRequestsInCurrency', { currency: 'EURO' })).should.deep.equal(['6']);
+        });
+
+        it('should select the BatchTransferRequests by id, state or participating banks', async () => {
+            await useIdentity('admin');
+            (await queryIdentifiers('BatchTransferRequestById', { batchId: '2' })).should.deep.equal(['2']);
+            (await queryIdentifiers('BatchTransferRequestsInState', { state: 'PENDING_PRE_PROCESS' })).should.deep.equal(['0', '1']);
+            (await queryIdentifiers('BatchTransferRequestsByBankInState', { party: bankResource(bank2), state: 'PENDING_PRE_PROCESS' })).should.deep.equal(['1']);
+            (await queryIdentifiers('BatchTransferRequestForBanksInState', { banks: [bankResource(bank1), bankResource(bank2)], state: 'READY_TO_SETTLE' })).should.deep.equal(['2']);
+            (await queryIdentifiers('BatchTransferRequestForBanksInState', { banks: [bankResource(bank0), bankResource(bank2)], state: 'READY_TO_SETTLE' })).should.deep.equal([]);
+        });
+
+        it('should select the ClearingRecords of a bank of a given type within a window', async () => {
+            const from = new Date(Date.now() - 1000);
+            await useIdentity(bank0);
+            const transaction = factory.newTransaction(namespace, 'SubmitTransferRequest');
+            transaction.transferId = 'S0';
+            transaction.toBank = bank1;
+            transaction.state = 'PENDING';
+            const details = factory.newConcept(namespace, 'Transfer');
+            details.currency = 'EURO';
+            details.amount = 500;
+            details.fromIban = 'GB82WEST12345698765432';
+            details.toIban = 'DE89370400440532013000';
+            transaction.details = details;
+            await businessNetworkConnection.submitTransaction(transaction);
+
+            await useIdentity('admin');
+            const window = { party: bankResource(bank1), from: from.toISOString(), to: new Date(Date.now() + 1000).toISOString() };
+            (await queryIdentifiers('ClearingRecordsForBankInWindow', Object.assign({ type: 'SUBMITTED' }, window))).should.deep.equal(['SUBMITTED:S0']);
+            (await queryIdentifiers('ClearingRecordsForBankInWindow', Object.assign({ type: 'SETTLED' }, window))).should.deep.equal([]);
+            (await queryIdentifiers('ClearingRecordsForBankInWindow', { party: bankResource(bank2), type: 'SUBMITTED', from: window.from, to: window.to })).should.deep.equal([]);
+            (await queryIdentifiers('ClearingRecordsForBankInWindow', { party: bankResource(bank1), type: 'SUBMITTED', from: '2018-01-01T00:00:00.000Z', to: from.toISOString() })).should.deep.equal([]);
+        });
+    });
+
+    describe('ISO 20022 Transactions', () => {
+
+        /**
+         * Build a pacs.008 message with a credit transfer of 250 EUR for each creditor agent
+         * @param {String} debtorAgent BIC of the debtor agent
+         * @param {String[]} creditorAgents BICs of the creditor agents
+         * @return {String} the pacs.008 XML
+         */
+        function pacs008(debtorAgent, creditorAgents) {
+            const transactions = creditorAgents.map((creditorAgent, index) => {
+                return [
+                    '    <CdtTrfTxInf>',
+                    '      <PmtId><EndToEndId>E2E-' + index + '</EndToEndId><TxId>PACS-' + index + '</TxId></PmtId>',
+                    '      <IntrBkSttlmAmt Ccy="EUR">250.00</IntrBkSttlmAmt>',
+                    '      <ChrgBr>SLEV</ChrgBr>',
+                    '      <Dbtr><Nm>Debtor</Nm></Dbtr>',
+                    '      <DbtrAcct><Id><IBAN>GB82WEST12345698765432</IBAN></Id></DbtrAcct>',
+                    '      <DbtrAgt><FinInstnId><BICFI>' + debtorAgent + '</BICFI></FinInstnId></DbtrAgt>',
+                    '      <CdtrAgt><FinInstnId><BICFI>' + creditorAgent + '</BICFI></FinInstnId></CdtrAgt>',
+                    '      <Cdtr><Nm>Creditor</Nm></Cdtr>',
+                    '      <CdtrAcct><Id><IBAN>DE89370400440532013000</IBAN></Id></CdtrAcct>',
+                    '    </CdtTrfTxInf>'
+                ].join('\n');
+            });
+            return [
+                '<?xml version="1.0" encoding="UTF-8"?>',
+                '<Document xmlns="urn:iso:std:iso:20022:tech:xsd:pacs.008.001.08">',
+                '  <FIToFICstmrCdtTrf>',
+                '    <GrpHdr><MsgId>MSG-1</MsgId><CreDtTm>2018-01-01T10:00:00Z</CreDtTm><NbOfTxs>' + creditorAgents.length + '</NbOfTxs><SttlmInf><SttlmMtd>CLRG</SttlmMtd></SttlmInf></GrpHdr>'
+            ].concat(transactions, ['  </FIToFICstmrCdtTrf>', '</Document>']).join('\n');
+        }
+
+        it('should submit a TransferRequest for each credit transfer in a pacs.008 message', async () => {
+            await useIdentity(bank0);
+            const transaction = factory.newTransaction(namespace, 'ImportPacs008');
+            transaction.message = pacs008('BANKUS33', ['BANKDEFFXXX', 'BANKGB2LXXX']);
+            await businessNetworkConnection.submitTransaction(transaction);
+
+            const transferAssetRegistry = await businessNetworkConnection.getAssetRegistry(namespace + '.TransferRequest');
+            const transferRequest = await transferAssetRegistry.get('PACS-0');
+            transferRequest.state.should.equal('PENDING');
+            transferRequest.fromBank.getIdentifier().should.equal(bank0);
+            transferRequest.toBank.getIdentifier().should.equal(bank1);
+            transferRequest.details.currency.should.equal('EURO');
+            transferRequest.details.amount.should.equal(250);
+            transferRequest.details.fromIban.should.equal('GB82WEST12345698765432');
+            transferRequest.details.toIban.should.equal('DE89370400440532013000');
+            transferRequest.details.paymentId.messageId.should.equal('MSG-1');
+            transferRequest.details.paymentId.endToEndId.should.equal('E2E-0');
+            transferRequest.details.paymentId.transactionId.should.equal('PACS-0');
+            (await transferAssetRegistry.get('PACS-1')).toBank.getIdentifier().should.equal(bank2);
+        });
+
+        it('should only allow the debtor agent to import a pacs.008 message', async () => {
+            await useIdentity(bank1);
+            const transaction = factory.newTransaction(namespace, 'ImportPacs008');
+            transaction.message = pacs008('BANKUS33XXX', ['BANKDEFFXXX']);
+            await businessNetworkConnection.submitTransaction(transaction).should.be.rejectedWith(/the debtor agent BANKUS33XXX of credit transfer E2E-0 is not the invoking bank/);
+        });
+
+        it('should reject a pacs.008 message to a creditor agent that is not a BankingParticipant', async () => {
+            await useIdentity(bank0);
+            const transaction = factory.newTransaction(namespace, 'ImportPacs008');
+            transaction.message = pacs008('BANKUS33XXX', ['BANKFRPPXXX']);
+            await businessNetworkConnection.submitTransaction(transaction).should.be.rejectedWith(/the creditor agent BANKFRPPXXX of credit transfer E2E-0 is not a BankingParticipant/);
+        });
+
+        it('should reject a pacs.008 message that is not valid', async () => {
+            await useIdentity(bank0);
+            const transaction = factory.newTransaction(namespace, 'ImportPacs008');
+            transaction.message = pacs008('BANKUS33XXX', ['BANKDEFFXXX']).replace('<ChrgBr>SLEV</ChrgBr>', '');
+            await businessNetworkConnection.submitTransaction(transaction).should.be.rejectedWith(/The pacs.008 message is not valid: Document\/FIToFICstmrCdtTrf\/CdtTrfTxInf\[1\]\/ChrgBr is missing/);
+        });
+
+        it('should export a pacs.002 status report of a rejected TransferRequest', async () => {
+            await useIdentity(bank1);
+            let transaction = factory.newTransaction(namespace, 'RejectTransferRequest');
+            transaction.requestId = '0';
+            transaction.reasonCode = 'INVALID_ACCOUNT';
+            transaction.reasonDescription = 'Account is closed';
+            await businessNetworkConnection.submitTransaction(transaction);
+
+            await useIdentity(bank0);
+            transaction = factory.newTransaction(namespace, 'ExportPacs002');
+            transaction.requestId = '0';
+            const report = await businessNetworkConnection.submitTransaction(transaction);
+
+            report.should.match(/^<\?xml version="1.0" encoding="UTF-8"\?>\n<Document xmlns="urn:iso:std:iso:20022:tech:xsd:pacs.002.001.10">/);
+            report.should.include('<OrgnlTxId>0</OrgnlTxId>');
+            report.should.include('<TxSts>RJCT</TxSts>');
+            report.should.include('<Cd>AC01</Cd>');
+            report.should.include('<AddtlInf>Account is closed</AddtlInf>');
+            report.should.include('<InstgAgt>\n        <FinInstnId>\n          <BICFI>BANKDEFFXXX</BICFI>');
+            report.should.include('<InstdAgt>\n        <FinInstnId>\n          <BICFI>BANKUS33XXX</BICFI>');
+        });
+
+        it('should export a camt.054 notification of the entry a TransferRequest makes on the account held at the bank', async () => {
+            await useIdentity(bank1);
+            const transaction = factory.newTransaction(namespace, 'ExportCamt054');
+            transaction.bank = factory.newRelationship(namespace, 'BankingParticipant', bank1);
+            transaction.requestId = '0';
+            const notification = await businessNetworkConnection.submitTransaction(transaction);
+
+            notification.should.include('<Document xmlns="urn:iso:std:iso:20022:tech:xsd:camt.054.001.08">');
+            notification.should.include('<Amt Ccy="EUR">100.00</Amt>');
+            notification.should.include('<CdtDbtInd>CRDT</CdtDbtInd>');
+            notification.should.include('<Cd>PDNG</Cd>');
+            notification.should.include('<IBAN>DE89370400440532013000</IBAN>');
+        });
+
+        it('should not export a camt.054 notification of a cancelled TransferRequest', async () => {
+            await useIdentity(bank0);
+            let transaction = factory.newTransaction(namespace, 'CancelTransferRequest');
+            transaction.requestId = '2';
+            transaction.reasonCode = 'REQUESTED_BY_CUSTOMER';
+            await businessNetworkConnection.submitTransaction(transaction);
+
+            transaction = factory.newTransaction(namespace, 'ExportCamt054');
+            transaction.bank = factory.newRelationship(namespace, 'BankingParticipant', bank0);
+            transaction.requestId = '2';
+            await businessNetworkConnection.submitTransaction(transaction).should.be.rejectedWith(/TransferRequest with id 2 is in state CANCELLED so makes no entry/);
+        });
+
+        it('should not export a camt.054 notification for a bank that is not a party to the TransferRequest', async () => {
+            await useIdentity('admin');
+            const transaction = factory.newTransaction(namespace, 'ExportCamt054');
+            transaction.bank = factory.newRelationship(namespace, 'BankingParticipant', bank3);
+            transaction.requestId = '0';
+            await businessNetworkConnection.submitTransaction(transaction).should.be.rejectedWith(/BankingParticipant Bank3 is not the fromBank or toBank of TransferRequest with id 0/);
+        });
+
+        it('should prevent a bank exporting a camt.054 notification for another bank', async () => {
+            await useIdentity(bank0);
+            const transaction = factory.newTransaction(namespace, 'ExportCamt054');
+            transaction.bank = factory.newRelationship(namespace, 'BankingParticipant', bank1);
+            transaction.requestId = '0';
+            await businessNetworkConnection.submitTransaction(transaction).should.be.rejectedWith(/does not have .CREATE. access to resource/);
+        });
+    });
+
      /**
      * Transaction Access (ACL rule enforcement)
      */
@@ -587,7 +1394,6 @@ describe('Fund Clearing Network', () => {
             factory = businessNetworkConnection.getBusinessNetwork().getFactory();
             const transaction = factory.newTransaction(namespace, 'CompleteSettlement');
             transaction.batchId = '0';
-            transaction.usdRates = [];
 
             // Use the identity for Bank0.
             await useIdentity(bank3);
@@ -0,0 +1,305 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const rewire = require('rewire');
+const iso20022Rewire = rewire('../lib/iso20022');
+
+const chai = require('chai');
+chai.should();
+
+describe('Transaction logic file "iso20022"', function() {
+
+    const message = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<Document xmlns="urn:iso:std:iso:20022:tech:xsd:pacs.008.001.08">',
+        '  <FIToFICstmrCdtTrf>',
+        '    <GrpHdr><MsgId>MSG-1</MsgId><CreDtTm>2018-01-01T10:00:00Z</CreDtTm><NbOfTxs>2</NbOfTxs><SttlmInf><SttlmMtd>CLRG</SttlmMtd></SttlmInf></GrpHdr>',
+        '    <CdtTrfTxInf>',
+        '      <PmtId><EndToEndId>E2E-1</EndToEndId><TxId>TX-1</TxId></PmtId>',
+        '      <IntrBkSttlmAmt Ccy="EUR">150.25</IntrBkSttlmAmt>',
+        '      <ChrgBr>SLEV</ChrgBr>',
+        '      <Dbtr><Nm>Smith &amp; Sons</Nm></Dbtr>',
+        '      <DbtrAcct><Id><IBAN>GB82WEST12345698765432</IBAN></Id></DbtrAcct>',
+        '      <DbtrAgt><FinInstnId><BICFI>BANKUS33</BICFI></FinInstnId></DbtrAgt>',
+        '      <CdtrAgt><FinInstnId><BICFI>BANKDEFFXXX</BICFI></FinInstnId></CdtrAgt>',
+        '      <Cdtr/>',
+        '      <CdtrAcct><Id><IBAN>DE89370400440532013000</IBAN></Id></CdtrAcct>',
+        '    </CdtTrfTxInf>',
+        '    <CdtTrfTxInf>',
+        '      <PmtId><EndToEndId>E2E-2</EndToEndId></PmtId>',
+        '      <IntrBkSttlmAmt Ccy="JPY">10000</IntrBkSttlmAmt>',
+        '      <ChrgBr>SLEV</ChrgBr>',
+        '      <Dbtr/>',
+        '      <DbtrAcct><Id><IBAN>GB82WEST12345698765432</IBAN></Id></DbtrAcct>',
+        '      <DbtrAgt><FinInstnId><BICFI>BANKUS33XXX</BICFI></FinInstnId></DbtrAgt>',
+        '      <CdtrAgt><FinInstnId><BICFI>BANKGB2LXXX</BICFI></FinInstnId></CdtrAgt>',
+        '      <Cdtr/>',
+        '      <CdtrAcct><Id><IBAN>FR1420041010050500013M02606</IBAN></Id></CdtrAcct>',
+        '    </CdtTrfTxInf>',
+        '  </FIToFICstmrCdtTrf>',
+        '</Document>'
+    ].join('\n');
+
+    /**
+     * Create a stand in for a BankingParticipant
+     * @param {String} bankId identifier of the bank
+     * @param {String} bic BIC of the bank
+     * @return {Object} the bank
+     */
+    function bank(bankId, bic) {
+        return { getIdentifier: function getIdentifier() { return bankId; }, bic: bic };
+    }
+
+    const bank0 = bank('bank0', 'BANKUS33XXX');
+    const bank1 = bank('bank1', 'BANKDEFFXXX');
+
+    describe('#parseXml', function() {
+
+        const testFunction = iso20022Rewire.__get__('parseXml');
+
+        it('should parse elements, attributes and text, skipping comments and processing instructions', function() {
+            const document = testFunction('<?xml version="1.0"?><!-- note --><a:Doc xmlns:a="urn:x"><B c=\'1\' d="&lt;2&gt;">x &amp; &#65;&#x42;</B><E/></a:Doc>');
+            document.name.should.equal('Doc');
+            document.prefix.should.equal('a');
+            document.attributes.should.deep.equal({ 'xmlns:a': 'urn:x' });
+            document.content.map((node) => { return node.name; }).should.deep.equal(['B', 'E']);
+            document.content[0].attributes.should.deep.equal({ c: '1', d: '<2>' });
+            document.content[0].content.should.equal('x & AB');
+            document.content[1].content.should.equal('');
+        });
+
+        it('should reject XML that is not well-formed', function() {
+            (() => { testFunction('<A><B></A></B>'); }).should.throw(/the closing tag of A does not match/);
+            (() => { testFunction('<A><B>'); }).should.throw(/the document is incomplete/);
+            (() => { testFunction('<A/><B/>'); }).should.throw(/there is more than one document element/);
+            (() => { testFunction('text<A/>'); }).should.throw(/there is text outside the document element/);
+            (() => { testFunction('<A>x<B/></A>'); }).should.throw(/element A has mixed content/);
+            (() => { testFunction('<A>&nbsp;</A>'); }).should.throw(/&nbsp; is not a valid reference/);
+            (() => { testFunction('<!DOCTYPE A><A/>'); }).should.throw(/The message is not well-formed XML at position 0/);
+        });
+    });
+
+    describe('#xmlValue', function() {
+
+        const testFunction = iso20022Rewire.__get__('xmlValue');
+        const parseXml = iso20022Rewire.__get__('parseXml');
+
+        it('should get the text of the first descendant along a path', function() {
+            const document = parseXml('<A><B><C>1</C></B><B><C>2</C></B></A>');
+            testFunction(document, 'B/C').should.equal('1');
+            (testFunction(document, 'B/D') === undefined).should.be.true;
+            (testFunction(document, 'B/C/D') === undefined).should.be.true;
+        });
+    });
+
+    describe('#validIban', function() {
+
+        const testFunction = iso20022Rewire.__get__('validIban');
+
+        it('should accept IBANs with valid check digits', function() {
+            testFunction('GB82WEST12345698765432').should.be.true;
+            testFunction('FR1420041010050500013M02606').should.be.true;
+        });
+
+        it('should reject IBANs with invalid check digits or format', function() {
+            testFunction('GB82WEST12345698765433').should.be.false;
+            testFunction('gb82west12345698765432').should.be.false;
+            testFunction('1234567').should.be.false;
+            testFunction(undefined).should.be.false;
+        });
+    });
+
+    describe('#creditTransfers', function() {
+
+        const testFunction = iso20022Rewire.__get__('creditTransfers');
+
+        it('should read the credit transfers of a pacs.008 message', function() {
+            testFunction(message).should.deep.equal([
+                {
+                    transferId: 'TX-1', debtorAgent: 'BANKUS33XXX', creditorAgent: 'BANKDEFFXXX', currency: 'EURO', amount: 150.25,
+                    fromIban: 'GB82WEST12345698765432', toIban: 'DE89370400440532013000', messageId: 'MSG-1', endToEndId: 'E2E-1', transactionId: 'TX-1'
+                },
+                {
+                    transferId: 'E2E-2', debtorAgent: 'BANKUS33XXX', creditorAgent: 'BANKGB2LXXX', currency: 'YEN', amount: 10000,
+                    fromIban: 'GB82WEST12345698765432', toIban: 'FR1420041010050500013M02606', messageId: 'MSG-1', endToEndId: 'E2E-2', transactionId: undefined
+                }
+            ]);
+        });
+
+        it('should accept a message whose elements have a namespace prefix', function() {
+            const prefixed = message.replace(/<(\/?)([A-Za-z])/g, '<$1p:$2').replace('<p:Document xmlns=', '<p:Document xmlns:p=');
+            testFunction(prefixed).should.have.lengthOf(2);
+        });
+
+        it('should reject a document that is not a pacs.008 message', function() {
+            (() => { testFunction(message.replace('pacs.008.001.08', 'pacs.008.001.02')); }).should.throw(/The message is not a pacs.008 document/);
+        });
+
+        it('should reject a message that does not match the schema', function() {
+            (() => { testFunction(message.replace('<ChrgBr>SLEV</ChrgBr>', '')); }).should.throw(/Document\/FIToFICstmrCdtTrf\/CdtTrfTxInf\[1\]\/ChrgBr is missing/);
+            (() => { testFunction(message.replace('<Cdtr/>', '<Cdtr/><Cdtr/>')); }).should.throw(/CdtTrfTxInf\[1\]\/Cdtr occurs more than once/);
+            (() => { testFunction(message.replace('<SttlmMtd>CLRG', '<SttlmMtd>WIRE')); }).should.throw(/GrpHdr\/SttlmInf\/SttlmMtd must be a SettlementMethod1Code/);
+            (() => { testFunction(message.replace('<MsgId>MSG-1</MsgId>', '<MsgId><Id>MSG-1</Id></MsgId>')); }).should.throw(/GrpHdr\/MsgId must be a Max35Text/);
+            (() => { testFunction(message.replace(' Ccy="EUR"', '')); }).should.throw(/CdtTrfTxInf\[1\]\/IntrBkSttlmAmt must have a valid Ccy attribute/);
+        });
+
+        it('should reject elements that the schema does not expect', function() {
+            (() => { testFunction(message.replace('<ChrgBr>SLEV</ChrgBr>', '<ChrgBr>SLEV</ChrgBr><ChrgsInf/>')); }).should.throw(/Document\/FIToFICstmrCdtTrf\/CdtTrfTxInf\[1\]\/ChrgsInf is not expected/);
+            (() => { testFunction(message.replace('<Nm>Smith &amp; Sons</Nm>', '<Nm>Smith &amp; Sons</Nm><PstlAdr><Ctry>GB</Ctry></PstlAdr>')); }).should.throw(/CdtTrfTxInf\[1\]\/Dbtr\/PstlAdr is not expected/);
+        });
+
+        it('should reject elements that are out of sequence', function() {
+            const swapped = message.replace('<IntrBkSttlmAmt Ccy="EUR">150.25</IntrBkSttlmAmt>\n      <ChrgBr>SLEV</ChrgBr>', '<ChrgBr>SLEV</ChrgBr><IntrBkSttlmAmt Ccy="EUR">150.25</IntrBkSttlmAmt>');
+            (() => { testFunction(swapped); }).should.throw(/CdtTrfTxInf\[1\]\/ChrgBr is out of sequence/);
+        });
+
+        it('should reject a message whose number of transactions does not match', function() {
+            (() => { testFunction(message.replace('<NbOfTxs>2', '<NbOfTxs>3')); }).should.throw(/GrpHdr\/NbOfTxs does not match the 2 CdtTrfTxInf/);
+        });
+
+        it('should reject credit transfers that cannot be submitted as TransferRequests', function() {
+            (() => { testFunction(message.replace('"EUR"', '"SEK"')); }).should.throw(/Credit transfer E2E-1 is in SEK, which is not a supported Currency/);
+            (() => { testFunction(message.replace('>150.25<', '>0<')); }).should.throw(/Credit transfer E2E-1 must be for an amount greater than zero/);
+            (() => { testFunction(message.replace('>150.25<', '>150.255<')); }).should.throw(/Credit transfer E2E-1 is for 150.255 EUR, which has more than the 2 decimal places of the currency/);
+            (() => { testFunction(message.replace('>10000<', '>1.5<')); }).should.throw(/Credit transfer E2E-2 is for 1.5 JPY, which has more than the 0 decimal places of the currency/);
+            (() => { testFunction(message.replace('<BICFI>BANKDEFFXXX</BICFI>', '')); }).should.throw(/Credit transfer E2E-1 must identify the debtor and creditor agents by BIC/);
+            (() => { testFunction(message.replace('<DbtrAcct><Id><IBAN>GB82WEST12345698765432</IBAN></Id></DbtrAcct>', '')); }).should.throw(/Credit transfer E2E-1 must identify the debtor and creditor accounts by valid IBANs/);
+        });
+    });
+
+    describe('#pacs002Document', function() {
+
+        const testFunction = iso20022Rewire.__get__('pacs002Document');
+        const xmlDocument = iso20022Rewire.__get__('xmlDocument');
+        const parseXml = iso20022Rewire.__get__('parseXml');
+        const validateIso20022 = iso20022Rewire.__get__('validateIso20022');
+
+        it('should report the status and reason of a rejected TransferRequest', function() {
+            const transferRequest = {
+                getIdentifier: function getIdentifier() { return 'xfer0'; },
+                state: 'ERROR', reasonCode: 'INSUFFICIENT_FUNDS', reasonDescription: 'Funds < amount',
+                details: { currency: 'EURO', amount: 100, fromIban: 'GB82WEST12345698765432', toIban: 'DE89370400440532013000' },
+                fromBank: bank0, toBank: bank1
+            };
+
+            xmlDocument(testFunction(transferRequest, bank0, bank('bank1'), 'MSG-2', new Date('2018-01-01T00:00:00.000Z'))).should.equal([
+                '<?xml version="1.0" encoding="UTF-8"?>',
+                '<Document xmlns="urn:iso:std:iso:20022:tech:xsd:pacs.002.001.10">',
+                '  <FIToFIPmtStsRpt>',
+                '    <GrpHdr>',
+                '      <MsgId>MSG-2</MsgId>',
+                '      <CreDtTm>2018-01-01T00:00:00.000Z</CreDtTm>',
+                '    </GrpHdr>',
+                '    <TxInfAndSts>',
+                '      <OrgnlTxId>xfer0</OrgnlTxId>',
+                '      <TxSts>RJCT</TxSts>',
+                '      <StsRsnInf>',
+                '        <Rsn>',
+                '          <Cd>AM04</Cd>',
+                '        </Rsn>',
+                '        <AddtlInf>Funds &lt; amount</AddtlInf>',
+                '      </StsRsnInf>',
+                '      <InstdAgt>',
+                '        <FinInstnId>',
+                '          <BICFI>BANKUS33XXX</BICFI>',
+                '        </FinInstnId>',
+                '      </InstdAgt>',
+                '    </TxInfAndSts>',
+                '  </FIToFIPmtStsRpt>',
+                '</Document>',
+                ''
+            ].join('\n'));
+        });
+
+        it('should refer to the pacs.008 message an imported TransferRequest came from', function() {
+            const transferRequest = {
+                getIdentifier: function getIdentifier() { return 'E2E-2'; },
+                state: 'COMPLETE',
+                details: { currency: 'EURO', amount: 100, paymentId: { messageId: 'MSG-1', endToEndId: 'E2E-2' } },
+                fromBank: bank0, toBank: bank1
+            };
+
+            const transaction = testFunction(transferRequest, bank0, bank1, 'MSG-2', new Date()).content[0].content[1];
+            transaction.content.map((node) => { return node.name; }).should.deep.equal(['OrgnlGrpInf', 'OrgnlEndToEndId', 'TxSts', 'InstgAgt', 'InstdAgt']);
+            transaction.content[2].content.should.equal('ACSC');
+        });
+
+        it('should export a status report that matches the pacs.002 schema', function() {
+            const transferRequest = {
+                getIdentifier: function getIdentifier() { return 'E2E-2'; },
+                state: 'ERROR', reasonCode: 'OTHER', reasonDescription: 'x'.repeat(200),
+                details: { currency: 'EURO', amount: 100, paymentId: { messageId: 'MSG-1', endToEndId: 'E2E-2', transactionId: 'TX-2' } },
+                fromBank: bank0, toBank: bank1
+            };
+
+            const report = xmlDocument(testFunction(transferRequest, bank0, bank1, 'MSG-2', new Date()));
+            validateIso20022(parseXml(report), 'Pacs002Document', 'Document', 'pacs.002');
+            (() => { validateIso20022(parseXml(report.replace('<TxSts>', '<Foo/><TxSts>')), 'Pacs002Document', 'Document', 'pacs.002'); })
+                .should.throw(/The pacs.002 message is not valid: Document\/FIToFIPmtStsRpt\/TxInfAndSts\[1\]\/Foo is not expected/);
+        });
+    });
+
+    describe('#camt054Document', function() {
+
+        const testFunction = iso20022Rewire.__get__('camt054Document');
+        const xmlValue = iso20022Rewire.__get__('xmlValue');
+        const xmlDocument = iso20022Rewire.__get__('xmlDocument');
+        const parseXml = iso20022Rewire.__get__('parseXml');
+        const validateIso20022 = iso20022Rewire.__get__('validateIso20022');
+
+        const transferRequest = {
+            getIdentifier: function getIdentifier() { return 'PACS-1'; },
+            state: 'PENDING',
+            details: {
+                currency: 'YEN', amount: 10000, fromIban: 'GB82WEST12345698765432', toIban: 'DE89370400440532013000',
+                paymentId: { messageId: 'MSG-1', endToEndId: 'E2E-1', transactionId: 'PACS-1' }
+            },
+            fromBank: bank0, toBank: bank1
+        };
+
+        it('should notify the fromBank of a debit to the debtor account', function() {
+            const notification = testFunction(transferRequest, bank0, bank0, bank1, 'MSG-3', new Date()).content[0].content[1];
+            xmlValue(notification, 'Acct/Id/IBAN').should.equal('GB82WEST12345698765432');
+            xmlValue(notification, 'Acct/Svcr/FinInstnId/BICFI').should.equal('BANKUS33XXX');
+            xmlValue(notification, 'Ntry/Amt').should.equal('10000');
+            xmlValue(notification, 'Ntry/CdtDbtInd').should.equal('DBIT');
+            xmlValue(notification, 'Ntry/Sts/Cd').should.equal('PDNG');
+            xmlValue(notification, 'Ntry/BkTxCd/Domn/Fmly/Cd').should.equal('ICDT');
+            xmlValue(notification, 'Ntry/NtryDtls/TxDtls/Refs/TxId').should.equal('PACS-1');
+        });
+
+        it('should notify the toBank of a booked credit to the creditor account', function() {
+            const completed = Object.assign({}, transferRequest, { state: 'COMPLETE', details: Object.assign({}, transferRequest.details, { currency: 'EURO' }) });
+            const notification = testFunction(completed, bank1, bank0, bank1, 'MSG-3', new Date()).content[0].content[1];
+            xmlValue(notification, 'Acct/Id/IBAN').should.equal('DE89370400440532013000');
+            xmlValue(notification, 'Ntry/Amt').should.equal('10000.00');
+            xmlValue(notification, 'Ntry/CdtDbtInd').should.equal('CRDT');
+            xmlValue(notification, 'Ntry/Sts/Cd').should.equal('BOOK');
+            xmlValue(notification, 'Ntry/BkTxCd/Domn/Fmly/Cd').should.equal('RCDT');
+        });
+
+        it('should export notifications that match the camt.054 schema', function() {
+            for (let [bank, currency] of [[bank0, 'YEN'], [bank1, 'STERLING']]) {
+                const request = Object.assign({}, transferRequest, { details: Object.assign({}, transferRequest.details, { currency: currency, amount: 1234.5 }) });
+                const notification = xmlDocument(testFunction(request, bank, bank0, bank1, 'MSG-3', new Date()));
+                validateIso20022(parseXml(notification), 'Camt054Document', 'Document', 'camt.054');
+            }
+            const notification = xmlDocument(testFunction(transferRequest, bank0, bank0, bank1, 'MSG-3', new Date()));
+            (() => { validateIso20022(parseXml(notification.replace('<CdtDbtInd>DBIT', '<CdtDbtInd>DEBIT')), 'Camt054Document', 'Document', 'camt.054'); })
+                .should.throw(/The camt.054 message is not valid: Document\/BkToCstmrDbtCdtNtfctn\/Ntfctn\[1\]\/Ntry\[1\]\/CdtDbtInd must be a CreditDebitCode/);
+        });
+    });
+});
@@ -87,4 +87,30 @@ describe('PermissionsHelper', function() {
             testFunction(batchTransferRequest, party3).should.equal(false);
         });
     });
+
+    describe('#PartyWithinClearingRecord', function() {
+
+        const party1 = {};
+        party1.getFullyQualifiedIdentifier = function getFullyQualifiedIdentifier(){ return 'id1';};
+
+        const party2 = {};
+        party2.getFullyQualifiedIdentifier = function getFullyQualifiedIdentifier(){ return 'id2';};
+
+        const party3 = {};
+        party3.getFullyQualifiedIdentifier = function getFullyQualifiedIdentifier(){ return 'id3';};
+
+        const clearingRecord  = {
+            parties: [party1, party2]
+        };
+
+        const testFunction = helperRewire.__get__('partyWithinClearingRecord');
+
+        it('should return true if the party is within the ClearingRecord', () => {
+            testFunction(clearingRecord, party2).should.equal(true);
+        });
+
+        it('should return false if the party is not within the ClearingRecord', () => {
+            testFunction(clearingRecord, party3).should.equal(false);
+        });
+    });
 });
\ No newline at end of file
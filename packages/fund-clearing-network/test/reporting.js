@@ -0,0 +1,129 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const rewire = require('rewire');
+const reportingRewire = rewire('../lib/reporting');
+
+const chai = require('chai');
+chai.should();
+
+describe('Transaction logic file "reporting"', function() {
+
+    const bank0 = {};
+    bank0.getIdentifier = function getIdentifier(){ return 'bank0';};
+
+    const bank1 = {};
+    bank1.getIdentifier = function getIdentifier(){ return 'bank1';};
+
+    const bank2 = {};
+    bank2.getIdentifier = function getIdentifier(){ return 'bank2';};
+
+    describe('#currencyTotals', function() {
+
+        const testFunction = reportingRewire.__get__('currencyTotals');
+
+        it('should total the amounts sent and received by the bank in each currency', function() {
+            const transferRequests = [
+                { details: { amount: 100, currency: 'EURO' }, fromBank: bank0, toBank: bank1 },
+                { details: { amount: 50, currency: 'EURO' }, fromBank: bank1, toBank: bank0 },
+                { details: { amount: 25, currency: 'EURO' }, fromBank: bank0, toBank: bank2 },
+                { details: { amount: 200, currency: 'USD' }, fromBank: bank2, toBank: bank0 }
+            ];
+
+            testFunction(transferRequests, 'bank0').should.deep.equal({
+                EURO: { sent: 125, received: 50 },
+                USD: { sent: 0, received: 200 }
+            });
+        });
+
+        it('should return no totals if the bank has no TransferRequests', function() {
+            testFunction([], 'bank0').should.deep.equal({});
+        });
+    });
+
+    describe('#csvField', function() {
+
+        const testFunction = reportingRewire.__get__('csvField');
+
+        it('should return an empty field for a missing value', function() {
+            testFunction(undefined).should.equal('');
+            testFunction(null).should.equal('');
+        });
+
+        it('should format numbers, strings and dates', function() {
+            testFunction(0).should.equal('0');
+            testFunction(-12.5).should.equal('-12.5');
+            testFunction('bank0').should.equal('bank0');
+            testFunction(new Date('2018-01-01T00:00:00.000Z')).should.equal('2018-01-01T00:00:00.000Z');
+        });
+
+        it('should quote a field that contains a separator, quote or line break', function() {
+            testFunction('Bank, Inc').should.equal('"Bank, Inc"');
+            testFunction('the "bank"').should.equal('"the ""bank"""');
+            testFunction('bank\n0').should.equal('"bank\n0"');
+        });
+    });
+
+    describe('#statementCSV', function() {
+
+        const testFunction = reportingRewire.__get__('statementCSV');
+
+        const header = 'bank,from,to,record,reference,counterparty,currency,sent,received,net,state,timestamp';
+        const window = '2018-01-01T00:00:00.000Z,2018-01-02T00:00:00.000Z';
+
+        it('should write a row for each currency total, settled batch and outstanding request', function() {
+            const statement = {
+                bank: bank0,
+                from: new Date('2018-01-01T00:00:00.000Z'),
+                to: new Date('2018-01-02T00:00:00.000Z'),
+                totals: [
+                    { currency: 'EURO', sent: 125, received: 50, net: -75 },
+                    { currency: 'USD', sent: 0, received: 200, net: 200 }
+                ],
+                settledBatches: [
+                    { batchId: 'batch0', state: 'PENDING_POST_PROCESS', settledAt: new Date('2018-01-01T12:00:00.000Z') }
+                ],
+                outstandingRequests: [
+                    { requestId: 'xfer0', state: 'PENDING', details: { amount: 100, currency: 'EURO' }, fromBank: bank0, toBank: bank1 },
+                    { requestId: 'xfer1', state: 'PROCESSING', details: { amount: 200, currency: 'USD' }, fromBank: bank2, toBank: bank0 }
+                ]
+            };
+
+            testFunction(statement).should.equal([
+                header,
+                'bank0,' + window + ',TOTAL,,,EURO,125,50,-75,,',
+                'bank0,' + window + ',TOTAL,,,USD,0,200,200,,',
+                'bank0,' + window + ',SETTLED_BATCH,batch0,,,,,,PENDING_POST_PROCESS,2018-01-01T12:00:00.000Z',
+                'bank0,' + window + ',OUTSTANDING_REQUEST,xfer0,bank1,EURO,100,,,PENDING,',
+                'bank0,' + window + ',OUTSTANDING_REQUEST,xfer1,bank2,USD,,200,,PROCESSING,',
+                ''
+            ].join('\n'));
+        });
+
+        it('should write only the header for a statement with no activity', function() {
+            const statement = {
+                bank: bank0,
+                from: new Date('2018-01-01T00:00:00.000Z'),
+                to: new Date('2018-01-02T00:00:00.000Z'),
+                totals: [],
+                settledBatches: [],
+                outstandingRequests: []
+            };
+
+            testFunction(statement).should.equal(header + '\n');
+        });
+    });
+});
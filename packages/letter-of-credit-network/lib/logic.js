@@ -14,7 +14,186 @@
 
 'use strict';
 
-/* global getFactory getAssetRegistry getParticipantRegistry emit */
+/* global getFactory getSerializer getAssetRegistry getParticipantRegistry getCurrentParticipant emit */
+
+const REQUIRED_DOCUMENTS = ['BILL_OF_LADING', 'COMMERCIAL_INVOICE', 'INSURANCE_CERTIFICATE', 'PACKING_LIST'];
+const APPROVAL_ROLES = ['APPLICANT', 'BENEFICIARY', 'ISSUING_BANK', 'ADVISING_BANK'];
+const BANK_ROLES = ['ISSUING_BANK', 'ADVISING_BANK'];
+const LEGACY_NAMESPACE = 'org.example.loc';
+
+/**
+ * Get the quorums of the approval policy of a letter, which default to one
+ * approval from each role
+ * @param {org.tradechain.loc.LetterOfCredit} letter - the letter of credit
+ * @return {org.tradechain.loc.RoleQuorum[]} the quorum of each role that must approve
+ */
+function approvalQuorums(letter) {
+    if (letter.approvalPolicy) {
+        return letter.approvalPolicy.quorums;
+    }
+    return APPROVAL_ROLES.map((role) => ({ role: role, quorum: 1 }));
+}
+
+/**
+ * Check that an approval policy names each role once and needs at least one
+ * approval from it
+ * @param {org.tradechain.loc.ApprovalPolicy} policy - the approval policy
+ */
+function checkApprovalPolicy(policy) {
+    const roles = [];
+    policy.quorums.forEach((quorum) => {
+        if (roles.includes(quorum.role)) {
+            throw new Error('The approval policy names the ' + quorum.role + ' role more than once');
+        } else if (quorum.quorum < 1) {
+            throw new Error('The quorum of the ' + quorum.role + ' role must be at least 1');
+        }
+        roles.push(quorum.role);
+    });
+}
+
+/**
+ * Check whether a person is one of the delegates of a quorum
+ * @param {org.tradechain.loc.RoleQuorum} quorum - the quorum of a role
+ * @param {org.tradechain.loc.Person} person - the person
+ * @return {Boolean} true if the person is a delegate of the role
+ */
+function quorumDelegate(quorum, person) {
+    return person.getType() === 'BankEmployee' && (quorum.delegates || []).some((delegate) => delegate.getIdentifier() === person.getIdentifier());
+}
+
+/**
+ * Check whether a person is a delegate of any role in the approval policy of
+ * a letter. Used by the access control rules for delegates.
+ * @param {org.tradechain.loc.LetterOfCredit} letter - the letter of credit
+ * @param {org.tradechain.loc.Person} person - the person
+ * @return {Boolean} true if the person is a delegate in the approval policy
+ */
+function approvalDelegate(letter, person) { // eslint-disable-line no-unused-vars
+    return !!letter.approvalPolicy && letter.approvalPolicy.quorums.some((quorum) => quorumDelegate(quorum, person));
+}
+
+/**
+ * Check that a person named by a transaction is the participant submitting
+ * it. The network admin can submit transactions on behalf of any person.
+ * @param {org.tradechain.loc.Person} person - the person named by the transaction
+ */
+function checkSubmitter(person) {
+    const participant = getCurrentParticipant();
+    if (participant && participant.getFullyQualifiedType() === 'org.hyperledger.composer.system.NetworkAdmin') {
+        return;
+    } else if (!participant || participant.getFullyQualifiedIdentifier() !== person.getFullyQualifiedIdentifier()) {
+        throw new Error('Only ' + person.getIdentifier() + ' can submit this transaction on their own behalf');
+    }
+}
+
+/**
+ * Get the roles of the approval policy of a letter that a person can approve
+ * for, either as a party to the letter or as a delegate. A delegate approves
+ * only for the roles it stands in for, and not for the role of its own bank.
+ * @param {org.tradechain.loc.LetterOfCredit} letter - the letter of credit
+ * @param {org.tradechain.loc.Person} person - the person approving the letter
+ * @return {String[]} the roles the person approves for
+ */
+function approvalRoles(letter, person) {
+    const quorums = approvalQuorums(letter);
+    const delegated = quorums.filter((quorum) => quorumDelegate(quorum, person));
+    if (delegated.length > 0) {
+        return delegated.map((quorum) => quorum.role);
+    }
+
+    const roles = [];
+    if (person.getType() === 'Customer') {
+        if (person.getIdentifier() === letter.applicant.getIdentifier()) {
+            roles.push('APPLICANT');
+        }
+        if (person.getIdentifier() === letter.beneficiary.getIdentifier()) {
+            roles.push('BENEFICIARY');
+        }
+    } else if (person.getType() === 'BankEmployee') {
+        if (person.bank.getIdentifier() === letter.issuingBank.getIdentifier()) {
+            roles.push('ISSUING_BANK');
+        }
+        if (person.bank.getIdentifier() === letter.exportingBank.getIdentifier()) {
+            roles.push('ADVISING_BANK');
+        }
+    }
+
+    return quorums.filter((quorum) => roles.includes(quorum.role)).map((quorum) => quorum.role);
+}
+
+/**
+ * Get the roles an existing approval of a letter counts towards. Approvals
+ * recorded before the letter had a policy are matched to their roles again.
+ * @param {org.tradechain.loc.LetterOfCredit} letter - the letter of credit
+ * @param {org.tradechain.loc.Person} approvingParty - the person who approved the letter
+ * @return {String[]} the roles the approval counts towards
+ */
+function approvedRoles(letter, approvingParty) {
+    const approval = (letter.approvals || []).find((approval) => approval.approvingParty.getFullyQualifiedIdentifier() === approvingParty.getFullyQualifiedIdentifier());
+    if (approval) {
+        return approval.roles;
+    }
+    try {
+        return approvalRoles(letter, approvingParty);
+    } catch (err) {
+        // ignore error as they don't have rights to access that participant
+        return [];
+    }
+}
+
+/**
+ * Count the approvals of a letter towards a role
+ * @param {org.tradechain.loc.LetterOfCredit} letter - the letter of credit
+ * @param {String} role - the role
+ * @return {Integer} the number of approvals for the role
+ */
+function approvalCount(letter, role) {
+    return letter.approval.filter((approvingParty) => approvedRoles(letter, approvingParty).includes(role)).length;
+}
+
+/**
+ * Check whether every role of the approval policy of a letter has approved it
+ * @param {org.tradechain.loc.LetterOfCredit} letter - the letter of credit
+ * @return {Boolean} true if the quorum of every role has been met
+ */
+function policyMet(letter) {
+    return approvalQuorums(letter).every((quorum) => approvalCount(letter, quorum.role) >= quorum.quorum);
+}
+
+/**
+ * Record the approval of a person on a letter
+ * @param {org.tradechain.loc.LetterOfCredit} letter - the letter of credit
+ * @param {org.tradechain.loc.Person} person - the person approving the letter
+ * @param {String[]} roles - the roles the approval counts towards
+ */
+function recordApproval(letter, person, roles) {
+    const factory = getFactory();
+    const namespace = 'org.tradechain.loc';
+
+    const approval = factory.newConcept(namespace, 'Approval');
+    approval.approvingParty = factory.newRelationship(namespace, person.getType(), person.getIdentifier());
+    approval.roles = roles;
+    letter.approval.push(approval.approvingParty);
+    letter.approvals = (letter.approvals || []).concat([approval]);
+}
+
+/**
+ * Compare two sets of rules by their ruleId
+ * @param {org.tradechain.loc.Rule[]} oldRules - the previous rules
+ * @param {org.tradechain.loc.Rule[]} newRules - the new rules
+ * @return {Object} the rules that were added, removed and changed (with their new text)
+ */
+function diffRules(oldRules, newRules) {
+    const findRule = (rules, ruleId) => rules.find((rule) => rule.ruleId === ruleId);
+    return {
+        added: newRules.filter((rule) => !findRule(oldRules, rule.ruleId)),
+        removed: oldRules.filter((rule) => !findRule(newRules, rule.ruleId)),
+        changed: newRules.filter((rule) => {
+            const oldRule = findRule(oldRules, rule.ruleId);
+            return oldRule && oldRule.ruleText !== rule.ruleText;
+        })
+    };
+}
 
 /**
  * Create the LOC asset
@@ -32,9 +211,20 @@ async function initialApplication(application) { // eslint-disable-line no-unuse
     letter.exportingBank = factory.newRelationship(namespace, 'Bank', application.beneficiary.bank.getIdentifier());
     letter.rules = application.rules;
     letter.productDetails = application.productDetails;
+    letter.tolerancePercentage = application.tolerancePercentage;
+    letter.latestShipmentDate = application.latestShipmentDate;
+    letter.expiryDate = application.expiryDate;
+    if (application.approvalPolicy) {
+        checkApprovalPolicy(application.approvalPolicy);
+    }
+    letter.approvalPolicy = application.approvalPolicy;
     letter.evidence = [];
-    letter.approval = [factory.newRelationship(namespace, 'Customer', application.applicant.getIdentifier())];
+    letter.approval = [];
+    letter.approvals = [];
+    recordApproval(letter, application.applicant, approvalRoles(letter, application.applicant));
     letter.status = 'AWAITING_APPROVAL';
+    letter.termsVersion = 0;
+    letter.amendments = [];
 
     //save the application
     const assetRegistry = await getAssetRegistry(letter.getFullyQualifiedType());
@@ -47,7 +237,9 @@ async function initialApplication(application) { // eslint-disable-line no-unuse
 }
 
 /**
- * Update the LOC to show that it has been approved by a given person
+ * Update the LOC to show that it has been approved by a given person, and
+ * mark it as approved once the quorum of every role of its approval policy
+ * has been met
  * @param {org.tradechain.loc.Approve} approve - the Approve transaction
  * @transaction
  */
@@ -55,31 +247,33 @@ async function approve(approveRequest) { // eslint-disable-line no-unused-vars
     const factory = getFactory();
     const namespace = 'org.tradechain.loc';
 
+    checkSubmitter(approveRequest.approvingParty);
     let letter = approveRequest.loc;
+    const termsVersion = letter.termsVersion || 0;
+    const quorums = approvalQuorums(letter);
+    const roles = approvalRoles(letter, approveRequest.approvingParty);
+    const quorumMet = (role) => approvalCount(letter, role) >= quorums.find((quorum) => quorum.role === role).quorum;
 
-    if (letter.status === 'CLOSED' || letter.status === 'REJECTED') {
+    if (letter.status === 'CLOSED' || letter.status === 'REJECTED' || letter.status === 'EXPIRED') {
         throw new Error ('This letter of credit has already been closed');
-    } else if (letter.approval.length === 4) {
-        throw new Error ('All four parties have already approved this letter of credit');
+    } else if (approveRequest.termsVersion !== termsVersion) {
+        throw new Error ('This approval is for version ' + approveRequest.termsVersion + ' of the terms, but the current version is ' + termsVersion);
+    } else if (letter.status !== 'AWAITING_APPROVAL') {
+        throw new Error ('This letter of credit has already been approved');
     } else if (letter.approval.includes(approveRequest.approvingParty)) {
         throw new Error ('This person has already approved this letter of credit');
-    } else if (approveRequest.approvingParty.getType() === 'BankEmployee') {
-        letter.approval.forEach((approvingParty) => {
-            let bankApproved = false;
-            try {
-                bankApproved = approvingParty.getType() === 'BankEmployee' && approvingParty.bank.getIdentifier() === approveRequest.approvingParty.bank.getIdentifier();
-            } catch (err) {
-                // ignore error as they don't have rights to access that participant
-            }
-            if (bankApproved) {
-                throw new Error('Your bank has already approved of this request');
-            }
-        });
+    } else if (roles.length === 0) {
+        throw new Error ('This person has no role in the approval policy of this letter of credit');
+    } else if (roles.every(quorumMet)) {
+        if (roles.some((role) => BANK_ROLES.includes(role))) {
+            throw new Error('Your bank has already approved of this request');
+        }
+        throw new Error('Your role has already approved of this request');
     }
 
-    letter.approval.push(factory.newRelationship(namespace, approveRequest.approvingParty.getType(), approveRequest.approvingParty.getIdentifier()));
-    // update the status of the letter if everyone has approved
-    if (letter.approval.length === 4) {
+    recordApproval(letter, approveRequest.approvingParty, roles);
+    // update the status of the letter if every role has approved
+    if (policyMet(letter)) {
         letter.status = 'APPROVED';
     }
 
@@ -91,6 +285,8 @@ async function approve(approveRequest) { // eslint-disable-line no-unused-vars
     const approveEvent = factory.newEvent(namespace, 'ApproveEvent');
     approveEvent.loc = approveRequest.loc;
     approveEvent.approvingParty = approveRequest.approvingParty;
+    approveEvent.termsVersion = termsVersion;
+    approveEvent.roles = roles;
     emit(approveEvent);
 }
 
@@ -105,7 +301,7 @@ async function reject(rejectRequest) { // eslint-disable-line no-unused-vars
 
     let letter = rejectRequest.loc;
 
-    if (letter.status === 'CLOSED' || letter.status === 'REJECTED') {
+    if (letter.status === 'CLOSED' || letter.status === 'REJECTED' || letter.status === 'EXPIRED') {
         throw new Error('This letter of credit has already been closed');
     } else if (letter.status === 'APPROVED') {
         throw new Error('This letter of credit has already been approved');
@@ -126,7 +322,8 @@ async function reject(rejectRequest) { // eslint-disable-line no-unused-vars
 }
 
 /**
- * Suggest changes to the current rules in the LOC
+ * Suggest changes to the current rules in the LOC, recording them as a new
+ * numbered amendment so that the previous terms are kept
  * @param {org.tradechain.loc.SuggestChanges} suggestChanges - the SuggestChanges transaction
  * @transaction
  */
@@ -134,19 +331,41 @@ async function suggestChanges(changeRequest) { // eslint-disable-line no-unused-
     const factory = getFactory();
     const namespace = 'org.tradechain.loc';
 
+    checkSubmitter(changeRequest.suggestingParty);
     let letter = changeRequest.loc;
+    const roles = approvalRoles(letter, changeRequest.suggestingParty);
 
-    if (letter.status === 'CLOSED' || letter.status === 'REJECTED') {
+    if (letter.status === 'CLOSED' || letter.status === 'REJECTED' || letter.status === 'EXPIRED') {
         throw new Error ('This letter of credit has already been closed');
     } else if (letter.status === 'APPROVED') {
         throw new Error('This letter of credit has already been approved');
     } else if (letter.status === 'SHIPPED' || letter.status === 'RECEIVED' || letter.status === 'READY_FOR_PAYMENT') {
         throw new Error ('The product has already been shipped');
+    } else if (roles.length === 0) {
+        throw new Error ('This person has no role in the approval policy of this letter of credit');
+    }
+
+    const diff = diffRules(letter.rules, changeRequest.rules);
+    if (diff.added.length === 0 && diff.removed.length === 0 && diff.changed.length === 0) {
+        throw new Error ('The suggested rules are the same as the current rules');
     } else {
+        const amendment = factory.newConcept(namespace, 'Amendment');
+        amendment.version = (letter.termsVersion || 0) + 1;
+        amendment.rules = changeRequest.rules;
+        amendment.addedRules = diff.added;
+        amendment.removedRules = diff.removed;
+        amendment.changedRules = diff.changed;
+        amendment.proposedBy = factory.newRelationship(namespace, changeRequest.suggestingParty.getType(), changeRequest.suggestingParty.getIdentifier());
+        amendment.proposedAt = changeRequest.timestamp;
+
         letter.rules = changeRequest.rules;
+        letter.termsVersion = amendment.version;
+        letter.amendments = (letter.amendments || []).concat([amendment]);
         // the rules have been changed - clear the approval array and update status
-        letter.approval = [changeRequest.suggestingParty];
-        letter.status = 'AWAITING_APPROVAL';
+        letter.approval = [];
+        letter.approvals = [];
+        recordApproval(letter, changeRequest.suggestingParty, roles);
+        letter.status = policyMet(letter) ? 'APPROVED' : 'AWAITING_APPROVAL';
 
         // update the loc with the new rules
         const assetRegistry = await getAssetRegistry(changeRequest.loc.getFullyQualifiedType());
@@ -157,10 +376,22 @@ async function suggestChanges(changeRequest) { // eslint-disable-line no-unused-
         changeEvent.loc = changeRequest.loc;
         changeEvent.rules = changeRequest.rules;
         changeEvent.suggestingParty = changeRequest.suggestingParty;
+        changeEvent.amendment = amendment;
         emit(changeEvent);
     }
 }
 
+/**
+ * Check that a letter has not expired by the time of a transaction
+ * @param {org.tradechain.loc.LetterOfCredit} letter - the letter of credit
+ * @param {Date} timestamp - the time of the transaction
+ */
+function checkNotExpired(letter, timestamp) {
+    if (letter.expiryDate && timestamp > letter.expiryDate) {
+        throw new Error('This letter of credit expired on ' + letter.expiryDate.toISOString());
+    }
+}
+
 /**
  * "Ship" the product
  * @param {org.tradechain.loc.ShipProduct} shipProduct - the ShipProduct transaction
@@ -171,8 +402,11 @@ async function shipProduct(shipRequest) { // eslint-disable-line no-unused-vars
     const namespace = 'org.tradechain.loc';
 
     let letter = shipRequest.loc;
+    checkNotExpired(letter, shipRequest.timestamp);
 
-    if (letter.status === 'APPROVED') {
+    if (letter.status === 'APPROVED' && letter.latestShipmentDate && shipRequest.timestamp > letter.latestShipmentDate) {
+        throw new Error('The product had to be shipped by ' + letter.latestShipmentDate.toISOString());
+    } else if (letter.status === 'APPROVED') {
         letter.status = 'SHIPPED';
         letter.evidence.push(shipRequest.evidence);
 
@@ -186,7 +420,7 @@ async function shipProduct(shipRequest) { // eslint-disable-line no-unused-vars
         emit(shipEvent);
     } else if (letter.status === 'AWAITING_APPROVAL') {
         throw new Error ('This letter needs to be fully approved before the product can be shipped');
-    } else if (letter.status === 'CLOSED' || letter.status === 'REJECTED') {
+    } else if (letter.status === 'CLOSED' || letter.status === 'REJECTED' || letter.status === 'EXPIRED') {
         throw new Error ('This letter of credit has already been closed');
     } else {
         throw new Error ('The product has already been shipped');
@@ -217,7 +451,7 @@ async function receiveProduct(receiveRequest) { // eslint-disable-line no-unused
         emit(receiveEvent);
     } else if (letter.status === 'AWAITING_APPROVAL' || letter.status === 'APPROVED'){
         throw new Error('The product needs to be shipped before it can be received');
-    } else if (letter.status === 'CLOSED' || letter.status === 'REJECTED') {
+    } else if (letter.status === 'CLOSED' || letter.status === 'REJECTED' || letter.status === 'EXPIRED') {
         throw new Error ('This letter of credit has already been closed');
     } else {
         throw new Error('The product has already been received');
@@ -226,7 +460,191 @@ async function receiveProduct(receiveRequest) { // eslint-disable-line no-unused
 
 
 /**
- * Mark a given letter as "ready for payment"
+ * Find a discrepancy that is still open on a letter
+ * @param {org.tradechain.loc.LetterOfCredit} letter - the letter of credit
+ * @param {String} discrepancyId - the id of the discrepancy
+ * @return {org.tradechain.loc.Discrepancy} the discrepancy
+ */
+function findOpenDiscrepancy(letter, discrepancyId) {
+    const discrepancy = (letter.discrepancies || []).find((discrepancy) => discrepancy.discrepancyId === discrepancyId);
+    if (!discrepancy) {
+        throw new Error('There is no discrepancy ' + discrepancyId + ' on this letter of credit');
+    } else if (discrepancy.status !== 'OPEN') {
+        throw new Error('Discrepancy ' + discrepancyId + ' has already been ' + discrepancy.status.toLowerCase());
+    }
+    return discrepancy;
+}
+
+/**
+ * Present the documents for the shipped product; a document replaces any
+ * document of the same type that was presented before
+ * @param {org.tradechain.loc.PresentDocuments} presentDocuments - the PresentDocuments transaction
+ * @transaction
+ */
+async function presentDocuments(presentRequest) { // eslint-disable-line no-unused-vars
+    const factory = getFactory();
+    const namespace = 'org.tradechain.loc';
+
+    let letter = presentRequest.loc;
+
+    if (letter.status === 'CLOSED' || letter.status === 'REJECTED' || letter.status === 'EXPIRED') {
+        throw new Error('This letter of credit has already been closed');
+    } else if (letter.status !== 'SHIPPED' && letter.status !== 'RECEIVED') {
+        throw new Error('The documents can only be presented once the product has been shipped');
+    } else if (letter.documentsExamined) {
+        throw new Error('The documents have already been examined');
+    }
+
+    const documents = (letter.documents || []).filter((document) => {
+        return !presentRequest.documents.some((presented) => presented.documentType === document.documentType);
+    });
+    letter.documents = documents.concat(presentRequest.documents);
+
+    // update the documents of the loc
+    const assetRegistry = await getAssetRegistry(presentRequest.loc.getFullyQualifiedType());
+    await assetRegistry.update(letter);
+
+    // emit event
+    const presentEvent = factory.newEvent(namespace, 'PresentDocumentsEvent');
+    presentEvent.loc = presentRequest.loc;
+    presentEvent.documents = presentRequest.documents;
+    emit(presentEvent);
+}
+
+/**
+ * Examine the presented documents and record any discrepancies found in them
+ * @param {org.tradechain.loc.ExamineDocuments} examineDocuments - the ExamineDocuments transaction
+ * @transaction
+ */
+async function examineDocuments(examineRequest) { // eslint-disable-line no-unused-vars
+    const factory = getFactory();
+    const namespace = 'org.tradechain.loc';
+
+    let letter = examineRequest.loc;
+
+    if (letter.status === 'CLOSED' || letter.status === 'REJECTED' || letter.status === 'EXPIRED') {
+        throw new Error('This letter of credit has already been closed');
+    } else if (letter.documentsExamined) {
+        throw new Error('The documents have already been examined');
+    }
+    const missing = REQUIRED_DOCUMENTS.filter((documentType) => {
+        return !(letter.documents || []).some((document) => document.documentType === documentType);
+    });
+    if (missing.length > 0) {
+        throw new Error('The documents cannot be examined until they have all been presented, missing: ' + missing.join(', '));
+    }
+
+    examineRequest.discrepancies.forEach((discrepancy) => {
+        discrepancy.status = 'OPEN';
+    });
+    letter.discrepancies = examineRequest.discrepancies;
+    letter.documentsExamined = true;
+
+    // update the discrepancies of the loc
+    const assetRegistry = await getAssetRegistry(examineRequest.loc.getFullyQualifiedType());
+    await assetRegistry.update(letter);
+
+    // emit event
+    const examineEvent = factory.newEvent(namespace, 'ExamineDocumentsEvent');
+    examineEvent.loc = examineRequest.loc;
+    examineEvent.discrepancies = examineRequest.discrepancies;
+    emit(examineEvent);
+}
+
+/**
+ * Cure a discrepancy by presenting a corrected document in place of the
+ * document that the discrepancy was found in
+ * @param {org.tradechain.loc.CureDiscrepancy} cureDiscrepancy - the CureDiscrepancy transaction
+ * @transaction
+ */
+async function cureDiscrepancy(cureRequest) { // eslint-disable-line no-unused-vars
+    const factory = getFactory();
+    const namespace = 'org.tradechain.loc';
+
+    let letter = cureRequest.loc;
+
+    if (letter.status === 'CLOSED' || letter.status === 'REJECTED' || letter.status === 'EXPIRED') {
+        throw new Error('This letter of credit has already been closed');
+    }
+    const discrepancy = findOpenDiscrepancy(letter, cureRequest.discrepancyId);
+    if (cureRequest.document.documentType !== discrepancy.documentType) {
+        throw new Error('Discrepancy ' + discrepancy.discrepancyId + ' can only be cured with a ' + discrepancy.documentType + ' document');
+    }
+
+    discrepancy.status = 'CURED';
+    letter.documents = letter.documents.filter((document) => document.documentType !== discrepancy.documentType).concat([cureRequest.document]);
+
+    // update the discrepancies of the loc
+    const assetRegistry = await getAssetRegistry(cureRequest.loc.getFullyQualifiedType());
+    await assetRegistry.update(letter);
+
+    // emit event
+    const cureEvent = factory.newEvent(namespace, 'CureDiscrepancyEvent');
+    cureEvent.loc = cureRequest.loc;
+    cureEvent.discrepancyId = cureRequest.discrepancyId;
+    cureEvent.document = cureRequest.document;
+    emit(cureEvent);
+}
+
+/**
+ * Waive a discrepancy, accepting the document that it was found in
+ * @param {org.tradechain.loc.WaiveDiscrepancy} waiveDiscrepancy - the WaiveDiscrepancy transaction
+ * @transaction
+ */
+async function waiveDiscrepancy(waiveRequest) { // eslint-disable-line no-unused-vars
+    const factory = getFactory();
+    const namespace = 'org.tradechain.loc';
+
+    let letter = waiveRequest.loc;
+
+    if (letter.status === 'CLOSED' || letter.status === 'REJECTED' || letter.status === 'EXPIRED') {
+        throw new Error('This letter of credit has already been closed');
+    }
+    findOpenDiscrepancy(letter, waiveRequest.discrepancyId).status = 'WAIVED';
+
+    // update the discrepancies of the loc
+    const assetRegistry = await getAssetRegistry(waiveRequest.loc.getFullyQualifiedType());
+    await assetRegistry.update(letter);
+
+    // emit event
+    const waiveEvent = factory.newEvent(namespace, 'WaiveDiscrepancyEvent');
+    waiveEvent.loc = waiveRequest.loc;
+    waiveEvent.discrepancyId = waiveRequest.discrepancyId;
+    emit(waiveEvent);
+}
+
+/**
+ * Move the funds for a drawing on a letter: the applicant's account is debited
+ * by the issuing bank, which pays the exporting bank, which credits the
+ * beneficiary's account. The applicant and the issuing bank must both have
+ * the funds for the drawing.
+ * @param {org.tradechain.loc.LetterOfCredit} letter - the letter of credit
+ * @param {Double} amount - the amount of the drawing
+ */
+async function moveFunds(letter, amount) {
+    const namespace = 'org.tradechain.loc';
+
+    if ((letter.applicant.balance || 0) < amount) {
+        throw new Error('The applicant has insufficient funds for the drawing of ' + amount);
+    } else if ((letter.issuingBank.balance || 0) < amount) {
+        throw new Error('The issuing bank has insufficient funds for the drawing of ' + amount);
+    }
+    letter.applicant.balance = (letter.applicant.balance || 0) - amount;
+    letter.issuingBank.balance = (letter.issuingBank.balance || 0) - amount;
+    letter.exportingBank.balance = (letter.exportingBank.balance || 0) + amount;
+    letter.beneficiary.balance = (letter.beneficiary.balance || 0) + amount;
+
+    const customerRegistry = await getParticipantRegistry(namespace + '.Customer');
+    await customerRegistry.updateAll([letter.applicant, letter.beneficiary]);
+    const bankRegistry = await getParticipantRegistry(namespace + '.Bank');
+    await bankRegistry.updateAll([letter.issuingBank, letter.exportingBank]);
+}
+
+/**
+ * Pay a drawing on a given letter, and mark it as "ready for payment" once
+ * the value of the product has been drawn. The value is the quantity times
+ * the price per unit, and the tolerance percentage allows the drawings to
+ * add up to that much more or less than the value.
  * @param {org.tradechain.loc.ReadyForPayment} readyForPayment - the ReadyForPayment transaction
  * @transaction
  */
@@ -235,9 +653,37 @@ async function readyForPayment(paymentRequest) { // eslint-disable-line no-unuse
     const namespace = 'org.tradechain.loc';
 
     let letter = paymentRequest.loc;
-
-    if (letter.status === 'RECEIVED') {
-        letter.status = 'READY_FOR_PAYMENT';
+    checkNotExpired(letter, paymentRequest.timestamp);
+    const openDiscrepancy = (letter.discrepancies || []).find((discrepancy) => discrepancy.status === 'OPEN');
+
+    if (letter.status === 'RECEIVED' && !letter.documentsExamined) {
+        throw new Error('The payment cannot be made until the documents have been presented and examined');
+    } else if (letter.status === 'RECEIVED' && openDiscrepancy) {
+        throw new Error('The payment cannot be made until discrepancy ' + openDiscrepancy.discrepancyId + ' has been cured or waived');
+    } else if (letter.status === 'RECEIVED') {
+        const value = letter.productDetails.quantity * letter.productDetails.pricePerUnit;
+        const tolerance = value * (letter.tolerancePercentage || 0) / 100;
+        const drawn = letter.amountDrawn || 0;
+        const available = value + tolerance - drawn;
+        let amount = paymentRequest.amount;
+        if (amount === undefined || amount === null) {
+            amount = Math.max(value - drawn, 0);
+        }
+        if (amount <= 0) {
+            throw new Error('The amount of a drawing must be positive');
+        } else if (amount > available) {
+            throw new Error('The drawing of ' + amount + ' exceeds the available amount of ' + available);
+        }
+
+        await moveFunds(letter, amount);
+        const drawing = factory.newConcept(namespace, 'Drawing');
+        drawing.amount = amount;
+        drawing.timestamp = paymentRequest.timestamp;
+        letter.drawings = (letter.drawings || []).concat([drawing]);
+        letter.amountDrawn = drawn + amount;
+        if (letter.amountDrawn >= value - tolerance) {
+            letter.status = 'READY_FOR_PAYMENT';
+        }
 
         // update the status of the loc
         const assetRegistry = await getAssetRegistry(paymentRequest.loc.getFullyQualifiedType());
@@ -246,8 +692,10 @@ async function readyForPayment(paymentRequest) { // eslint-disable-line no-unuse
         // emit event
         const paymentEvent = factory.newEvent(namespace, 'ReadyForPaymentEvent');
         paymentEvent.loc = paymentRequest.loc;
+        paymentEvent.amount = amount;
+        paymentEvent.amountDrawn = letter.amountDrawn;
         emit(paymentEvent);
-    } else if (letter.status === 'CLOSED' || letter.status === 'REJECTED') {
+    } else if (letter.status === 'CLOSED' || letter.status === 'REJECTED' || letter.status === 'EXPIRED') {
         throw new Error('This letter of credit has already been closed');
     } else if (letter.status === 'READY_FOR_PAYMENT') {
         throw new Error('The payment has already been made');
@@ -280,13 +728,122 @@ async function close(closeRequest) { // eslint-disable-line no-unused-vars
         closeEvent.loc = closeRequest.loc;
         closeEvent.closeReason = closeRequest.closeReason;
         emit(closeEvent);
-    } else if (letter.status === 'CLOSED' || letter.status === 'REJECTED') {
+    } else if (letter.status === 'CLOSED' || letter.status === 'REJECTED' || letter.status === 'EXPIRED') {
         throw new Error('This letter of credit has already been closed');
     } else {
         throw new Error('Cannot close this letter of credit until it is fully approved and the product has been received by the applicant');
     }
 }
 
+/**
+ * Expire the letters that have passed their expiry date before being paid,
+ * or their latest shipment date before the product was shipped
+ * @param {org.tradechain.loc.ExpireLetters} expireLetters - the ExpireLetters transaction
+ * @transaction
+ */
+async function expireLetters(expireRequest) { // eslint-disable-line no-unused-vars
+    const factory = getFactory();
+    const namespace = 'org.tradechain.loc';
+
+    const assetRegistry = await getAssetRegistry(namespace + '.LetterOfCredit');
+    const letters = await assetRegistry.getAll();
+    const expired = [];
+    letters.forEach((letter) => {
+        if (['READY_FOR_PAYMENT', 'CLOSED', 'REJECTED', 'EXPIRED'].indexOf(letter.status) !== -1) {
+            return;
+        } else if (letter.expiryDate && expireRequest.timestamp > letter.expiryDate) {
+            letter.closeReason = 'The letter of credit expired on ' + letter.expiryDate.toISOString();
+        } else if (letter.latestShipmentDate && expireRequest.timestamp > letter.latestShipmentDate && (letter.status === 'AWAITING_APPROVAL' || letter.status === 'APPROVED')) {
+            letter.closeReason = 'The product was not shipped by ' + letter.latestShipmentDate.toISOString();
+        } else {
+            return;
+        }
+        letter.status = 'EXPIRED';
+        expired.push(letter);
+    });
+
+    // update the status of the expired letters
+    await assetRegistry.updateAll(expired);
+
+    // emit an event for each expired letter
+    expired.forEach((letter) => {
+        const expiredEvent = factory.newEvent(namespace, 'LetterExpiredEvent');
+        expiredEvent.loc = letter;
+        expiredEvent.closeReason = letter.closeReason;
+        emit(expiredEvent);
+    });
+}
+
+/**
+ * Convert the JSON of a resource or concept of the legacy namespace into the
+ * JSON of the same resource or concept in the canonical namespace
+ * @param {*} json - the JSON, or a value within it
+ * @param {String} namespace - the canonical namespace
+ * @return {*} the converted JSON
+ */
+function toCanonicalJSON(json, namespace) {
+    if (Array.isArray(json)) {
+        return json.map((value) => toCanonicalJSON(value, namespace));
+    } else if (json && typeof json === 'object') {
+        const converted = {};
+        Object.keys(json).forEach((key) => {
+            converted[key] = key === '$class'
+                ? json[key].replace(LEGACY_NAMESPACE + '.', namespace + '.')
+                : toCanonicalJSON(json[key], namespace);
+        });
+        return converted;
+    } else if (typeof json === 'string' && json.startsWith('resource:' + LEGACY_NAMESPACE + '.')) {
+        return json.replace('resource:' + LEGACY_NAMESPACE + '.', 'resource:' + namespace + '.');
+    }
+    return json;
+}
+
+/**
+ * Migrate the letters of credit of the legacy org.example.loc namespace into
+ * the canonical namespace. The participants of the legacy namespace that do
+ * not exist in the canonical namespace are copied, so that the relationships
+ * of the letters can be resolved.
+ * @param {org.tradechain.loc.MigrateLetters} migrateLetters - the MigrateLetters transaction
+ * @transaction
+ */
+async function migrateLetters() { // eslint-disable-line no-unused-vars
+    const factory = getFactory();
+    const serializer = getSerializer();
+    const namespace = 'org.tradechain.loc';
+    const convert = (resource) => serializer.fromJSON(toCanonicalJSON(serializer.toJSON(resource), namespace));
+
+    for (const type of ['Bank', 'Customer', 'BankEmployee']) {
+        const legacyRegistry = await getParticipantRegistry(LEGACY_NAMESPACE + '.' + type);
+        const registry = await getParticipantRegistry(namespace + '.' + type);
+        const participants = [];
+        for (const participant of await legacyRegistry.getAll()) {
+            if (!await registry.exists(participant.getIdentifier())) {
+                participants.push(convert(participant));
+            }
+        }
+        await registry.addAll(participants);
+    }
+
+    const legacyRegistry = await getAssetRegistry(LEGACY_NAMESPACE + '.LetterOfCredit');
+    const assetRegistry = await getAssetRegistry(namespace + '.LetterOfCredit');
+    const legacyLetters = await legacyRegistry.getAll();
+    for (const letter of legacyLetters) {
+        if (await assetRegistry.exists(letter.getIdentifier())) {
+            throw new Error('The letter of credit ' + letter.getIdentifier() + ' already exists in the ' + namespace + ' namespace');
+        }
+    }
+    const letters = legacyLetters.map(convert);
+    await assetRegistry.addAll(letters);
+    await legacyRegistry.removeAll(legacyLetters);
+
+    // emit an event for each migrated letter
+    letters.forEach((letter) => {
+        const migratedEvent = factory.newEvent(namespace, 'LetterMigratedEvent');
+        migratedEvent.loc = letter;
+        emit(migratedEvent);
+    });
+}
+
 /**
  * Create the participants needed for the demo
  * @param {org.tradechain.loc.CreateDemoParticipants} createDemoParticipants - the CreateDemoParticipants transaction
@@ -300,9 +857,11 @@ async function createDemoParticipants() { // eslint-disable-line no-unused-vars
     const bankRegistry = await getParticipantRegistry(namespace + '.Bank');
     const bank1 = factory.newResource(namespace, 'Bank', 'VIB');
     bank1.name = 'Vietnam International Bank';
+    bank1.balance = 1000000;
     await bankRegistry.add(bank1);
     const bank2 = factory.newResource(namespace, 'Bank', 'SEA');
     bank2.name = 'SeaBank';
+    bank2.balance = 1000000;
     await bankRegistry.add(bank2);
 
     // create bank employees
@@ -323,11 +882,13 @@ async function createDemoParticipants() { // eslint-disable-line no-unused-vars
     customer1.lastName= 'MAYABA';
     customer1.bank = factory.newRelationship(namespace, 'Bank', 'VIB');
     customer1.companyName = 'NAT\'S Company';
+    customer1.balance = 100000;
     await customerRegistry.add(customer1);
     const customer2 = factory.newResource(namespace, 'Customer', 'peniel');
     customer2.name = 'Peniel';
     customer2.lastName= 'Winchester';
     customer2.bank = factory.newRelationship(namespace, 'Bank', 'SEA');
     customer2.companyName = 'KtxDreams Inc.';
+    customer2.balance = 0;
     await customerRegistry.add(customer2);
 }
@@ -29,6 +29,7 @@ const letterId = 'L123';
 describe('Letters of Credit Network', () => {
     const cardStore = require('composer-common').NetworkCardStoreManager.getCardStore( { type: 'composer-wallet-inmemory' } );
     let adminConnection;
+    let adminCardName;
     let businessNetworkConnection;
     let factory;
 
@@ -73,7 +74,6 @@ describe('Letters of Credit Network', () => {
         businessNetworkConnection = new BusinessNetworkConnection({ cardStore: cardStore });
 
         const adminUserName = 'admin';
-        let adminCardName;
         const businessNetworkDefinition = await BusinessNetworkDefinition.fromDirectory(path.resolve(__dirname, '..'));
 
         // Install the Composer runtime for the new business network
@@ -103,8 +103,10 @@ describe('Letters of Credit Network', () => {
         // create bank participants
         const bank1 = factory.newResource(namespace, 'Bank', 'VIB');
         bank1.name = 'Vietnam International Bank';
+        bank1.balance = 1000000;
         const bank2 = factory.newResource(namespace, 'Bank', 'SEA');
         bank2.name = 'SeaBank';
+        bank2.balance = 1000000;
 
         const bankRegistry = await businessNetworkConnection.getParticipantRegistry(namespace + '.Bank');
         await bankRegistry.add(bank1);
@@ -129,6 +131,7 @@ describe('Letters of Credit Network', () => {
         wapo.lastName= 'MAYABA';
         wapo.bank = factory.newRelationship(namespace, 'Bank', 'VIB');
         wapo.companyName = 'NAT\'S Company';
+        wapo.balance = 100000;
 
         // create peniel participant
         peniel = factory.newResource(namespace, 'Customer', 'peniel');
@@ -136,6 +139,7 @@ describe('Letters of Credit Network', () => {
         peniel.lastName= 'Winchester';
         peniel.bank = factory.newRelationship(namespace, 'Bank', 'SEA');
         peniel.companyName = 'KtxDreams Inc.';
+        peniel.balance = 0;
 
         // add wapo and peniel participants to the registry
         const customerRegistry = await businessNetworkConnection.getParticipantRegistry(namespace + '.Customer');
@@ -180,6 +184,37 @@ describe('Letters of Credit Network', () => {
         await letterRegistry.add(letter);
     });
 
+    /**
+     * Reconnect as a participant, using a newly issued identity.
+     * @param {String} type The type of the participant
+     * @param {String} participantId The identifier of the participant
+     */
+    async function useIdentity(type, participantId) {
+        const identity = await businessNetworkConnection.issueIdentity(namespace + '.' + type + '#' + participantId, participantId);
+        const metadata = {
+            userName: identity.userID,
+            version: 1,
+            enrollmentSecret: identity.userSecret,
+            businessNetwork: businessNetworkConnection.getBusinessNetwork().getName()
+        };
+        const cardName = `${participantId}@${metadata.businessNetwork}`;
+        await adminConnection.importCard(cardName, new IdCard(metadata, { name: 'embedded', 'x-type': 'embedded' }));
+
+        await businessNetworkConnection.disconnect();
+        businessNetworkConnection = new BusinessNetworkConnection({ cardStore: cardStore });
+        await businessNetworkConnection.connect(cardName);
+    }
+
+    /**
+     * Reconnect as the network admin.
+     */
+    async function useAdmin() {
+        await businessNetworkConnection.disconnect();
+        businessNetworkConnection = new BusinessNetworkConnection({ cardStore: cardStore });
+        await businessNetworkConnection.connect(adminCardName);
+        letterRegistry = await businessNetworkConnection.getAssetRegistry(namespace + '.LetterOfCredit');
+    }
+
     describe('InitialApplication', () => {
         it('should be able to create a letter of credit asset', async () => {
             // create and submit the InitialApplication transaction
@@ -205,6 +240,26 @@ describe('Letters of Credit Network', () => {
             letter.approval.should.deep.equal([wapoRelationship]);
             letter.status.should.deep.equal('AWAITING_APPROVAL');
         });
+
+        it('should not accept an approval policy that names a role more than once', async () => {
+            const createQuorum = (role, quorum) => {
+                const roleQuorum = factory.newConcept(namespace, 'RoleQuorum');
+                roleQuorum.role = role;
+                roleQuorum.quorum = quorum;
+                return roleQuorum;
+            };
+            const approvalPolicy = factory.newConcept(namespace, 'ApprovalPolicy');
+            approvalPolicy.quorums = [createQuorum('ISSUING_BANK', 1), createQuorum('ISSUING_BANK', 2)];
+
+            const initialApplicationTx = factory.newTransaction(namespace, 'InitialApplication');
+            initialApplicationTx.letterId = 'newLetter';
+            initialApplicationTx.applicant = wapoRelationship;
+            initialApplicationTx.beneficiary = penielRelationship;
+            initialApplicationTx.rules = rules;
+            initialApplicationTx.productDetails = productDetails;
+            initialApplicationTx.approvalPolicy = approvalPolicy;
+            return businessNetworkConnection.submitTransaction(initialApplicationTx).should.be.rejectedWith('The approval policy names the ISSUING_BANK role more than once');
+        });
     });
 
     describe('Approve', () => {
@@ -213,6 +268,7 @@ describe('Letters of Credit Network', () => {
             const approveTx = factory.newTransaction(namespace, 'Approve');
             approveTx.loc = factory.newRelationship(namespace, 'LetterOfCredit', letterId);
             approveTx.approvingParty = wapoRelationship;
+            approveTx.termsVersion = 0;
             await businessNetworkConnection.submitTransaction(approveTx);
 
             const approvedLetter = await letterRegistry.get(letterId);
@@ -229,6 +285,7 @@ describe('Letters of Credit Network', () => {
             const approveTx = factory.newTransaction(namespace, 'Approve');
             approveTx.loc = factory.newRelationship(namespace, 'LetterOfCredit', letterId);
             approveTx.approvingParty = wapoRelationship;
+            approveTx.termsVersion = 0;
             return businessNetworkConnection.submitTransaction(approveTx).should.be.rejectedWith('This person has already approved this letter of credit');
         });
 
@@ -248,6 +305,7 @@ describe('Letters of Credit Network', () => {
             const approveTx = factory.newTransaction(namespace, 'Approve');
             approveTx.loc = factory.newRelationship(namespace, 'LetterOfCredit', letterId);
             approveTx.approvingParty = emmaRelationship;
+            approveTx.termsVersion = 0;
             return businessNetworkConnection.submitTransaction(approveTx).should.be.rejectedWith('Your bank has already approved of this request');
         });
 
@@ -261,6 +319,7 @@ describe('Letters of Credit Network', () => {
             const approveTx = factory.newTransaction(namespace, 'Approve');
             approveTx.loc = factory.newRelationship(namespace, 'LetterOfCredit', letterId);
             approveTx.approvingParty = penielRelationship;
+            approveTx.termsVersion = 0;
             await businessNetworkConnection.submitTransaction(approveTx);
 
             const approvedLetter = await letterRegistry.get(letterId);
@@ -268,6 +327,109 @@ describe('Letters of Credit Network', () => {
             approvedLetter.status.should.deep.equal('APPROVED');
         });
 
+        it('should not allow a person without a role in the approval policy to approve the letter', async () => {
+            const otherBank = factory.newResource(namespace, 'Bank', 'XYZ');
+            otherBank.name = 'Other Bank';
+            const bankRegistry = await businessNetworkConnection.getParticipantRegistry(namespace + '.Bank');
+            await bankRegistry.add(otherBank);
+            const otherEmployee = factory.newResource(namespace, 'BankEmployee', 'dan');
+            otherEmployee.name = 'Dan';
+            otherEmployee.bank = factory.newRelationship(namespace, 'Bank', 'XYZ');
+            const employeeRegistry = await businessNetworkConnection.getParticipantRegistry(namespace + '.BankEmployee');
+            await employeeRegistry.add(otherEmployee);
+
+            const approveTx = factory.newTransaction(namespace, 'Approve');
+            approveTx.loc = factory.newRelationship(namespace, 'LetterOfCredit', letterId);
+            approveTx.approvingParty = factory.newRelationship(namespace, 'BankEmployee', 'dan');
+            approveTx.termsVersion = 0;
+            return businessNetworkConnection.submitTransaction(approveTx).should.be.rejectedWith('This person has no role in the approval policy of this letter of credit');
+        });
+
+        it('should mark the letter as \'approved\' when the quorum of every role in its approval policy has been met', async () => {
+            const otherVIBEmployee = factory.newResource(namespace, 'BankEmployee', 'trevor');
+            otherVIBEmployee.name = 'Trevor';
+            otherVIBEmployee.bank = factory.newRelationship(namespace, 'Bank', 'VIB');
+            const employeeRegistry = await businessNetworkConnection.getParticipantRegistry(namespace + '.BankEmployee');
+            await employeeRegistry.add(otherVIBEmployee);
+            const trevorRelationship = factory.newRelationship(namespace, 'BankEmployee', 'trevor');
+            const otherVIBEmployee2 = factory.newResource(namespace, 'BankEmployee', 'lucy');
+            otherVIBEmployee2.name = 'Lucy';
+            otherVIBEmployee2.bank = factory.newRelationship(namespace, 'Bank', 'VIB');
+            await employeeRegistry.add(otherVIBEmployee2);
+            const lucyRelationship = factory.newRelationship(namespace, 'BankEmployee', 'lucy');
+
+            // the issuing bank needs two approvals, and the applicant delegates its approval to emma
+            const createQuorum = (role, quorum, delegates) => {
+                const roleQuorum = factory.newConcept(namespace, 'RoleQuorum');
+                roleQuorum.role = role;
+                roleQuorum.quorum = quorum;
+                roleQuorum.delegates = delegates;
+                return roleQuorum;
+            };
+            const approvalPolicy = factory.newConcept(namespace, 'ApprovalPolicy');
+            approvalPolicy.quorums = [createQuorum('APPLICANT', 1, [emmaRelationship]), createQuorum('ISSUING_BANK', 2, [])];
+
+            let updatedLetter = await letterRegistry.get(letterId);
+            updatedLetter.approval = [];
+            updatedLetter.approvalPolicy = approvalPolicy;
+            await letterRegistry.update(updatedLetter);
+
+            const submitApproval = (approvingParty) => {
+                const approveTx = factory.newTransaction(namespace, 'Approve');
+                approveTx.loc = factory.newRelationship(namespace, 'LetterOfCredit', letterId);
+                approveTx.approvingParty = approvingParty;
+                approveTx.termsVersion = 0;
+                return businessNetworkConnection.submitTransaction(approveTx);
+            };
+            await submitApproval(penielRelationship).should.be.rejectedWith('This person has no role in the approval policy of this letter of credit');
+            await submitApproval(emmaRelationship);
+
+            let approvedLetter = await letterRegistry.get(letterId);
+            approvedLetter.status.should.equal('AWAITING_APPROVAL');
+            // emma's approval stands in for the applicant only, not for her own bank
+            approvedLetter.approvals[0].roles.should.deep.equal(['APPLICANT']);
+
+            await submitApproval(trevorRelationship);
+            approvedLetter = await letterRegistry.get(letterId);
+            approvedLetter.status.should.equal('AWAITING_APPROVAL');
+
+            await submitApproval(lucyRelationship);
+            approvedLetter = await letterRegistry.get(letterId);
+            approvedLetter.approval.should.deep.equal([emmaRelationship, trevorRelationship, lucyRelationship]);
+            approvedLetter.status.should.equal('APPROVED');
+        });
+
+        it('should let a participant approve the letter on their own behalf', async () => {
+            await useIdentity('Customer', 'wapo');
+            const approveTx = factory.newTransaction(namespace, 'Approve');
+            approveTx.loc = factory.newRelationship(namespace, 'LetterOfCredit', letterId);
+            approveTx.approvingParty = wapoRelationship;
+            approveTx.termsVersion = 0;
+            await businessNetworkConnection.submitTransaction(approveTx);
+
+            await useAdmin();
+            const approvedLetter = await letterRegistry.get(letterId);
+            approvedLetter.approval.should.deep.equal([wapoRelationship]);
+        });
+
+        it('should not let a participant approve the letter on behalf of another person', async () => {
+            await useIdentity('Customer', 'wapo');
+            const approveTx = factory.newTransaction(namespace, 'Approve');
+            approveTx.loc = factory.newRelationship(namespace, 'LetterOfCredit', letterId);
+            approveTx.approvingParty = penielRelationship;
+            approveTx.termsVersion = 0;
+            await businessNetworkConnection.submitTransaction(approveTx).should.be.rejectedWith('Only peniel can submit this transaction on their own behalf');
+
+            await useAdmin();
+            await useIdentity('BankEmployee', 'emma');
+            approveTx.approvingParty = kokouRelationship;
+            await businessNetworkConnection.submitTransaction(approveTx).should.be.rejectedWith('Only kokou can submit this transaction on their own behalf');
+
+            await useAdmin();
+            const letter = await letterRegistry.get(letterId);
+            letter.approval.should.deep.equal([]);
+        });
+
         it('should be unable to submit an Approve transaction on a letter that has already been closed', async () => {
             // update the letter to be closed
             let updatedLetter = await letterRegistry.get(letterId);
@@ -278,6 +440,7 @@ describe('Letters of Credit Network', () => {
             const approveTx = factory.newTransaction(namespace, 'Approve');
             approveTx.loc = factory.newRelationship(namespace, 'LetterOfCredit', letterId);
             approveTx.approvingParty = wapoRelationship;
+            approveTx.termsVersion = 0;
             return businessNetworkConnection.submitTransaction(approveTx).should.be.rejectedWith('This letter of credit has already been closed');
         });
 
@@ -291,6 +454,7 @@ describe('Letters of Credit Network', () => {
             const approveTx = factory.newTransaction(namespace, 'Approve');
             approveTx.loc = factory.newRelationship(namespace, 'LetterOfCredit', letterId);
             approveTx.approvingParty = wapoRelationship;
+            approveTx.termsVersion = 0;
             return businessNetworkConnection.submitTransaction(approveTx).should.be.rejectedWith('This letter of credit has already been closed');
         });
     });
@@ -364,6 +528,90 @@ describe('Letters of Credit Network', () => {
             changedLetter.approval.should.deep.equal([emmaRelationship]);
         });
 
+        it('should not let a participant suggest changes on behalf of another person', async () => {
+            await useIdentity('Customer', 'peniel');
+            const suggestChangesTx = factory.newTransaction(namespace, 'SuggestChanges');
+            suggestChangesTx.loc = factory.newRelationship(namespace, 'LetterOfCredit', letterId);
+            suggestChangesTx.rules = newRules;
+            suggestChangesTx.suggestingParty = wapoRelationship;
+            await businessNetworkConnection.submitTransaction(suggestChangesTx).should.be.rejectedWith('Only wapo can submit this transaction on their own behalf');
+
+            suggestChangesTx.suggestingParty = penielRelationship;
+            await businessNetworkConnection.submitTransaction(suggestChangesTx);
+            await useAdmin();
+            const changedLetter = await letterRegistry.get(letterId);
+            changedLetter.rules.should.deep.equal(newRules);
+            changedLetter.approval.should.deep.equal([penielRelationship]);
+        });
+
+        it('should record a numbered amendment with the differences from the previous rules', async () => {
+            // change the text of one rule, remove the other and add a new one
+            const changedRule = factory.newConcept(namespace, 'Rule');
+            changedRule.ruleId = 'rule1';
+            changedRule.ruleText = 'This is a changed test rule';
+            const addedRule = factory.newConcept(namespace, 'Rule');
+            addedRule.ruleId = 'rule3';
+            addedRule.ruleText = 'This is a new test rule';
+
+            const suggestChangesTx = factory.newTransaction(namespace, 'SuggestChanges');
+            suggestChangesTx.loc = factory.newRelationship(namespace, 'LetterOfCredit', letterId);
+            suggestChangesTx.rules = [changedRule, addedRule];
+            suggestChangesTx.suggestingParty = emmaRelationship;
+            await businessNetworkConnection.submitTransaction(suggestChangesTx);
+
+            const secondChangesTx = factory.newTransaction(namespace, 'SuggestChanges');
+            secondChangesTx.loc = factory.newRelationship(namespace, 'LetterOfCredit', letterId);
+            secondChangesTx.rules = newRules;
+            secondChangesTx.suggestingParty = wapoRelationship;
+            await businessNetworkConnection.submitTransaction(secondChangesTx);
+
+            const changedLetter = await letterRegistry.get(letterId);
+            changedLetter.termsVersion.should.equal(2);
+            changedLetter.amendments.length.should.equal(2);
+            const amendment = changedLetter.amendments[0];
+            amendment.version.should.equal(1);
+            amendment.rules.should.deep.equal([changedRule, addedRule]);
+            amendment.addedRules.should.deep.equal([addedRule]);
+            amendment.removedRules.should.deep.equal([rules[1]]);
+            amendment.changedRules.should.deep.equal([changedRule]);
+            amendment.proposedBy.should.deep.equal(emmaRelationship);
+            amendment.proposedAt.should.deep.equal(suggestChangesTx.timestamp);
+            changedLetter.amendments[1].version.should.equal(2);
+            changedLetter.amendments[1].proposedBy.should.deep.equal(wapoRelationship);
+        });
+
+        it('should not count an approval of a previous version of the rules', async () => {
+            const suggestChangesTx = factory.newTransaction(namespace, 'SuggestChanges');
+            suggestChangesTx.loc = factory.newRelationship(namespace, 'LetterOfCredit', letterId);
+            suggestChangesTx.rules = newRules;
+            suggestChangesTx.suggestingParty = emmaRelationship;
+            await businessNetworkConnection.submitTransaction(suggestChangesTx);
+
+            // wapo approves the original terms after they have been amended
+            const staleApproveTx = factory.newTransaction(namespace, 'Approve');
+            staleApproveTx.loc = factory.newRelationship(namespace, 'LetterOfCredit', letterId);
+            staleApproveTx.approvingParty = wapoRelationship;
+            staleApproveTx.termsVersion = 0;
+            await businessNetworkConnection.submitTransaction(staleApproveTx).should.be.rejectedWith('This approval is for version 0 of the terms, but the current version is 1');
+
+            const approveTx = factory.newTransaction(namespace, 'Approve');
+            approveTx.loc = factory.newRelationship(namespace, 'LetterOfCredit', letterId);
+            approveTx.approvingParty = wapoRelationship;
+            approveTx.termsVersion = 1;
+            await businessNetworkConnection.submitTransaction(approveTx);
+
+            const approvedLetter = await letterRegistry.get(letterId);
+            approvedLetter.approval.should.deep.equal([emmaRelationship, wapoRelationship]);
+        });
+
+        it('should not record an amendment that does not change the rules', async () => {
+            const suggestChangesTx = factory.newTransaction(namespace, 'SuggestChanges');
+            suggestChangesTx.loc = factory.newRelationship(namespace, 'LetterOfCredit', letterId);
+            suggestChangesTx.rules = rules;
+            suggestChangesTx.suggestingParty = emmaRelationship;
+            return businessNetworkConnection.submitTransaction(suggestChangesTx).should.be.rejectedWith('The suggested rules are the same as the current rules');
+        });
+
         it('should be unable to submit a SuggestChanges transaction on a letter that has already been shipped', async () => {
             // update the letter to have been shipped
             let updatedLetter = await letterRegistry.get(letterId);
@@ -572,6 +820,107 @@ describe('Letters of Credit Network', () => {
 
     });
 
+    describe('DocumentPresentation', () => {
+        /**
+         * Create a document
+         * @param {String} documentType The type of the document
+         * @param {String} hash The hash of the document
+         * @return {Document} The document
+         */
+        function createDocument(documentType, hash) {
+            const document = factory.newConcept(namespace, 'Document');
+            document.documentType = documentType;
+            document.hash = hash;
+            document.issuer = 'Saigon Shipping Ltd';
+            return document;
+        }
+
+        /**
+         * Create a discrepancy
+         * @param {String} discrepancyId The id of the discrepancy
+         * @param {String} documentType The type of the document it was found in
+         * @return {Discrepancy} The discrepancy
+         */
+        function createDiscrepancy(discrepancyId, documentType) {
+            const discrepancy = factory.newConcept(namespace, 'Discrepancy');
+            discrepancy.discrepancyId = discrepancyId;
+            discrepancy.documentType = documentType;
+            discrepancy.description = 'The ' + documentType + ' does not match the letter of credit';
+            return discrepancy;
+        }
+
+        /**
+         * Submit a transaction against the letter
+         * @param {String} type The type of the transaction
+         * @param {Object} fields The fields of the transaction
+         * @return {Promise} A promise that is resolved when the transaction has been submitted
+         */
+        function submit(type, fields) {
+            const tx = factory.newTransaction(namespace, type);
+            tx.loc = factory.newRelationship(namespace, 'LetterOfCredit', letterId);
+            Object.keys(fields).forEach((field) => {
+                tx[field] = fields[field];
+            });
+            return businessNetworkConnection.submitTransaction(tx);
+        }
+
+        beforeEach(async () => {
+            let updatedLetter = await letterRegistry.get(letterId);
+            updatedLetter.approval = [wapoRelationship, emmaRelationship, kokouRelationship, penielRelationship];
+            updatedLetter.status = 'SHIPPED';
+            await letterRegistry.update(updatedLetter);
+        });
+
+        it('should not present documents before the product has been shipped', async () => {
+            let updatedLetter = await letterRegistry.get(letterId);
+            updatedLetter.status = 'APPROVED';
+            await letterRegistry.update(updatedLetter);
+
+            return submit('PresentDocuments', { documents: [createDocument('BILL_OF_LADING', 'hash1')] }).should.be.rejectedWith('The documents can only be presented once the product has been shipped');
+        });
+
+        it('should replace a document that is presented again', async () => {
+            await submit('PresentDocuments', { documents: [createDocument('BILL_OF_LADING', 'hash1'), createDocument('PACKING_LIST', 'hash2')] });
+            await submit('PresentDocuments', { documents: [createDocument('BILL_OF_LADING', 'hash3')] });
+
+            const presentedLetter = await letterRegistry.get(letterId);
+            presentedLetter.documents.map((document) => document.hash).should.deep.equal(['hash2', 'hash3']);
+        });
+
+        it('should not examine the documents until they have all been presented', async () => {
+            await submit('PresentDocuments', { documents: [createDocument('BILL_OF_LADING', 'hash1'), createDocument('PACKING_LIST', 'hash2')] });
+            return submit('ExamineDocuments', { discrepancies: [] }).should.be.rejectedWith('The documents cannot be examined until they have all been presented, missing: COMMERCIAL_INVOICE, INSURANCE_CERTIFICATE');
+        });
+
+        it('should only ready payment once every discrepancy has been cured or waived', async () => {
+            await submit('PresentDocuments', { documents: [
+                createDocument('BILL_OF_LADING', 'hash1'),
+                createDocument('COMMERCIAL_INVOICE', 'hash2'),
+                createDocument('INSURANCE_CERTIFICATE', 'hash3'),
+                createDocument('PACKING_LIST', 'hash4')
+            ] });
+            await submit('ExamineDocuments', { discrepancies: [createDiscrepancy('d1', 'COMMERCIAL_INVOICE'), createDiscrepancy('d2', 'PACKING_LIST')] });
+            await submit('PresentDocuments', { documents: [createDocument('PACKING_LIST', 'hash5')] }).should.be.rejectedWith('The documents have already been examined');
+
+            let updatedLetter = await letterRegistry.get(letterId);
+            updatedLetter.status = 'RECEIVED';
+            await letterRegistry.update(updatedLetter);
+            await submit('ReadyForPayment', {}).should.be.rejectedWith('The payment cannot be made until discrepancy d1 has been cured or waived');
+
+            // the beneficiary cures the invoice, and the applicant waives the packing list
+            await submit('CureDiscrepancy', { discrepancyId: 'd1', document: createDocument('PACKING_LIST', 'hash6') }).should.be.rejectedWith('Discrepancy d1 can only be cured with a COMMERCIAL_INVOICE document');
+            await submit('CureDiscrepancy', { discrepancyId: 'd1', document: createDocument('COMMERCIAL_INVOICE', 'hash6') });
+            await submit('WaiveDiscrepancy', { discrepancyId: 'd1' }).should.be.rejectedWith('Discrepancy d1 has already been cured');
+            await submit('WaiveDiscrepancy', { discrepancyId: 'd2' });
+            await submit('ReadyForPayment', {});
+
+            const readyLetter = await letterRegistry.get(letterId);
+            readyLetter.status.should.deep.equal('READY_FOR_PAYMENT');
+            readyLetter.discrepancies.map((discrepancy) => discrepancy.status).should.deep.equal(['CURED', 'WAIVED']);
+            readyLetter.documents.map((document) => document.hash).should.deep.equal(['hash1', 'hash3', 'hash4', 'hash6']);
+        });
+    });
+
     describe('ReadyForPayment', () => {
         it('should not ready payment the letter if it is not marked as \'received\'', async () => {
             const readyTx = factory.newTransaction(namespace, 'ReadyForPayment');
@@ -579,10 +928,22 @@ describe('Letters of Credit Network', () => {
             return businessNetworkConnection.submitTransaction(readyTx).should.be.rejectedWith('The payment cannot be made until the product has been received by the applicant');
         });
 
+        it('should not ready payment the letter if the documents have not been examined', async () => {
+            let updatedLetter = await letterRegistry.get(letterId);
+            updatedLetter.approval = [wapoRelationship, emmaRelationship, kokouRelationship, penielRelationship];
+            updatedLetter.status = 'RECEIVED';
+            await letterRegistry.update(updatedLetter);
+
+            const readyTx = factory.newTransaction(namespace, 'ReadyForPayment');
+            readyTx.loc = factory.newRelationship(namespace, 'LetterOfCredit', letterId);
+            return businessNetworkConnection.submitTransaction(readyTx).should.be.rejectedWith('The payment cannot be made until the documents have been presented and examined');
+        });
+
         it('should mark the letter as ready for payment', async () => {
             let updatedLetter = await letterRegistry.get(letterId);
             updatedLetter.approval = [wapoRelationship, emmaRelationship, kokouRelationship, penielRelationship];
             updatedLetter.status = 'RECEIVED';
+            updatedLetter.documentsExamined = true;
             await letterRegistry.update(updatedLetter);
 
             const readyTx = factory.newTransaction(namespace, 'ReadyForPayment');
@@ -591,6 +952,111 @@ describe('Letters of Credit Network', () => {
 
             const readyLetter = await letterRegistry.get(letterId);
             readyLetter.status.should.deep.equal('READY_FOR_PAYMENT');
+            readyLetter.amountDrawn.should.equal(25000);
+        });
+
+        it('should move the funds from the applicant to the beneficiary through their banks', async () => {
+            let updatedLetter = await letterRegistry.get(letterId);
+            updatedLetter.approval = [wapoRelationship, emmaRelationship, kokouRelationship, penielRelationship];
+            updatedLetter.status = 'RECEIVED';
+            updatedLetter.documentsExamined = true;
+            await letterRegistry.update(updatedLetter);
+
+            const readyTx = factory.newTransaction(namespace, 'ReadyForPayment');
+            readyTx.loc = factory.newRelationship(namespace, 'LetterOfCredit', letterId);
+            await businessNetworkConnection.submitTransaction(readyTx);
+
+            const customerRegistry = await businessNetworkConnection.getParticipantRegistry(namespace + '.Customer');
+            (await customerRegistry.get('wapo')).balance.should.equal(75000);
+            (await customerRegistry.get('peniel')).balance.should.equal(25000);
+            const bankRegistry = await businessNetworkConnection.getParticipantRegistry(namespace + '.Bank');
+            (await bankRegistry.get('VIB')).balance.should.equal(975000);
+            (await bankRegistry.get('SEA')).balance.should.equal(1025000);
+        });
+
+        it('should not draw more than the balance of the applicant or the issuing bank', async () => {
+            let updatedLetter = await letterRegistry.get(letterId);
+            updatedLetter.approval = [wapoRelationship, emmaRelationship, kokouRelationship, penielRelationship];
+            updatedLetter.status = 'RECEIVED';
+            updatedLetter.documentsExamined = true;
+            await letterRegistry.update(updatedLetter);
+            const customerRegistry = await businessNetworkConnection.getParticipantRegistry(namespace + '.Customer');
+            const applicant = await customerRegistry.get('wapo');
+            applicant.balance = 20000;
+            await customerRegistry.update(applicant);
+
+            const readyTx = factory.newTransaction(namespace, 'ReadyForPayment');
+            readyTx.loc = factory.newRelationship(namespace, 'LetterOfCredit', letterId);
+            await businessNetworkConnection.submitTransaction(readyTx).should.be.rejectedWith('The applicant has insufficient funds for the drawing of 25000');
+
+            applicant.balance = 100000;
+            await customerRegistry.update(applicant);
+            const bankRegistry = await businessNetworkConnection.getParticipantRegistry(namespace + '.Bank');
+            const issuingBank = await bankRegistry.get('VIB');
+            issuingBank.balance = 20000;
+            await bankRegistry.update(issuingBank);
+            await businessNetworkConnection.submitTransaction(readyTx).should.be.rejectedWith('The issuing bank has insufficient funds for the drawing of 25000');
+
+            (await customerRegistry.get('peniel')).balance.should.equal(0);
+            (await letterRegistry.get(letterId)).status.should.equal('RECEIVED');
+        });
+
+        it('should not let a participant update their own balance', async () => {
+            await useIdentity('Customer', 'wapo');
+            const customerRegistry = await businessNetworkConnection.getParticipantRegistry(namespace + '.Customer');
+            const applicant = await customerRegistry.get('wapo');
+            applicant.balance = 1000000;
+            await customerRegistry.update(applicant).should.be.rejectedWith(/does not have 'UPDATE' access/);
+
+            await useAdmin();
+            await useIdentity('BankEmployee', 'emma');
+            const bankRegistry = await businessNetworkConnection.getParticipantRegistry(namespace + '.Bank');
+            const bank = await bankRegistry.get('VIB');
+            bank.balance = 5000000;
+            await bankRegistry.update(bank).should.be.rejectedWith(/does not have 'UPDATE' access/);
+        });
+
+        it('should keep the letter open until the partial drawings reach the value of the product', async () => {
+            let updatedLetter = await letterRegistry.get(letterId);
+            updatedLetter.approval = [wapoRelationship, emmaRelationship, kokouRelationship, penielRelationship];
+            updatedLetter.status = 'RECEIVED';
+            updatedLetter.documentsExamined = true;
+            updatedLetter.tolerancePercentage = 5;
+            await letterRegistry.update(updatedLetter);
+
+            const firstTx = factory.newTransaction(namespace, 'ReadyForPayment');
+            firstTx.loc = factory.newRelationship(namespace, 'LetterOfCredit', letterId);
+            firstTx.amount = 10000;
+            await businessNetworkConnection.submitTransaction(firstTx);
+
+            let readyLetter = await letterRegistry.get(letterId);
+            readyLetter.status.should.deep.equal('RECEIVED');
+            readyLetter.amountDrawn.should.equal(10000);
+
+            // 24000 of 25000 is within the tolerance of 5%
+            const secondTx = factory.newTransaction(namespace, 'ReadyForPayment');
+            secondTx.loc = factory.newRelationship(namespace, 'LetterOfCredit', letterId);
+            secondTx.amount = 14000;
+            await businessNetworkConnection.submitTransaction(secondTx);
+
+            readyLetter = await letterRegistry.get(letterId);
+            readyLetter.status.should.deep.equal('READY_FOR_PAYMENT');
+            readyLetter.amountDrawn.should.equal(24000);
+            readyLetter.drawings.map((drawing) => drawing.amount).should.deep.equal([10000, 14000]);
+        });
+
+        it('should not draw more than the value of the product and its tolerance', async () => {
+            let updatedLetter = await letterRegistry.get(letterId);
+            updatedLetter.approval = [wapoRelationship, emmaRelationship, kokouRelationship, penielRelationship];
+            updatedLetter.status = 'RECEIVED';
+            updatedLetter.documentsExamined = true;
+            updatedLetter.tolerancePercentage = 5;
+            await letterRegistry.update(updatedLetter);
+
+            const readyTx = factory.newTransaction(namespace, 'ReadyForPayment');
+            readyTx.loc = factory.newRelationship(namespace, 'LetterOfCredit', letterId);
+            readyTx.amount = 30000;
+            return businessNetworkConnection.submitTransaction(readyTx).should.be.rejectedWith('The drawing of 30000 exceeds the available amount of 26250');
         });
 
         it('should not ready payment the letter if it is marked as \'closed\'', async () => {
@@ -682,4 +1148,169 @@ describe('Letters of Credit Network', () => {
         });
     });
 
+    describe('Expiry', () => {
+        const past = new Date(Date.now() - 24 * 60 * 60 * 1000);
+        const future = new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+        it('should not ship the product after the latest shipment date', async () => {
+            let updatedLetter = await letterRegistry.get(letterId);
+            updatedLetter.approval = [wapoRelationship, emmaRelationship, kokouRelationship, penielRelationship];
+            updatedLetter.status = 'APPROVED';
+            updatedLetter.latestShipmentDate = past;
+            updatedLetter.expiryDate = future;
+            await letterRegistry.update(updatedLetter);
+
+            const shipProductTx = factory.newTransaction(namespace, 'ShipProduct');
+            shipProductTx.loc = factory.newRelationship(namespace, 'LetterOfCredit', letterId);
+            shipProductTx.evidence = 'asdfghjk';
+            return businessNetworkConnection.submitTransaction(shipProductTx).should.be.rejectedWith('The product had to be shipped by ' + past.toISOString());
+        });
+
+        it('should not ready payment the letter after its expiry date', async () => {
+            let updatedLetter = await letterRegistry.get(letterId);
+            updatedLetter.approval = [wapoRelationship, emmaRelationship, kokouRelationship, penielRelationship];
+            updatedLetter.status = 'RECEIVED';
+            updatedLetter.documentsExamined = true;
+            updatedLetter.expiryDate = past;
+            await letterRegistry.update(updatedLetter);
+
+            const readyTx = factory.newTransaction(namespace, 'ReadyForPayment');
+            readyTx.loc = factory.newRelationship(namespace, 'LetterOfCredit', letterId);
+            return businessNetworkConnection.submitTransaction(readyTx).should.be.rejectedWith('This letter of credit expired on ' + past.toISOString());
+        });
+
+        it('should expire the letters that are overdue', async () => {
+            let updatedLetter = await letterRegistry.get(letterId);
+            updatedLetter.latestShipmentDate = past;
+            updatedLetter.expiryDate = future;
+            await letterRegistry.update(updatedLetter);
+
+            // a letter that has been shipped in time and has not yet expired
+            const shippedLetter = factory.newResource(namespace, 'LetterOfCredit', 'LETTER-2');
+            shippedLetter.applicant = wapoRelationship;
+            shippedLetter.beneficiary = penielRelationship;
+            shippedLetter.issuingBank = factory.newRelationship(namespace, 'Bank', 'VIB');
+            shippedLetter.exportingBank = factory.newRelationship(namespace, 'Bank', 'SEA');
+            shippedLetter.rules = rules;
+            shippedLetter.productDetails = productDetails;
+            shippedLetter.evidence = ['asdfghjk'];
+            shippedLetter.approval = [wapoRelationship, emmaRelationship, kokouRelationship, penielRelationship];
+            shippedLetter.status = 'SHIPPED';
+            shippedLetter.latestShipmentDate = past;
+            shippedLetter.expiryDate = future;
+            await letterRegistry.add(shippedLetter);
+
+            const expiredEvents = [];
+            businessNetworkConnection.on('event', (event) => {
+                expiredEvents.push(event);
+            });
+
+            const expireTx = factory.newTransaction(namespace, 'ExpireLetters');
+            await businessNetworkConnection.submitTransaction(expireTx);
+
+            const expiredLetter = await letterRegistry.get(letterId);
+            expiredLetter.status.should.equal('EXPIRED');
+            expiredLetter.closeReason.should.equal('The product was not shipped by ' + past.toISOString());
+            (await letterRegistry.get('LETTER-2')).status.should.equal('SHIPPED');
+            expiredEvents.length.should.equal(1);
+            expiredEvents[0].loc.getIdentifier().should.equal(letterId);
+
+            const approveTx = factory.newTransaction(namespace, 'Approve');
+            approveTx.loc = factory.newRelationship(namespace, 'LetterOfCredit', letterId);
+            approveTx.approvingParty = emmaRelationship;
+            approveTx.termsVersion = 0;
+            return businessNetworkConnection.submitTransaction(approveTx).should.be.rejectedWith('This letter of credit has already been closed');
+        });
+    });
+
+    describe('MigrateLetters', () => {
+        const legacyNamespace = 'org.example.loc';
+
+        it('should move the letters of the legacy namespace into the canonical namespace', async () => {
+            // alice only exists in the legacy namespace
+            const alice = factory.newResource(legacyNamespace, 'Customer', 'alice');
+            alice.name = 'Alice';
+            alice.bank = factory.newRelationship(legacyNamespace, 'Bank', 'VIB');
+            alice.companyName = 'QuickFix IT';
+            const legacyCustomerRegistry = await businessNetworkConnection.getParticipantRegistry(legacyNamespace + '.Customer');
+            await legacyCustomerRegistry.add(alice);
+
+            const legacyLetter = factory.newResource(legacyNamespace, 'LetterOfCredit', 'LEGACY-1');
+            legacyLetter.applicant = factory.newRelationship(legacyNamespace, 'Customer', 'alice');
+            legacyLetter.beneficiary = factory.newRelationship(legacyNamespace, 'Customer', 'peniel');
+            legacyLetter.issuingBank = factory.newRelationship(legacyNamespace, 'Bank', 'VIB');
+            legacyLetter.exportingBank = factory.newRelationship(legacyNamespace, 'Bank', 'SEA');
+            const legacyRule = factory.newConcept(legacyNamespace, 'Rule');
+            legacyRule.ruleId = 'rule1';
+            legacyRule.ruleText = 'This is a test rule';
+            legacyLetter.rules = [legacyRule];
+            const legacyProductDetails = factory.newConcept(legacyNamespace, 'ProductDetails');
+            legacyProductDetails.productType = 'Computers';
+            legacyProductDetails.quantity = 100;
+            legacyProductDetails.pricePerUnit = 250;
+            legacyLetter.productDetails = legacyProductDetails;
+            legacyLetter.evidence = [];
+            legacyLetter.approval = [factory.newRelationship(legacyNamespace, 'Customer', 'alice')];
+            legacyLetter.status = 'AWAITING_APPROVAL';
+            const legacyLetterRegistry = await businessNetworkConnection.getAssetRegistry(legacyNamespace + '.LetterOfCredit');
+            await legacyLetterRegistry.add(legacyLetter);
+
+            const migrateTx = factory.newTransaction(namespace, 'MigrateLetters');
+            await businessNetworkConnection.submitTransaction(migrateTx);
+
+            const migratedLetter = await letterRegistry.get('LEGACY-1');
+            migratedLetter.getFullyQualifiedType().should.equal(namespace + '.LetterOfCredit');
+            migratedLetter.applicant.getFullyQualifiedIdentifier().should.equal(namespace + '.Customer#alice');
+            migratedLetter.exportingBank.getFullyQualifiedIdentifier().should.equal(namespace + '.Bank#SEA');
+            migratedLetter.rules[0].getFullyQualifiedType().should.equal(namespace + '.Rule');
+            migratedLetter.rules[0].ruleText.should.equal('This is a test rule');
+            migratedLetter.approval.should.deep.equal([factory.newRelationship(namespace, 'Customer', 'alice')]);
+            (await legacyLetterRegistry.exists('LEGACY-1')).should.equal(false);
+
+            const customerRegistry = await businessNetworkConnection.getParticipantRegistry(namespace + '.Customer');
+            (await customerRegistry.get('alice')).companyName.should.equal('QuickFix IT');
+        });
+
+        it('should not overwrite a letter that already exists in the canonical namespace', async () => {
+            const legacyLetter = factory.newResource(legacyNamespace, 'LetterOfCredit', letterId);
+            legacyLetter.applicant = factory.newRelationship(legacyNamespace, 'Customer', 'wapo');
+            legacyLetter.beneficiary = factory.newRelationship(legacyNamespace, 'Customer', 'peniel');
+            legacyLetter.issuingBank = factory.newRelationship(legacyNamespace, 'Bank', 'VIB');
+            legacyLetter.exportingBank = factory.newRelationship(legacyNamespace, 'Bank', 'SEA');
+            legacyLetter.rules = [];
+            const legacyProductDetails = factory.newConcept(legacyNamespace, 'ProductDetails');
+            legacyProductDetails.productType = 'Computers';
+            legacyProductDetails.quantity = 100;
+            legacyProductDetails.pricePerUnit = 250;
+            legacyLetter.productDetails = legacyProductDetails;
+            legacyLetter.evidence = [];
+            legacyLetter.approval = [];
+            legacyLetter.status = 'AWAITING_APPROVAL';
+            const legacyLetterRegistry = await businessNetworkConnection.getAssetRegistry(legacyNamespace + '.LetterOfCredit');
+            await legacyLetterRegistry.add(legacyLetter);
+
+            const migrateTx = factory.newTransaction(namespace, 'MigrateLetters');
+            return businessNetworkConnection.submitTransaction(migrateTx).should.be.rejectedWith('The letter of credit ' + letterId + ' already exists in the ' + namespace + ' namespace');
+        });
+
+        it('should keep the legacy model the same as the canonical model', async () => {
+            const businessNetworkDefinition = await BusinessNetworkDefinition.fromDirectory(path.resolve(__dirname, '..'));
+            const modelManager = businessNetworkDefinition.getModelManager();
+
+            // the legacy model only declares the types of the data, not the transactions and events
+            const describeModel = (modelNamespace) => modelManager.getModelFile(modelNamespace).getAllDeclarations()
+                .filter((declaration) => declaration.constructor.name !== 'TransactionDeclaration' && declaration.constructor.name !== 'EventDeclaration')
+                .map((declaration) => ({
+                    declaration: declaration.constructor.name + ' ' + declaration.getName(),
+                    superType: declaration.getSuperType() ? declaration.getSuperType().split('.').pop() : null,
+                    abstract: declaration.isAbstract(),
+                    identifier: declaration.getIdentifierFieldName() || null,
+                    properties: declaration.getOwnProperties().map((property) => [
+                        property.constructor.name, property.getName(), property.getType(), property.isArray(), property.isOptional()
+                    ].join(' '))
+                }));
+
+            describeModel(legacyNamespace).should.deep.equal(describeModel(namespace));
+        });
+    });
 });
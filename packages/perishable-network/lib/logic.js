@@ -12,7 +12,255 @@
  * limitations under the License.
  */
 
-/* global getParticipantRegistry getAssetRegistry getFactory */
+/* global getParticipantRegistry getAssetRegistry getFactory emit */
+
+/**
+ * The sensors whose readings are held until the next reading arrives, so
+ * that the time spent out of range can be accrued
+ */
+const DURATION_SENSORS = ['temperature', 'humidity', 'gps'];
+
+/**
+ * Check a value against an optional min/max range
+ * @param {Number} value - the value to check
+ * @param {Number} min - the minimum value, or undefined if there is none
+ * @param {Number} max - the maximum value, or undefined if there is none
+ * @param {Number} minPenaltyFactor - the penalty factor below the minimum
+ * @param {Number} maxPenaltyFactor - the penalty factor above the maximum
+ * @return {Object} the breached threshold, its limit, the deviation and
+ * the penalty factor for the breach, or null if the value is within range
+ */
+function checkRange(value, min, max, minPenaltyFactor, maxPenaltyFactor) {
+    if (min !== undefined && value < min) {
+        return {
+            threshold: 'MIN',
+            limit: min,
+            deviation: min - value,
+            penaltyFactor: minPenaltyFactor || 0
+        };
+    }
+    if (max !== undefined && value > max) {
+        return {
+            threshold: 'MAX',
+            limit: max,
+            deviation: value - max,
+            penaltyFactor: maxPenaltyFactor || 0
+        };
+    }
+    return null;
+}
+
+/**
+ * Check a sensor reading against the tolerances agreed in a contract.
+ * Temperature and humidity are penalised per degree or percentage point out
+ * of range, positions outside the permitted area and shocks are penalised
+ * as a whole.
+ * @param {org.acme.shipping.perishable.Contract} contract - the shipment contract
+ * @param {String} sensor - the type of sensor: temperature, humidity, acceleration or gps
+ * @param {org.acme.shipping.perishable.ShipmentTransaction} reading - the sensor reading
+ * @return {Object} the breach, or null if the reading is within the contract tolerances
+ */
+function checkReading(contract, sensor, reading) {
+    if (sensor === 'temperature') {
+        return checkRange(reading.centigrade, contract.minTemperature, contract.maxTemperature,
+            contract.minPenaltyFactor, contract.maxPenaltyFactor);
+    }
+    if (sensor === 'humidity') {
+        return checkRange(reading.humidity, contract.minHumidity, contract.maxHumidity,
+            contract.humidityPenaltyFactor, contract.humidityPenaltyFactor);
+    }
+    if (sensor === 'acceleration') {
+        const acceleration = Math.sqrt(reading.accelX * reading.accelX +
+            reading.accelY * reading.accelY + reading.accelZ * reading.accelZ);
+        const breach = checkRange(acceleration, undefined, contract.maxAcceleration, 0, contract.shockPenaltyFactor);
+        if (breach) {
+            breach.deviation = 1;
+        }
+        return breach;
+    }
+    const area = contract.permittedArea;
+    if (!area) {
+        return null;
+    }
+    const breach = checkRange(reading.latitude, area.minLatitude, area.maxLatitude, contract.gpsPenaltyFactor, contract.gpsPenaltyFactor) ||
+        checkRange(reading.longitude, area.minLongitude, area.maxLongitude, contract.gpsPenaltyFactor, contract.gpsPenaltyFactor);
+    if (breach) {
+        breach.deviation = 1;
+    }
+    return breach;
+}
+
+/**
+ * Add a custody to the end of the chain of custody of a shipment
+ * @param {org.acme.shipping.perishable.Shipment} shipment - the shipment
+ * @param {org.acme.shipping.perishable.Business} custodian - the new custodian
+ * @param {Date} timestamp - the start of the custody
+ */
+function addCustody(shipment, custodian, timestamp) {
+    const custody = getFactory().newConcept('org.acme.shipping.perishable', 'Custody');
+    custody.custodian = custodian;
+    custody.from = timestamp;
+    custody.breachCount = 0;
+    custody.penalty = 0;
+    shipment.custodyChain.push(custody);
+}
+
+/**
+ * Get the current custody of a shipment. A shipment without a chain of custody
+ * is held by the grower until it is picked up, and by the shipper of its contract
+ * once it is in transit.
+ * @param {org.acme.shipping.perishable.Shipment} shipment - the shipment
+ * @param {Date} timestamp - the start of the custody, if the shipment has none yet
+ * @return {org.acme.shipping.perishable.Custody} the current custody
+ */
+function currentCustody(shipment, timestamp) {
+    if (!shipment.custodyChain || shipment.custodyChain.length === 0) {
+        let custodian = shipment.contract.shipper;
+        if (shipment.status === 'CREATED') {
+            custodian = shipment.contract.grower;
+        }
+        shipment.custodyChain = [];
+        addCustody(shipment, custodian, timestamp);
+    }
+    return shipment.custodyChain[shipment.custodyChain.length - 1];
+}
+
+/**
+ * Get the share of the penalties accrued in a custody that is borne by the
+ * custodian, or by the shipper of the contract while the grower holds the cargo
+ * @param {org.acme.shipping.perishable.Contract} contract - the shipment contract
+ * @param {org.acme.shipping.perishable.Custody} custody - the custody, or null for a late arrival
+ * @return {Number} the share of the penalty, from 0 to 1
+ */
+function shipperLiability(contract, custody) {
+    const liability = contract.shipperLiability;
+    if (!liability) {
+        return 0;
+    }
+    if (!custody) {
+        return liability.lateArrival;
+    }
+    if (custody.custodian.getFullyQualifiedIdentifier() === contract.grower.getFullyQualifiedIdentifier()) {
+        return liability.beforePickup;
+    }
+    return liability.inTransit;
+}
+
+/**
+ * Add an amount to the penalties that a participant is liable for
+ * @param {Object} liabilities - the liabilities, by fully qualified participant identifier
+ * @param {org.acme.shipping.perishable.Business} participant - the liable participant
+ * @param {Number} amount - the amount to add
+ */
+function addLiability(liabilities, participant, amount) {
+    const id = participant.getFullyQualifiedIdentifier();
+    if (!liabilities[id]) {
+        liabilities[id] = { participant: participant, amount: 0 };
+    }
+    liabilities[id].amount += amount;
+}
+
+/**
+ * Get the balance available to an importer to pay for shipments: its account
+ * balance plus its credit limit, less the funds it holds in escrow
+ * @param {org.acme.shipping.perishable.Importer} importer - the importer
+ * @return {Number} the available balance
+ */
+function availableBalance(importer) {
+    return importer.accountBalance + (importer.creditLimit || 0) - (importer.escrowBalance || 0);
+}
+
+/**
+ * Accrue the time spent out of range, and the resulting penalty, since the
+ * latest reading of a sensor. The cargo is assumed to stay in the state of
+ * the latest reading until the next reading arrives.
+ * @param {org.acme.shipping.perishable.Shipment} shipment - the shipment
+ * @param {String} sensor - the type of sensor: temperature, humidity or gps
+ * @param {Date} until - the end of the period to accrue
+ */
+function accrueBreach(shipment, sensor, until) {
+    const readings = shipment[sensor + 'Readings'];
+    if (!readings || readings.length === 0) {
+        return;
+    }
+    const latestReading = readings[readings.length - 1];
+    const breach = checkReading(shipment.contract, sensor, latestReading);
+    if (!breach) {
+        return;
+    }
+    // the time before the current custody started has already been accrued
+    const custody = currentCustody(shipment, latestReading.timestamp);
+    let from = latestReading.timestamp;
+    if (custody.from > from) {
+        from = custody.from;
+    }
+    const seconds = Math.max(0, Math.floor((until.getTime() - from.getTime()) / 1000));
+    const penalty = breach.deviation * breach.penaltyFactor * seconds / 3600;
+    shipment[sensor + 'BreachDuration'] = (shipment[sensor + 'BreachDuration'] || 0) + seconds;
+    shipment[sensor + 'Penalty'] = (shipment[sensor + 'Penalty'] || 0) + penalty;
+    custody.penalty += penalty;
+}
+
+/**
+ * Hand a shipment on to a new custodian, accruing the breaches of the
+ * current custody up to the handover
+ * @param {org.acme.shipping.perishable.Shipment} shipment - the shipment
+ * @param {org.acme.shipping.perishable.Business} custodian - the new custodian
+ * @param {Date} timestamp - the time of the handover
+ */
+function transferCustody(shipment, custodian, timestamp) {
+    DURATION_SENSORS.forEach(function (sensor) {
+        accrueBreach(shipment, sensor, timestamp);
+    });
+    currentCustody(shipment, timestamp);
+    addCustody(shipment, custodian, timestamp);
+}
+
+/**
+ * Add a sensor reading to a shipment and check it against the contract
+ * as soon as it arrives
+ * @param {String} sensor - the type of sensor: temperature, humidity, acceleration or gps
+ * @param {org.acme.shipping.perishable.ShipmentTransaction} reading - the sensor reading
+ * @return {Promise} a promise for the breach, or null if the reading is within the contract tolerances
+ */
+async function recordReading(sensor, reading) {
+    const shipment = reading.shipment;
+
+    // account for the time out of range since the previous reading
+    if (DURATION_SENSORS.indexOf(sensor) >= 0) {
+        accrueBreach(shipment, sensor, reading.timestamp);
+    }
+
+    // tag the reading with the custodian holding the cargo
+    const custody = currentCustody(shipment, reading.timestamp);
+    reading.custodian = custody.custodian;
+
+    if (shipment[sensor + 'Readings']) {
+        shipment[sensor + 'Readings'].push(reading);
+    } else {
+        shipment[sensor + 'Readings'] = [reading];
+    }
+
+    const breach = checkReading(shipment.contract, sensor, reading);
+    if (breach) {
+        console.log('Contract ' + sensor + ' tolerance breached for shipment ' + shipment.$identifier +
+            ' held by ' + custody.custodian.$identifier);
+        custody.breachCount++;
+        if (sensor === 'acceleration') {
+            // a shock is penalised once, however long the cargo takes to settle
+            shipment.shockCount = (shipment.shockCount || 0) + 1;
+            shipment.shockPenalty = (shipment.shockPenalty || 0) + breach.penaltyFactor;
+            custody.penalty += breach.penaltyFactor;
+        } else {
+            shipment[sensor + 'BreachCount'] = (shipment[sensor + 'BreachCount'] || 0) + 1;
+        }
+    }
+
+    // add the reading to the shipment
+    const shipmentRegistry = await getAssetRegistry('org.acme.shipping.perishable.Shipment');
+    await shipmentRegistry.update(shipment);
+    return breach;
+}
 
 /**
  * A shipment has been received by an importer
@@ -23,55 +271,95 @@ async function payOut(shipmentReceived) {  // eslint-disable-line no-unused-vars
 
     const contract = shipmentReceived.shipment.contract;
     const shipment = shipmentReceived.shipment;
-    let payOut = contract.unitPrice * shipment.unitCount;
+
+    if (shipment.status === 'ARRIVED') {
+        throw new Error('Shipment ' + shipment.$identifier + ' has already been received');
+    }
+
+    // by default the importer accepts every unit shipped
+    const rejectedUnitCount = shipmentReceived.rejectedUnitCount || 0;
+    let acceptedUnitCount = shipment.unitCount - rejectedUnitCount;
+    if (shipmentReceived.acceptedUnitCount !== undefined) {
+        acceptedUnitCount = shipmentReceived.acceptedUnitCount;
+    }
+    if (acceptedUnitCount < 0 || rejectedUnitCount < 0 || acceptedUnitCount + rejectedUnitCount !== shipment.unitCount) {
+        throw new Error('Accepted and rejected units must add up to the ' + shipment.unitCount + ' units shipped');
+    }
+    if (rejectedUnitCount > 0 && !shipmentReceived.rejectionReason) {
+        throw new Error('A reason must be given for rejecting units');
+    }
+
+    const grossAmount = contract.unitPrice * acceptedUnitCount;
+    let penaltyAmount = 0;
+    let shipperPenalty = 0;
+    const liabilities = {};
 
     console.log('Received at: ' + shipmentReceived.timestamp);
     console.log('Contract arrivalDateTime: ' + contract.arrivalDateTime);
 
+    // account for the time out of range since the last reading of each sensor
+    DURATION_SENSORS.forEach(function (sensor) {
+        accrueBreach(shipment, sensor, shipmentReceived.timestamp);
+    });
+
     // set the status of the shipment
     shipment.status = 'ARRIVED';
 
     // if the shipment did not arrive on time the payout is zero
     if (shipmentReceived.timestamp > contract.arrivalDateTime) {
-        payOut = 0;
+        penaltyAmount = grossAmount;
+        addLiability(liabilities, contract.shipper, grossAmount * shipperLiability(contract, null));
         console.log('Late shipment');
     } else {
-        // find the lowest temperature reading
-        if (shipment.temperatureReadings) {
-            // sort the temperatureReadings by centigrade
-            shipment.temperatureReadings.sort(function (a, b) {
-                return (a.centigrade - b.centigrade);
-            });
-            const lowestReading = shipment.temperatureReadings[0];
-            const highestReading = shipment.temperatureReadings[shipment.temperatureReadings.length - 1];
-            let penalty = 0;
-            console.log('Lowest temp reading: ' + lowestReading.centigrade);
-            console.log('Highest temp reading: ' + highestReading.centigrade);
-
-            // does the lowest temperature violate the contract?
-            if (lowestReading.centigrade < contract.minTemperature) {
-                penalty += (contract.minTemperature - lowestReading.centigrade) * contract.minPenaltyFactor;
-                console.log('Min temp penalty: ' + penalty);
-            }
-
-            // does the highest temperature violate the contract?
-            if (highestReading.centigrade > contract.maxTemperature) {
-                penalty += (highestReading.centigrade - contract.maxTemperature) * contract.maxPenaltyFactor;
-                console.log('Max temp penalty: ' + penalty);
+        let penalty = 0;
+        DURATION_SENSORS.forEach(function (sensor) {
+            if (shipment[sensor + 'Penalty']) {
+                console.log(sensor + ' breaches: ' + shipment[sensor + 'BreachCount']);
+                console.log(sensor + ' time out of range: ' + shipment[sensor + 'BreachDuration'] + 's');
+                console.log(sensor + ' penalty: ' + shipment[sensor + 'Penalty']);
+                penalty += shipment[sensor + 'Penalty'];
             }
+        });
+        if (shipment.shockPenalty) {
+            console.log('Shocks: ' + shipment.shockCount);
+            console.log('Shock penalty: ' + shipment.shockPenalty);
+            penalty += shipment.shockPenalty;
+        }
 
-            // apply any penalities
-            payOut -= (penalty * shipment.unitCount);
-
-            if (payOut < 0) {
-                payOut = 0;
-            }
+        // apply any penalities, split between the grower and the custodian
+        // holding the cargo when they were accrued
+        if (penalty > 0) {
+            penaltyAmount = Math.min(grossAmount, penalty * acceptedUnitCount);
+            shipment.custodyChain.forEach(function (custody) {
+                let liableParty = custody.custodian;
+                if (liableParty.getFullyQualifiedIdentifier() === contract.grower.getFullyQualifiedIdentifier()) {
+                    liableParty = contract.shipper;
+                }
+                addLiability(liabilities, liableParty,
+                    penaltyAmount * custody.penalty / penalty * shipperLiability(contract, custody));
+            });
         }
     }
+    Object.keys(liabilities).forEach(function (id) {
+        shipperPenalty += liabilities[id].amount;
+    });
+
+    // the importer pays for what was received, and the shippers and warehouses
+    // compensate the grower for the penalties they are liable for
+    const importerPayment = grossAmount - penaltyAmount;
+    const growerPayment = importerPayment + shipperPenalty;
+
+    // release the funds held in escrow for the shipment, and check the
+    // importer can pay for it
+    contract.importer.escrowBalance = (contract.importer.escrowBalance || 0) - (shipment.escrowAmount || 0);
+    shipment.escrowAmount = 0;
+    if (importerPayment > availableBalance(contract.importer)) {
+        throw new Error('Importer ' + contract.importer.$identifier + ' has insufficient available balance to pay ' + importerPayment);
+    }
 
-    console.log('Payout: ' + payOut);
-    contract.grower.accountBalance += payOut;
-    contract.importer.accountBalance -= payOut;
+    console.log('Payout: ' + growerPayment);
+    contract.grower.accountBalance += growerPayment;
+    contract.importer.accountBalance -= importerPayment;
 
     console.log('Grower: ' + contract.grower.$identifier + ' new balance: ' + contract.grower.accountBalance);
     console.log('Importer: ' + contract.importer.$identifier + ' new balance: ' + contract.importer.accountBalance);
@@ -84,9 +372,141 @@ async function payOut(shipmentReceived) {  // eslint-disable-line no-unused-vars
     const importerRegistry = await getParticipantRegistry('org.acme.shipping.perishable.Importer');
     await importerRegistry.update(contract.importer);
 
+    // update the balances of the shippers and warehouses liable for penalties
+    for (const id of Object.keys(liabilities)) {
+        const liableParty = liabilities[id].participant;
+        if (liabilities[id].amount > 0) {
+            liableParty.accountBalance -= liabilities[id].amount;
+            console.log('Liable: ' + liableParty.$identifier + ' new balance: ' + liableParty.accountBalance);
+            const liableRegistry = await getParticipantRegistry(liableParty.getFullyQualifiedType());
+            await liableRegistry.update(liableParty);
+        }
+    }
+
+    // emit the breakdown of the settlement
+    const settlement = getFactory().newEvent('org.acme.shipping.perishable', 'SettlementBreakdown');
+    settlement.grossAmount = grossAmount;
+    settlement.penaltyAmount = penaltyAmount;
+    settlement.growerPenalty = penaltyAmount - shipperPenalty;
+    settlement.shipperPenalty = shipperPenalty;
+    settlement.importerPayment = importerPayment;
+    settlement.growerPayment = growerPayment;
+    settlement.shipment = shipment;
+    emit(settlement);
+
     // update the state of the shipment
     const shipmentRegistry = await getAssetRegistry('org.acme.shipping.perishable.Shipment');
     await shipmentRegistry.update(shipment);
+
+    // record a dispute for the rejected units, which the grower can contest
+    if (rejectedUnitCount > 0) {
+        console.log('Rejected units: ' + rejectedUnitCount + ' reason: ' + shipmentReceived.rejectionReason);
+        const factory = getFactory();
+        const dispute = factory.newResource('org.acme.shipping.perishable', 'Dispute', shipment.$identifier);
+        dispute.rejectedUnitCount = rejectedUnitCount;
+        dispute.rejectionReason = shipmentReceived.rejectionReason;
+        dispute.amount = contract.unitPrice * rejectedUnitCount;
+        dispute.status = 'OPEN';
+        dispute.shipment = factory.newRelationship('org.acme.shipping.perishable', 'Shipment', shipment.$identifier);
+
+        // pin the dispute on the custodian that accrued the most penalties
+        let responsibleCustody = null;
+        (shipment.custodyChain || []).forEach(function (custody) {
+            if (custody.penalty > 0 && (!responsibleCustody || custody.penalty > responsibleCustody.penalty)) {
+                responsibleCustody = custody;
+            }
+        });
+        if (responsibleCustody) {
+            dispute.responsibleParty = responsibleCustody.custodian;
+        }
+        const disputeRegistry = await getAssetRegistry('org.acme.shipping.perishable.Dispute');
+        await disputeRegistry.add(dispute);
+    }
+}
+
+/**
+ * A shipper has picked up a shipment from the grower
+ * @param {org.acme.shipping.perishable.ShipmentPickedUp} shipmentPickedUp - the ShipmentPickedUp transaction
+ * @transaction
+ */
+async function pickUp(shipmentPickedUp) {  // eslint-disable-line no-unused-vars
+
+    const shipment = shipmentPickedUp.shipment;
+    if (shipment.status !== 'CREATED') {
+        throw new Error('Shipment ' + shipment.$identifier + ' has already been picked up');
+    }
+
+    // breaches until now were accrued while the grower held the cargo
+    transferCustody(shipment, shipment.contract.shipper, shipmentPickedUp.timestamp);
+    shipment.status = 'IN_TRANSIT';
+
+    // lock the value of the contract in escrow for the journey
+    const importer = shipment.contract.importer;
+    const escrowAmount = shipment.contract.unitPrice * shipment.unitCount;
+    if (escrowAmount > availableBalance(importer)) {
+        throw new Error('Importer ' + importer.$identifier + ' has insufficient available balance to hold ' + escrowAmount + ' in escrow');
+    }
+    importer.escrowBalance = (importer.escrowBalance || 0) + escrowAmount;
+    shipment.escrowAmount = escrowAmount;
+    console.log('Importer: ' + importer.$identifier + ' escrow balance: ' + importer.escrowBalance);
+
+    const importerRegistry = await getParticipantRegistry('org.acme.shipping.perishable.Importer');
+    await importerRegistry.update(importer);
+
+    const shipmentRegistry = await getAssetRegistry('org.acme.shipping.perishable.Shipment');
+    await shipmentRegistry.update(shipment);
+}
+
+/**
+ * A shipment has been handed on to a new shipper or warehouse
+ * @param {org.acme.shipping.perishable.CustodyTransfer} custodyTransfer - the CustodyTransfer transaction
+ * @transaction
+ */
+async function transfer(custodyTransfer) {  // eslint-disable-line no-unused-vars
+
+    const shipment = custodyTransfer.shipment;
+    const newCustodian = custodyTransfer.newCustodian;
+    if (shipment.status !== 'IN_TRANSIT' && shipment.status !== 'IN_STORAGE') {
+        throw new Error('Shipment ' + shipment.$identifier + ' is not IN_TRANSIT or IN_STORAGE');
+    }
+    if (newCustodian.getType() !== 'Shipper' && newCustodian.getType() !== 'Warehouse') {
+        throw new Error('Shipment ' + shipment.$identifier + ' can only be handed on to a Shipper or a Warehouse');
+    }
+    const custody = currentCustody(shipment, custodyTransfer.timestamp);
+    if (custody.custodian.getFullyQualifiedIdentifier() === newCustodian.getFullyQualifiedIdentifier()) {
+        throw new Error('Shipment ' + shipment.$identifier + ' is already held by ' + newCustodian.$identifier);
+    }
+
+    console.log('Handing shipment ' + shipment.$identifier + ' from ' + custody.custodian.$identifier + ' to ' + newCustodian.$identifier);
+    transferCustody(shipment, newCustodian, custodyTransfer.timestamp);
+    if (newCustodian.getType() === 'Warehouse') {
+        shipment.status = 'IN_STORAGE';
+    } else {
+        shipment.status = 'IN_TRANSIT';
+    }
+
+    const shipmentRegistry = await getAssetRegistry('org.acme.shipping.perishable.Shipment');
+    await shipmentRegistry.update(shipment);
+}
+
+/**
+ * A grower contests the units rejected by an importer
+ * @param {org.acme.shipping.perishable.ContestDispute} contestDispute - the ContestDispute transaction
+ * @transaction
+ */
+async function contestDispute(contestDispute) {  // eslint-disable-line no-unused-vars
+
+    const dispute = contestDispute.dispute;
+    if (dispute.status !== 'OPEN') {
+        throw new Error('Dispute ' + dispute.$identifier + ' is not OPEN');
+    }
+
+    console.log('Contesting dispute ' + dispute.$identifier + ': ' + contestDispute.reason);
+    dispute.status = 'CONTESTED';
+    dispute.contestReason = contestDispute.reason;
+
+    const disputeRegistry = await getAssetRegistry('org.acme.shipping.perishable.Dispute');
+    await disputeRegistry.update(dispute);
 }
 
 /**
@@ -100,15 +520,46 @@ async function temperatureReading(temperatureReading) {  // eslint-disable-line
 
     console.log('Adding temperature ' + temperatureReading.centigrade + ' to shipment ' + shipment.$identifier);
 
-    if (shipment.temperatureReadings) {
-        shipment.temperatureReadings.push(temperatureReading);
-    } else {
-        shipment.temperatureReadings = [temperatureReading];
+    const breach = await recordReading('temperature', temperatureReading);
+    if (breach) {
+        const breachEvent = getFactory().newEvent('org.acme.shipping.perishable', 'TemperatureThresholdBreached');
+        breachEvent.threshold = breach.threshold;
+        breachEvent.thresholdCentigrade = breach.limit;
+        breachEvent.centigrade = temperatureReading.centigrade;
+        breachEvent.shipment = shipment;
+        breachEvent.custodian = temperatureReading.custodian;
+        emit(breachEvent);
     }
+}
 
-    // add the temp reading to the shipment
-    const shipmentRegistry = await getAssetRegistry('org.acme.shipping.perishable.Shipment');
-    await shipmentRegistry.update(shipment);
+/**
+ * A humidity reading has been received for a shipment
+ * @param {org.acme.shipping.perishable.HumidityReading} humidityReading - the HumidityReading transaction
+ * @transaction
+ */
+async function humidityReading(humidityReading) {  // eslint-disable-line no-unused-vars
+    console.log('Adding humidity ' + humidityReading.humidity + ' to shipment ' + humidityReading.shipment.$identifier);
+    await recordReading('humidity', humidityReading);
+}
+
+/**
+ * An acceleration reading has been received for a shipment
+ * @param {org.acme.shipping.perishable.AccelerationReading} accelerationReading - the AccelerationReading transaction
+ * @transaction
+ */
+async function accelerationReading(accelerationReading) {  // eslint-disable-line no-unused-vars
+    console.log('Adding acceleration to shipment ' + accelerationReading.shipment.$identifier);
+    await recordReading('acceleration', accelerationReading);
+}
+
+/**
+ * A GPS reading has been received for a shipment
+ * @param {org.acme.shipping.perishable.GpsReading} gpsReading - the GpsReading transaction
+ * @transaction
+ */
+async function gpsReading(gpsReading) {  // eslint-disable-line no-unused-vars
+    console.log('Adding position ' + gpsReading.latitude + ',' + gpsReading.longitude + ' to shipment ' + gpsReading.shipment.$identifier);
+    await recordReading('gps', gpsReading);
 }
 
 /**
@@ -134,6 +585,7 @@ async function setupDemo(setupDemo) {  // eslint-disable-line no-unused-vars
     importerAddress.country = 'UK';
     importer.address = importerAddress;
     importer.accountBalance = 0;
+    importer.creditLimit = 50000;
 
     // create the shipper
     const shipper = factory.newResource(NS, 'Shipper', 'shipper@email.com');
@@ -153,8 +605,20 @@ async function setupDemo(setupDemo) {  // eslint-disable-line no-unused-vars
     contract.unitPrice = 0.5; // pay 50 cents per unit
     contract.minTemperature = 2; // min temperature for the cargo
     contract.maxTemperature = 10; // max temperature for the cargo
-    contract.minPenaltyFactor = 0.2; // we reduce the price by 20 cents for every degree below the min temp
-    contract.maxPenaltyFactor = 0.1; // we reduce the price by 10 cents for every degree above the max temp
+    contract.minPenaltyFactor = 0.2; // we reduce the price by 20 cents for every degree below the min temp, per hour
+    contract.maxPenaltyFactor = 0.1; // we reduce the price by 10 cents for every degree above the max temp, per hour
+    contract.minHumidity = 85; // min relative humidity for the cargo
+    contract.maxHumidity = 95; // max relative humidity for the cargo
+    contract.humidityPenaltyFactor = 0.01; // we reduce the price by 1 cent for every percent out of range, per hour
+    contract.maxAcceleration = 4; // the cargo must not be subjected to shocks above 4g
+    contract.shockPenaltyFactor = 0.05; // we reduce the price by 5 cents for every shock
+    const permittedArea = factory.newConcept(NS, 'Area'); // the cargo must stay between Central America and Europe
+    permittedArea.minLatitude = 0;
+    permittedArea.maxLatitude = 60;
+    permittedArea.minLongitude = -90;
+    permittedArea.maxLongitude = 10;
+    contract.permittedArea = permittedArea;
+    contract.gpsPenaltyFactor = 0.05; // we reduce the price by 5 cents for every hour outside the permitted area
 
     // create the shipment
     const shipment = factory.newResource(NS, 'Shipment', 'SHIP_001');
@@ -163,6 +627,10 @@ async function setupDemo(setupDemo) {  // eslint-disable-line no-unused-vars
     shipment.unitCount = 5000;
     shipment.contract = factory.newRelationship(NS, 'Contract', 'CON_001');
 
+    // the shipment is already in transit, so its value is held in escrow
+    shipment.escrowAmount = contract.unitPrice * shipment.unitCount;
+    importer.escrowBalance = shipment.escrowAmount;
+
     // add the growers
     const growerRegistry = await getParticipantRegistry(NS + '.Grower');
     await growerRegistry.addAll([grower]);
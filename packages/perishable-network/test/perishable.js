@@ -19,12 +19,15 @@ const BusinessNetworkConnection = require('composer-client').BusinessNetworkConn
 const { BusinessNetworkDefinition, CertificateUtil, IdCard } = require('composer-common');
 const path = require('path');
 
-require('chai').should();
+const chai = require('chai');
+chai.should();
+chai.use(require('chai-as-promised'));
 let sinon = require('sinon');
 
 const namespace = 'org.acme.shipping.perishable';
 let grower_id = 'farmer@email.com';
 let importer_id = 'supermarket@email.com';
+let shipper_id = 'shipper@email.com';
 
 describe('Perishable Shipping Network', () => {
     // In-memory card store for testing so cards are not persisted to the file system
@@ -33,6 +36,7 @@ describe('Perishable Shipping Network', () => {
     let businessNetworkConnection;
     let factory;
     let clock;
+    let events;
 
     before(async () => {
         // Embedded connection used for local testing
@@ -62,6 +66,9 @@ describe('Perishable Shipping Network', () => {
         const businessNetworkDefinition = await BusinessNetworkDefinition.fromDirectory(path.resolve(__dirname, '..'));
 
         businessNetworkConnection = new BusinessNetworkConnection({ cardStore: cardStore });
+        businessNetworkConnection.on('event', event => {
+            events.push(event);
+        });
 
         // Install the Composer runtime for the new business network
         await adminConnection.install(businessNetworkDefinition);
@@ -91,25 +98,92 @@ describe('Perishable Shipping Network', () => {
 
     beforeEach(() => {
         clock = sinon.useFakeTimers();
+        events = [];
     });
 
     afterEach(function () {
         clock.restore();
     });
 
+    /**
+     * Add a new contract with the same terms as the demo contract.
+     * @param {String} contractId The identifier of the contract
+     * @param {String} importerId The identifier of the importer
+     * @param {Object} [shipperLiability] The share of penalties borne by the shipper
+     */
+    async function createContract(contractId, importerId, shipperLiability) {
+        const contractRegistry = await businessNetworkConnection.getAssetRegistry(namespace + '.Contract');
+        const demoContract = await contractRegistry.get('CON_001');
+        const contract = factory.newResource(namespace, 'Contract', contractId);
+        contract.grower = factory.newRelationship(namespace, 'Grower', grower_id);
+        contract.importer = factory.newRelationship(namespace, 'Importer', importerId);
+        contract.shipper = factory.newRelationship(namespace, 'Shipper', shipper_id);
+        contract.arrivalDateTime = demoContract.arrivalDateTime;
+        contract.unitPrice = 0.5;
+        contract.minTemperature = 2;
+        contract.maxTemperature = 10;
+        contract.minPenaltyFactor = 0.2;
+        contract.maxPenaltyFactor = 0.1;
+        contract.shipperLiability = shipperLiability;
+        await contractRegistry.add(contract);
+    }
+
+    /**
+     * Add a new shipment of bananas.
+     * @param {String} shipmentId The identifier of the shipment
+     * @param {String} [contractId] The identifier of the contract, the demo contract by default
+     * @param {String} [status] The status of the shipment, IN_TRANSIT by default
+     */
+    async function createShipment(shipmentId, contractId, status) {
+        const shipment = factory.newResource(namespace, 'Shipment', shipmentId);
+        shipment.type = 'BANANAS';
+        shipment.status = status || 'IN_TRANSIT';
+        shipment.unitCount = 5000;
+        shipment.contract = factory.newRelationship(namespace, 'Contract', contractId || 'CON_001');
+        const shipmentRegistry = await businessNetworkConnection.getAssetRegistry(namespace + '.Shipment');
+        await shipmentRegistry.add(shipment);
+    }
+
+    /**
+     * Submit a temperature reading for a shipment.
+     * @param {String} shipmentId The identifier of the shipment
+     * @param {Number} centigrade The temperature read
+     */
+    async function readTemperature(shipmentId, centigrade) {
+        const tempReading = factory.newTransaction(namespace, 'TemperatureReading');
+        tempReading.shipment = factory.newRelationship(namespace, 'Shipment', shipmentId);
+        tempReading.centigrade = centigrade;
+        await businessNetworkConnection.submitTransaction(tempReading);
+    }
+
+    /**
+     * Submit a shipment received transaction for a shipment.
+     * @param {String} shipmentId The identifier of the shipment
+     */
+    async function receiveShipment(shipmentId) {
+        const received = factory.newTransaction(namespace, 'ShipmentReceived');
+        received.shipment = factory.newRelationship(namespace, 'Shipment', shipmentId);
+        await businessNetworkConnection.submitTransaction(received);
+    }
+
+    /**
+     * Submit a sensor reading for a shipment.
+     * @param {String} shipmentId The identifier of the shipment
+     * @param {String} type The type of the reading transaction
+     * @param {Object} values The values read
+     */
+    async function readSensor(shipmentId, type, values) {
+        const reading = factory.newTransaction(namespace, type);
+        reading.shipment = factory.newRelationship(namespace, 'Shipment', shipmentId);
+        Object.assign(reading, values);
+        await businessNetworkConnection.submitTransaction(reading);
+    }
+
     describe('#shipment', () => {
 
         it('should receive base price for a shipment within temperature range', async () => {
-            // submit the temperature reading
-            const tempReading = factory.newTransaction(namespace, 'TemperatureReading');
-            tempReading.shipment = factory.newRelationship(namespace, 'Shipment', 'SHIP_001');
-            tempReading.centigrade = 4.5;
-            await businessNetworkConnection.submitTransaction(tempReading);
-
-            // submit the shipment received
-            const received = factory.newTransaction(namespace, 'ShipmentReceived');
-            received.shipment = factory.newRelationship(namespace, 'Shipment', 'SHIP_001');
-            await businessNetworkConnection.submitTransaction(received);
+            await readTemperature('SHIP_001', 4.5);
+            await receiveShipment('SHIP_001');
 
             // check the grower's balance
             const growerRegistry = await businessNetworkConnection.getParticipantRegistry(namespace + '.Grower');
@@ -125,21 +199,22 @@ describe('Perishable Shipping Network', () => {
             const shipmentRegistry = await businessNetworkConnection.getAssetRegistry(namespace + '.Shipment');
             const shipment = await shipmentRegistry.get('SHIP_001');
             shipment.status.should.equal('ARRIVED');
+            events.should.have.lengthOf(1);
+            events[0].getType().should.equal('SettlementBreakdown');
+            events[0].penaltyAmount.should.equal(0);
+            events[0].growerPayment.should.equal(2500);
+        });
+
+        it('should not receive a shipment twice', async () => {
+            await receiveShipment('SHIP_001').should.be.rejectedWith(/has already been received/);
         });
 
         it('should receive nothing for a late shipment', async () => {
-            // submit the temperature reading
-            const tempReading = factory.newTransaction(namespace, 'TemperatureReading');
-            tempReading.shipment = factory.newRelationship(namespace, 'Shipment', 'SHIP_001');
-            tempReading.centigrade = 4.5;
+            await createShipment('SHIP_002');
             // advance the javascript clock to create a time-advanced test timestamp
             clock.tick(1000000000000000);
-            await businessNetworkConnection.submitTransaction(tempReading);
-
-            // submit the shipment received
-            const received = factory.newTransaction(namespace, 'ShipmentReceived');
-            received.shipment = factory.newRelationship(namespace, 'Shipment', 'SHIP_001');
-            await businessNetworkConnection.submitTransaction(received);
+            await readTemperature('SHIP_002', 4.5);
+            await receiveShipment('SHIP_002');
 
             // check the grower's balance
             const growerRegistry = await businessNetworkConnection.getParticipantRegistry(namespace + '.Grower');
@@ -152,17 +227,14 @@ describe('Perishable Shipping Network', () => {
             newImporter.accountBalance.should.equal(-2500);
         });
 
-        it('should apply penalty for min temperature violation', async () => {
-            // submit the temperature reading
-            const tempReading = factory.newTransaction(namespace, 'TemperatureReading');
-            tempReading.shipment = factory.newRelationship(namespace, 'Shipment', 'SHIP_001');
-            tempReading.centigrade = 1;
-            await businessNetworkConnection.submitTransaction(tempReading);
-
-            // submit the shipment received
-            const received = factory.newTransaction(namespace, 'ShipmentReceived');
-            received.shipment = factory.newRelationship(namespace, 'Shipment', 'SHIP_001');
-            await businessNetworkConnection.submitTransaction(received);
+        it('should apply penalty for time spent below min temperature', async () => {
+            await createShipment('SHIP_003');
+            await readTemperature('SHIP_003', 1);
+            // one hour at one degree below the min temperature
+            clock.tick(60 * 60 * 1000);
+            await readTemperature('SHIP_003', 4.5);
+            clock.tick(60 * 60 * 1000);
+            await receiveShipment('SHIP_003');
 
             // check the grower's balance
             const growerRegistry = await businessNetworkConnection.getParticipantRegistry(namespace + '.Grower');
@@ -173,29 +245,325 @@ describe('Perishable Shipping Network', () => {
             const importerRegistry = await businessNetworkConnection.getParticipantRegistry(namespace + '.Importer');
             const newImporter = await importerRegistry.get(importer_id);
             newImporter.accountBalance.should.equal(-4000);
-        });
 
-        it('should apply penalty for max temperature violation', async () => {
-            // submit the temperature reading
-            const tempReading = factory.newTransaction(namespace, 'TemperatureReading');
-            tempReading.shipment = factory.newRelationship(namespace, 'Shipment', 'SHIP_001');
-            tempReading.centigrade = 11;
-            await businessNetworkConnection.submitTransaction(tempReading);
+            // check the breaches recorded against the shipment
+            const shipmentRegistry = await businessNetworkConnection.getAssetRegistry(namespace + '.Shipment');
+            const shipment = await shipmentRegistry.get('SHIP_003');
+            shipment.temperatureBreachCount.should.equal(1);
+            shipment.temperatureBreachDuration.should.equal(3600);
+        });
 
-            // submit the shipment received
-            const received = factory.newTransaction(namespace, 'ShipmentReceived');
-            received.shipment = factory.newRelationship(namespace, 'Shipment', 'SHIP_001');
-            await businessNetworkConnection.submitTransaction(received);
+        it('should apply penalty for time spent above max temperature', async () => {
+            await createShipment('SHIP_004');
+            await readTemperature('SHIP_004', 11);
+            // two hours at one degree above the max temperature
+            clock.tick(2 * 60 * 60 * 1000);
+            await receiveShipment('SHIP_004');
 
             // check the grower's balance
             const growerRegistry = await businessNetworkConnection.getParticipantRegistry(namespace + '.Grower');
             const newGrower = await growerRegistry.get(grower_id);
-            newGrower.accountBalance.should.equal(5000);
+            newGrower.accountBalance.should.equal(5500);
 
             // check the importer's balance
             const importerRegistry = await businessNetworkConnection.getParticipantRegistry(namespace + '.Importer');
             const newImporter = await importerRegistry.get(importer_id);
-            newImporter.accountBalance.should.equal(-5000);
+            newImporter.accountBalance.should.equal(-5500);
+        });
+
+        it('should emit an event for each reading out of range', async () => {
+            await createShipment('SHIP_005');
+            await readTemperature('SHIP_005', 12);
+            await readTemperature('SHIP_005', 5);
+            await readTemperature('SHIP_005', 0.5);
+
+            events.should.have.lengthOf(2);
+            events[0].threshold.should.equal('MAX');
+            events[0].thresholdCentigrade.should.equal(10);
+            events[0].centigrade.should.equal(12);
+            events[0].shipment.getIdentifier().should.equal('SHIP_005');
+            events[1].threshold.should.equal('MIN');
+            events[1].centigrade.should.equal(0.5);
+
+            const shipmentRegistry = await businessNetworkConnection.getAssetRegistry(namespace + '.Shipment');
+            const shipment = await shipmentRegistry.get('SHIP_005');
+            shipment.temperatureBreachCount.should.equal(2);
+        });
+
+        it('should apply penalty for time spent outside humidity range', async () => {
+            await createShipment('SHIP_006');
+            await readTemperature('SHIP_006', 4.5);
+            // one hour at five percent below the min humidity
+            await readSensor('SHIP_006', 'HumidityReading', { humidity: 80 });
+            clock.tick(60 * 60 * 1000);
+            await readSensor('SHIP_006', 'HumidityReading', { humidity: 90 });
+            await receiveShipment('SHIP_006');
+
+            const growerRegistry = await businessNetworkConnection.getParticipantRegistry(namespace + '.Grower');
+            const newGrower = await growerRegistry.get(grower_id);
+            newGrower.accountBalance.should.equal(7750);
+
+            const shipmentRegistry = await businessNetworkConnection.getAssetRegistry(namespace + '.Shipment');
+            const shipment = await shipmentRegistry.get('SHIP_006');
+            shipment.humidityBreachCount.should.equal(1);
+            shipment.humidityBreachDuration.should.equal(3600);
+        });
+
+        it('should apply penalty for every shock above max acceleration', async () => {
+            await createShipment('SHIP_007');
+            await readSensor('SHIP_007', 'AccelerationReading', { accelX: 0, accelY: 0, accelZ: 1 });
+            await readSensor('SHIP_007', 'AccelerationReading', { accelX: 3, accelY: 0, accelZ: 4 });
+            await receiveShipment('SHIP_007');
+
+            const growerRegistry = await businessNetworkConnection.getParticipantRegistry(namespace + '.Grower');
+            const newGrower = await growerRegistry.get(grower_id);
+            newGrower.accountBalance.should.equal(10000);
+
+            const shipmentRegistry = await businessNetworkConnection.getAssetRegistry(namespace + '.Shipment');
+            const shipment = await shipmentRegistry.get('SHIP_007');
+            shipment.shockCount.should.equal(1);
+            shipment.accelerationReadings.should.have.lengthOf(2);
+        });
+
+        it('should apply penalty for time spent outside the permitted area', async () => {
+            await createShipment('SHIP_008');
+            await readSensor('SHIP_008', 'GpsReading', { latitude: 9.0, longitude: -79.5 });
+            clock.tick(60 * 60 * 1000);
+            // one hour north of the permitted area
+            await readSensor('SHIP_008', 'GpsReading', { latitude: 70.0, longitude: -20.0 });
+            clock.tick(60 * 60 * 1000);
+            await readSensor('SHIP_008', 'GpsReading', { latitude: 51.5, longitude: 0.1 });
+            await receiveShipment('SHIP_008');
+
+            const growerRegistry = await businessNetworkConnection.getParticipantRegistry(namespace + '.Grower');
+            const newGrower = await growerRegistry.get(grower_id);
+            newGrower.accountBalance.should.equal(12250);
+
+            const shipmentRegistry = await businessNetworkConnection.getAssetRegistry(namespace + '.Shipment');
+            const shipment = await shipmentRegistry.get('SHIP_008');
+            shipment.gpsBreachCount.should.equal(1);
+            shipment.gpsBreachDuration.should.equal(3600);
+        });
+
+        it('should only pay for the units accepted by the importer', async () => {
+            await createShipment('SHIP_009');
+            const received = factory.newTransaction(namespace, 'ShipmentReceived');
+            received.shipment = factory.newRelationship(namespace, 'Shipment', 'SHIP_009');
+            received.acceptedUnitCount = 4000;
+            received.rejectedUnitCount = 1000;
+            received.rejectionReason = 'Spoiled';
+            await businessNetworkConnection.submitTransaction(received);
+
+            const growerRegistry = await businessNetworkConnection.getParticipantRegistry(namespace + '.Grower');
+            const newGrower = await growerRegistry.get(grower_id);
+            newGrower.accountBalance.should.equal(14250);
+
+            // check the dispute recorded for the rejected units
+            const disputeRegistry = await businessNetworkConnection.getAssetRegistry(namespace + '.Dispute');
+            const dispute = await disputeRegistry.get('SHIP_009');
+            dispute.rejectedUnitCount.should.equal(1000);
+            dispute.rejectionReason.should.equal('Spoiled');
+            dispute.amount.should.equal(500);
+            dispute.status.should.equal('OPEN');
+        });
+
+        it('should let the grower contest a dispute', async () => {
+            const contest = factory.newTransaction(namespace, 'ContestDispute');
+            contest.dispute = factory.newRelationship(namespace, 'Dispute', 'SHIP_009');
+            contest.reason = 'Bananas were green on loading';
+            await businessNetworkConnection.submitTransaction(contest);
+
+            const disputeRegistry = await businessNetworkConnection.getAssetRegistry(namespace + '.Dispute');
+            const dispute = await disputeRegistry.get('SHIP_009');
+            dispute.status.should.equal('CONTESTED');
+            dispute.contestReason.should.equal('Bananas were green on loading');
+
+            await businessNetworkConnection.submitTransaction(contest).should.be.rejectedWith(/is not OPEN/);
+        });
+
+        it('should reject unit counts that do not add up to the shipment', async () => {
+            await createShipment('SHIP_010');
+            const received = factory.newTransaction(namespace, 'ShipmentReceived');
+            received.shipment = factory.newRelationship(namespace, 'Shipment', 'SHIP_010');
+            received.acceptedUnitCount = 4000;
+            received.rejectedUnitCount = 500;
+            received.rejectionReason = 'Spoiled';
+            await businessNetworkConnection.submitTransaction(received).should.be.rejectedWith(/must add up to the 5000 units shipped/);
+        });
+
+        it('should split penalties with the shipper by leg of the journey', async () => {
+            // the shipper is liable for 75% of the penalties in transit, and for late arrivals
+            const shipperLiability = factory.newConcept(namespace, 'Liability');
+            shipperLiability.beforePickup = 0;
+            shipperLiability.inTransit = 0.75;
+            shipperLiability.lateArrival = 1;
+            await createContract('CON_002', importer_id, shipperLiability);
+
+            await createShipment('SHIP_011', 'CON_002', 'CREATED');
+            // one hour below the min temperature before pick up, and one hour after
+            await readTemperature('SHIP_011', 1);
+            clock.tick(60 * 60 * 1000);
+            const pickedUp = factory.newTransaction(namespace, 'ShipmentPickedUp');
+            pickedUp.shipment = factory.newRelationship(namespace, 'Shipment', 'SHIP_011');
+            await businessNetworkConnection.submitTransaction(pickedUp);
+            clock.tick(60 * 60 * 1000);
+            await readTemperature('SHIP_011', 4.5);
+            events = [];
+            await receiveShipment('SHIP_011');
+
+            const growerRegistry = await businessNetworkConnection.getParticipantRegistry(namespace + '.Grower');
+            const newGrower = await growerRegistry.get(grower_id);
+            newGrower.accountBalance.should.be.closeTo(15500, 0.001);
+
+            const shipperRegistry = await businessNetworkConnection.getParticipantRegistry(namespace + '.Shipper');
+            const newShipper = await shipperRegistry.get(shipper_id);
+            newShipper.accountBalance.should.be.closeTo(-750, 0.001);
+
+            events.should.have.lengthOf(1);
+            const settlement = events[0];
+            settlement.grossAmount.should.equal(2500);
+            settlement.penaltyAmount.should.equal(2000);
+            settlement.growerPenalty.should.be.closeTo(1250, 0.001);
+            settlement.shipperPenalty.should.be.closeTo(750, 0.001);
+            settlement.importerPayment.should.equal(500);
+            settlement.growerPayment.should.be.closeTo(1250, 0.001);
+        });
+
+        it('should charge the shipper for a late arrival', async () => {
+            await createShipment('SHIP_012', 'CON_002');
+            // advance the javascript clock to create a time-advanced test timestamp
+            clock.tick(1000000000000000);
+            await receiveShipment('SHIP_012');
+
+            const growerRegistry = await businessNetworkConnection.getParticipantRegistry(namespace + '.Grower');
+            const newGrower = await growerRegistry.get(grower_id);
+            newGrower.accountBalance.should.be.closeTo(18000, 0.001);
+
+            const shipperRegistry = await businessNetworkConnection.getParticipantRegistry(namespace + '.Shipper');
+            const newShipper = await shipperRegistry.get(shipper_id);
+            newShipper.accountBalance.should.be.closeTo(-3250, 0.001);
+        });
+
+        it('should not pick up a shipment twice', async () => {
+            const pickedUp = factory.newTransaction(namespace, 'ShipmentPickedUp');
+            pickedUp.shipment = factory.newRelationship(namespace, 'Shipment', 'SHIP_011');
+            await businessNetworkConnection.submitTransaction(pickedUp).should.be.rejectedWith(/has already been picked up/);
+        });
+
+        it('should hold the contract value in escrow while in transit', async () => {
+            await createShipment('SHIP_013', 'CON_001', 'CREATED');
+            const pickedUp = factory.newTransaction(namespace, 'ShipmentPickedUp');
+            pickedUp.shipment = factory.newRelationship(namespace, 'Shipment', 'SHIP_013');
+            await businessNetworkConnection.submitTransaction(pickedUp);
+
+            const importerRegistry = await businessNetworkConnection.getParticipantRegistry(namespace + '.Importer');
+            let importer = await importerRegistry.get(importer_id);
+            importer.escrowBalance.should.equal(2500);
+            const shipmentRegistry = await businessNetworkConnection.getAssetRegistry(namespace + '.Shipment');
+            const shipment = await shipmentRegistry.get('SHIP_013');
+            shipment.status.should.equal('IN_TRANSIT');
+            shipment.escrowAmount.should.equal(2500);
+
+            // the escrow is released when the shipment is paid for
+            await receiveShipment('SHIP_013');
+            importer = await importerRegistry.get(importer_id);
+            importer.escrowBalance.should.equal(0);
+            const growerRegistry = await businessNetworkConnection.getParticipantRegistry(namespace + '.Grower');
+            const newGrower = await growerRegistry.get(grower_id);
+            newGrower.accountBalance.should.be.closeTo(20500, 0.001);
+        });
+
+        it('should reject a pick up or payment the importer cannot afford', async () => {
+            // an importer with no credit
+            const importer = factory.newResource(namespace, 'Importer', 'cornershop@email.com');
+            const importerAddress = factory.newConcept(namespace, 'Address');
+            importerAddress.country = 'UK';
+            importer.address = importerAddress;
+            importer.accountBalance = 100;
+            const importerRegistry = await businessNetworkConnection.getParticipantRegistry(namespace + '.Importer');
+            await importerRegistry.add(importer);
+            await createContract('CON_003', 'cornershop@email.com');
+
+            await createShipment('SHIP_014', 'CON_003', 'CREATED');
+            const pickedUp = factory.newTransaction(namespace, 'ShipmentPickedUp');
+            pickedUp.shipment = factory.newRelationship(namespace, 'Shipment', 'SHIP_014');
+            await businessNetworkConnection.submitTransaction(pickedUp).should.be.rejectedWith(/insufficient available balance to hold 2500 in escrow/);
+
+            await createShipment('SHIP_015', 'CON_003');
+            await receiveShipment('SHIP_015').should.be.rejectedWith(/insufficient available balance to pay 2500/);
+        });
+
+        it('should hand a shipment on along a chain of custody', async () => {
+            // a warehouse and a second shipper
+            const warehouse = factory.newResource(namespace, 'Warehouse', 'warehouse@email.com');
+            const warehouseAddress = factory.newConcept(namespace, 'Address');
+            warehouseAddress.country = 'Netherlands';
+            warehouse.address = warehouseAddress;
+            warehouse.accountBalance = 0;
+            const warehouseRegistry = await businessNetworkConnection.getParticipantRegistry(namespace + '.Warehouse');
+            await warehouseRegistry.add(warehouse);
+            const trucker = factory.newResource(namespace, 'Shipper', 'trucker@email.com');
+            const truckerAddress = factory.newConcept(namespace, 'Address');
+            truckerAddress.country = 'UK';
+            trucker.address = truckerAddress;
+            trucker.accountBalance = 0;
+            const shipperRegistry = await businessNetworkConnection.getParticipantRegistry(namespace + '.Shipper');
+            await shipperRegistry.add(trucker);
+
+            await createShipment('SHIP_016', 'CON_002', 'CREATED');
+            const pickedUp = factory.newTransaction(namespace, 'ShipmentPickedUp');
+            pickedUp.shipment = factory.newRelationship(namespace, 'Shipment', 'SHIP_016');
+            await businessNetworkConnection.submitTransaction(pickedUp);
+            clock.tick(60 * 60 * 1000);
+
+            // one hour at two degrees above the max temperature in the warehouse
+            const toWarehouse = factory.newTransaction(namespace, 'CustodyTransfer');
+            toWarehouse.shipment = factory.newRelationship(namespace, 'Shipment', 'SHIP_016');
+            toWarehouse.newCustodian = factory.newRelationship(namespace, 'Warehouse', 'warehouse@email.com');
+            await businessNetworkConnection.submitTransaction(toWarehouse);
+            await readTemperature('SHIP_016', 12);
+            clock.tick(60 * 60 * 1000);
+            const toTrucker = factory.newTransaction(namespace, 'CustodyTransfer');
+            toTrucker.shipment = factory.newRelationship(namespace, 'Shipment', 'SHIP_016');
+            toTrucker.newCustodian = factory.newRelationship(namespace, 'Shipper', 'trucker@email.com');
+            await businessNetworkConnection.submitTransaction(toTrucker);
+            await readTemperature('SHIP_016', 5);
+
+            events[0].custodian.getIdentifier().should.equal('warehouse@email.com');
+            const shipmentRegistry = await businessNetworkConnection.getAssetRegistry(namespace + '.Shipment');
+            const shipment = await shipmentRegistry.get('SHIP_016');
+            shipment.status.should.equal('IN_TRANSIT');
+            shipment.custodyChain.map(custody => custody.custodian.getIdentifier()).should.deep.equal(
+                [grower_id, shipper_id, 'warehouse@email.com', 'trucker@email.com']);
+            shipment.custodyChain[2].breachCount.should.equal(1);
+            shipment.temperatureReadings[0].custodian.getIdentifier().should.equal('warehouse@email.com');
+            shipment.temperatureReadings[1].custodian.getIdentifier().should.equal('trucker@email.com');
+
+            const received = factory.newTransaction(namespace, 'ShipmentReceived');
+            received.shipment = factory.newRelationship(namespace, 'Shipment', 'SHIP_016');
+            received.acceptedUnitCount = 4000;
+            received.rejectedUnitCount = 1000;
+            received.rejectionReason = 'Overripe';
+            await businessNetworkConnection.submitTransaction(received);
+
+            // the warehouse is liable for the penalties accrued while it held the cargo
+            const growerRegistry = await businessNetworkConnection.getParticipantRegistry(namespace + '.Grower');
+            const newGrower = await growerRegistry.get(grower_id);
+            newGrower.accountBalance.should.be.closeTo(22300, 0.001);
+            const newWarehouse = await warehouseRegistry.get('warehouse@email.com');
+            newWarehouse.accountBalance.should.be.closeTo(-600, 0.001);
+
+            const disputeRegistry = await businessNetworkConnection.getAssetRegistry(namespace + '.Dispute');
+            const dispute = await disputeRegistry.get('SHIP_016');
+            dispute.responsibleParty.getIdentifier().should.equal('warehouse@email.com');
+        });
+
+        it('should only hand a shipment on to a shipper or a warehouse', async () => {
+            await createShipment('SHIP_017');
+            const transfer = factory.newTransaction(namespace, 'CustodyTransfer');
+            transfer.shipment = factory.newRelationship(namespace, 'Shipment', 'SHIP_017');
+            transfer.newCustodian = factory.newRelationship(namespace, 'Importer', importer_id);
+            await businessNetworkConnection.submitTransaction(transfer).should.be.rejectedWith(/can only be handed on to a Shipper or a Warehouse/);
         });
     });
 });